@@ -85,10 +85,15 @@ module.exports = function(grunt) {
   var srcFiles = [
     'src/twgl.js',
     'src/attributes.js',
+    'src/context-restoration.js',
     'src/draw.js',
     'src/framebuffers.js',
+    'src/hdr.js',
+    'src/picking.js',
     'src/programs.js',
+    'src/texture-containers.js',
     'src/textures.js',
+    'src/transform-feedback.js',
     'src/typedarrays.js',
     'src/vertex-arrays.js',
   ];
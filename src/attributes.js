@@ -30,9 +30,11 @@
  */
 
 define([
+    './context-restoration',
     './typedarrays',
     './utils',
   ], function(
+    contextRestoration,
     typedArrays,
     utils) {
   "use strict";
@@ -202,6 +204,8 @@ define([
    * @property {number} [stride] the stride in bytes per element. Default = 0
    * @property {WebGLBuffer} buffer the buffer that contains the data for this attribute
    * @property {number} [drawType] the draw type passed to gl.bufferData. Default = gl.STATIC_DRAW
+   * @property {number} [divisor] the divisor passed to `gl.vertexAttribDivisor`. Default = 0.
+   *    For matrix attributes the divisor is set on every column.
    * @memberOf module:twgl
    */
 
@@ -222,6 +226,7 @@ define([
    * @property {string} [attrib] name of attribute this array maps to. Defaults to same name as array prefixed by the default attribPrefix.
    * @property {string} [name] synonym for `attrib`.
    * @property {string} [attribName] synonym for `attrib`.
+   * @property {number} [divisor] divisor for `vertexAttribDivisor`. Use 1 for per instance data. Default = 0.
    * @memberOf module:twgl
    */
 
@@ -370,6 +375,7 @@ define([
           stride:        array.stride || 0,
           offset:        array.offset || 0,
           drawType:      array.drawType,
+          divisor:       array.divisor,
         };
       }
     });
@@ -472,7 +478,11 @@ define([
       }
     }
     if (ii === positionKeys.length) {
-      key = Object.keys(attribs)[0];
+      // per instance attributes don't tell us the number of vertices
+      var keys = Object.keys(attribs);
+      key = keys.filter(function(key) {
+        return !attribs[key].divisor;
+      })[0] || keys[0];
     }
     var attrib = attribs[key];
     gl.bindBuffer(gl.ARRAY_BUFFER, attrib.buffer);
@@ -490,6 +500,18 @@ define([
     return numElements;
   }
 
+  /**
+   * Checks if any of the arrays is a WebGLBuffer or has one as its `data` or `buffer`
+   * @param {module:twgl.Arrays} arrays Your data
+   * @return {boolean} true if there is a WebGLBuffer
+   */
+  function hasWebGLBuffers(arrays) {
+    return Object.keys(arrays).some(function(name) {
+      var array = arrays[name];
+      return array instanceof WebGLBuffer || array.data instanceof WebGLBuffer || array.buffer instanceof WebGLBuffer;
+    });
+  }
+
   /**
    * @typedef {Object} BufferInfo
    * @property {number} numElements The number of elements to pass to `gl.drawArrays` or `gl.drawElements`.
@@ -604,9 +626,48 @@ define([
       bufferInfo.numElements = getNumElementsFromAttributes(gl, bufferInfo.attribs);
     }
 
+    if (hasWebGLBuffers(arrays)) {
+      contextRestoration.warnNotRestorable(gl, "a BufferInfo made from a WebGLBuffer you passed in");
+    } else {
+      contextRestoration.track(gl, bufferInfo, function() {
+        return createBufferInfoFromArrays(gl, arrays);
+      });
+    }
+
     return bufferInfo;
   }
 
+  /**
+   * Deletes the WebGLBuffers of a BufferInfo
+   *
+   * Deletes the buffer of every attribute and the indices buffer if there is one.
+   * Buffers shared by more than one attribute are only deleted once.
+   *
+   * Note: If you passed a `WebGLBuffer` in as the data for an array
+   * it will be deleted as well.
+   *
+   * @param {WebGLRenderingContext} gl A WebGLRenderingContext
+   * @param {module:twgl.BufferInfo} bufferInfo A BufferInfo as returned from {@link module:twgl.createBufferInfoFromArrays}
+   * @memberOf module:twgl/attributes
+   */
+  function deleteBufferInfo(gl, bufferInfo) {
+    contextRestoration.untrack(gl, bufferInfo);
+    var buffers = [];
+    var attribs = bufferInfo.attribs || {};
+    Object.keys(attribs).forEach(function(name) {
+      var buffer = attribs[name].buffer;
+      if (buffer && buffers.indexOf(buffer) < 0) {
+        buffers.push(buffer);
+      }
+    });
+    if (bufferInfo.indices) {
+      buffers.push(bufferInfo.indices);
+    }
+    buffers.forEach(function(buffer) {
+      gl.deleteBuffer(buffer);
+    });
+  }
+
   /**
    * Creates a buffer from an array, typed array, or array spec
    *
@@ -688,6 +749,7 @@ define([
     "createBufferFromArray": createBufferFromArray,
     "createBufferFromTypedArray": createBufferFromTypedArray,
     "createBufferInfoFromArrays": createBufferInfoFromArrays,
+    "deleteBufferInfo": deleteBufferInfo,
     "setAttribInfoBufferFromArray": setAttribInfoBufferFromArray,
 
     "setAttributePrefix": setAttributePrefix,
@@ -0,0 +1,197 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of his
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+define([
+    './utils',
+  ], function(
+    utils) {
+  "use strict";
+
+  /**
+   * Context restoration related functions
+   *
+   * When context restoration is enabled for a context TWGL remembers
+   * how the BufferInfos, ProgramInfos, textures, FramebufferInfos and
+   * VertexArrayInfos it makes were created. When the browser fires
+   * `webglcontextrestored` they are created again and the new WebGL objects
+   * are put into the existing info objects so any code holding on to them keeps working.
+   * The info objects are kept until they are deleted so infos you drop without deleting
+   * are never garbage collected.
+   *
+   * You should generally not need to use these functions directly.
+   * See {@link module:twgl.setDefaults} `enableContextRestoration`.
+   *
+   * @module twgl/contextRestoration
+   * @private
+   */
+
+  // make sure we don't see a global gl
+  var gl = undefined;  // eslint-disable-line
+
+  var contextStates = new WeakMap();
+  var restoring = false;
+
+  /**
+   * Copies all the properties of src to dst
+   * @param {Object} src the object to copy from
+   * @param {Object} dst the object to copy into
+   */
+  function replaceProperties(src, dst) {
+    Object.keys(src).forEach(function(key) {
+      dst[key] = src[key];
+    });
+  }
+
+  function restoreResources(gl, state) {
+    restoring = true;
+    try {
+      state.onRestoredFns.forEach(function(fn) {
+        fn(gl);
+      });
+      // A Map iterates in insertion order so resources are restored in the order they were
+      // created and things like VertexArrayInfos see their BufferInfos and ProgramInfos already restored.
+      // One resource failing should not stop the others from being restored.
+      state.resources.forEach(function(create, info) {
+        var newInfo;
+        try {
+          newInfo = create();
+        } catch (e) {
+          utils.error("could not restore resource after context restored:", e);
+          return;
+        }
+        if (newInfo) {
+          replaceProperties(newInfo, info);
+        } else {
+          utils.error("could not restore resource after context restored");
+        }
+      });
+    } finally {
+      restoring = false;
+    }
+  }
+
+  /**
+   * Starts tracking the resources created for a context so they can be recreated
+   * when the context is restored. Calling it more than once for the same
+   * context only adds `onRestored`.
+   *
+   * @param {WebGLRenderingContext} gl A WebGLRenderingContext
+   * @param {function(WebGLRenderingContext)} [onRestored] A function to call when the context
+   *   is restored before any resources are recreated. Use it to re-enable extensions.
+   */
+  function enableContextRestoration(gl, onRestored) {
+    var state = contextStates.get(gl);
+    if (!state) {
+      state = {
+        resources: new Map(),
+        onRestoredFns: [],
+      };
+      contextStates.set(gl, state);
+      gl.canvas.addEventListener('webglcontextlost', function(e) {
+        // The browser will not restore the context unless we call preventDefault
+        e.preventDefault();
+      });
+      gl.canvas.addEventListener('webglcontextrestored', function() {
+        restoreResources(gl, state);
+      });
+    }
+    if (onRestored) {
+      state.onRestoredFns.push(onRestored);
+    }
+  }
+
+  /**
+   * Check if context restoration is enabled for a context
+   * @param {WebGLRenderingContext} gl A WebGLRenderingContext
+   * @return {bool} true if context restoration is enabled
+   */
+  function isContextRestorationEnabled(gl) {
+    return contextStates.has(gl);
+  }
+
+  /**
+   * Remembers how to recreate a resource. Does nothing if context restoration
+   * is not enabled for the context. If the info is already tracked its create function
+   * is replaced and it keeps its place in the order.
+   *
+   * Note: A tracked info is kept alive until it is untracked, even if nothing else references it.
+   *
+   * @param {WebGLRenderingContext} gl A WebGLRenderingContext
+   * @param {Object} info The info object (BufferInfo, ProgramInfo, ...) to refill when the context is restored
+   * @param {function():Object} create A function that creates a new info object. Its properties will be copied into `info`.
+   */
+  function track(gl, info, create) {
+    var state = contextStates.get(gl);
+    if (!state || restoring) {
+      return;
+    }
+    state.resources.set(info, create);
+  }
+
+  /**
+   * Warns that a resource will not be restored because it was made from WebGL
+   * objects the caller made, which TWGL can't make again. Does nothing if context
+   * restoration is not enabled for the context.
+   *
+   * @param {WebGLRenderingContext} gl A WebGLRenderingContext
+   * @param {string} what a description of the resource
+   */
+  function warnNotRestorable(gl, what) {
+    if (!contextStates.has(gl) || restoring) {
+      return;
+    }
+    utils.warn(what + " will not be restored when the context is restored because it uses WebGL objects you made. " +
+               "Make it again in a webglcontextrestored handler");
+  }
+
+  /**
+   * Forgets a resource. Call when a resource is deleted.
+   *
+   * @param {WebGLRenderingContext} gl A WebGLRenderingContext
+   * @param {Object} info The info object passed to `track`
+   */
+  function untrack(gl, info) {
+    var state = contextStates.get(gl);
+    if (!state) {
+      return;
+    }
+    state.resources.delete(info);
+  }
+
+  return {
+    "enableContextRestoration": enableContextRestoration,
+    "isContextRestorationEnabled": isContextRestorationEnabled,
+    "track": track,
+    "warnNotRestorable": warnNotRestorable,
+    "untrack": untrack,
+  };
+});
+
@@ -31,8 +31,10 @@
 
 define([
     './programs',
+    './utils',
   ], function(
-    programs) {
+    programs,
+    utils) {
   "use strict";
 
   /**
@@ -46,6 +48,14 @@ define([
    * @module twgl/draw
    */
 
+  var defaults = {
+    validateUniformsAndAttributes: false,
+  };
+
+  function setDefaults(newDefaults) {
+    utils.copyExistingProperties(newDefaults, defaults);
+  }
+
   /**
    * Calls `gl.drawElements` or `gl.drawArrays`, whichever is appropriate
    *
@@ -53,24 +63,38 @@ define([
    * but calling this means if you switch from indexed data to non-indexed
    * data you don't have to remember to update your draw call.
    *
+   * If `instanceCount` is passed in calls `gl.drawElementsInstanced` or `gl.drawArraysInstanced`
+   * instead. In WebGL 1 this requires the `ANGLE_instanced_arrays` extension which
+   * {@link module:twgl.getContext} and {@link module:twgl.getWebGLContext} enable if available.
+   *
    * @param {WebGLRenderingContext} gl A WebGLRenderingContext
    * @param {(module:twgl.BufferInfo|module:twgl.VertexArrayInfo)} bufferInfo A BufferInfo as returned from {@link module:twgl.createBufferInfoFromArrays} or
    *   a VertexArrayInfo as returned from {@link module:twgl.createVertexArrayInfo}
    * @param {enum} [type] eg (gl.TRIANGLES, gl.LINES, gl.POINTS, gl.TRIANGLE_STRIP, ...). Defaults to `gl.TRIANGLES`
    * @param {number} [count] An optional count. Defaults to bufferInfo.numElements
    * @param {number} [offset] An optional offset. Defaults to 0.
+   * @param {number} [instanceCount] An optional instanceCount. If set then `drawArraysInstanced` or `drawElementsInstanced` will be called
    * @memberOf module:twgl/draw
    */
-  function drawBufferInfo(gl, bufferInfo, type, count, offset) {
+  function drawBufferInfo(gl, bufferInfo, type, count, offset, instanceCount) {
     type = type === undefined ? gl.TRIANGLES : type;
     var indices = bufferInfo.indices;
     var elementType = bufferInfo.elementType;
     var numElements = count === undefined ? bufferInfo.numElements : count;
     offset = offset === undefined ? 0 : offset;
     if (elementType || indices) {
-      gl.drawElements(type, numElements, elementType === undefined ? gl.UNSIGNED_SHORT : bufferInfo.elementType, offset);
+      elementType = elementType === undefined ? gl.UNSIGNED_SHORT : elementType;
+      if (instanceCount !== undefined) {
+        gl.drawElementsInstanced(type, numElements, elementType, offset, instanceCount);
+      } else {
+        gl.drawElements(type, numElements, elementType, offset);
+      }
     } else {
-      gl.drawArrays(type, offset, numElements);
+      if (instanceCount !== undefined) {
+        gl.drawArraysInstanced(type, offset, numElements, instanceCount);
+      } else {
+        gl.drawArrays(type, offset, numElements);
+      }
     }
   }
 
@@ -106,6 +130,7 @@ define([
    *
    * @property {number} [offset] the offset to pass to `gl.drawArrays` or `gl.drawElements`. Defaults to 0.
    * @property {number} [count] the count to pass to `gl.drawArrays` or `gl.drawElemnts`. Defaults to bufferInfo.numElements.
+   * @property {number} [instanceCount] the number of instances. If set then `gl.drawArraysInstanced` or `gl.drawElementsInstanced` will be called.
    * @memberOf module:twgl
    */
 
@@ -151,8 +176,12 @@ define([
       // Set the uniforms.
       programs.setUniforms(programInfo, object.uniforms);
 
+      if (defaults.validateUniformsAndAttributes) {
+        programs.validateProgramInputs_(programInfo, bufferInfo);  // eslint-disable-line
+      }
+
       // Draw
-      drawBufferInfo(gl, bufferInfo, type, object.count, object.offset);
+      drawBufferInfo(gl, bufferInfo, type, object.count, object.offset, object.instanceCount);
     });
 
     if (lastUsedBufferInfo.vertexArrayObject) {
@@ -165,6 +194,8 @@ define([
   return {
     "drawBufferInfo": drawBufferInfo,
     "drawObjectList": drawObjectList,
+
+    "setDefaults_": setDefaults,
   };
 
 });
@@ -30,9 +30,11 @@
  */
 
 define([
+    './context-restoration',
     './textures',
     './utils',
   ], function(
+    contextRestoration,
     textures,
     utils) {
   "use strict";
@@ -51,17 +53,40 @@ define([
   // make sure we don't see a global gl
   var gl = undefined;  // eslint-disable-line
 
+  var BYTE                           = 0x1400;
   var UNSIGNED_BYTE                  = 0x1401;
+  var SHORT                          = 0x1402;
+  var INT                            = 0x1404;
+  var UNSIGNED_INT                   = 0x1405;
+  var FLOAT                          = 0x1406;
+  var HALF_FLOAT                     = 0x140B;
+  var HALF_FLOAT_OES                 = 0x8D61;
 
   /* PixelFormat */
   var DEPTH_COMPONENT                = 0x1902;
   var RGBA                           = 0x1908;
+  var RGBA8                          = 0x8058;
+  var R16F                           = 0x822D;
+  var R32F                           = 0x822E;
+  var RG16F                          = 0x822F;
+  var RG32F                          = 0x8230;
+  var RGBA32F                        = 0x8814;
+  var RGBA16F                        = 0x881A;
+  var R11F_G11F_B10F                 = 0x8C3A;
+  var RG_INTEGER                     = 0x8228;
+  var RED_INTEGER                    = 0x8D94;
+  var RGB_INTEGER                    = 0x8D98;
+  var RGBA_INTEGER                   = 0x8D99;
 
   /* Framebuffer Object. */
   var RGBA4                          = 0x8056;
   var RGB5_A1                        = 0x8057;
   var RGB565                         = 0x8D62;
   var DEPTH_COMPONENT16              = 0x81A5;
+  var DEPTH_COMPONENT24              = 0x81A6;
+  var DEPTH_COMPONENT32F             = 0x8CAC;
+  var DEPTH24_STENCIL8               = 0x88F0;
+  var DEPTH32F_STENCIL8              = 0x8CAD;
   var STENCIL_INDEX                  = 0x1901;
   var STENCIL_INDEX8                 = 0x8D48;
   var DEPTH_STENCIL                  = 0x84F9;
@@ -70,6 +95,23 @@ define([
   var STENCIL_ATTACHMENT             = 0x8D20;
   var DEPTH_STENCIL_ATTACHMENT       = 0x821A;
 
+  /* Buffers */
+  var NONE                           = 0;
+  var COLOR                          = 0x1800;
+  var DEPTH                          = 0x1801;
+  var STENCIL                        = 0x1802;
+
+  var COLOR_BUFFER_BIT               = 0x00004000;
+
+  var FRAMEBUFFER_COMPLETE           = 0x8CD5;
+
+  /* Texture targets */
+  var TEXTURE_2D                     = 0x0DE1;
+  var TEXTURE_3D                     = 0x806F;
+  var TEXTURE_2D_ARRAY               = 0x8C1A;
+  var TEXTURE_CUBE_MAP               = 0x8513;
+  var TEXTURE_CUBE_MAP_POSITIVE_X    = 0x8515;
+
   /* TextureWrapMode */
   var REPEAT                         = 0x2901;  // eslint-disable-line
   var CLAMP_TO_EDGE                  = 0x812F;
@@ -104,12 +146,21 @@ define([
    *   `gl.STENCIL_INDEX8` or `gl.DEPTH_STENCIL` then will create a
    *   renderbuffer. Otherwise will create a texture. Default = `gl.RGBA`
    * @property {number} [type] The type. Used for texture. Default = `gl.UNSIGNED_BYTE`.
-   * @property {number} [target] The texture target for `gl.framebufferTexture2D`.
-   *   Defaults to `gl.TEXTURE_2D`. Set to appropriate face for cube maps.
-   * @property {number} [level] level for `gl.framebufferTexture2D`. Defaults to 0.
+   * @property {number} [target] The texture target used to create the texture, for example `gl.TEXTURE_CUBE_MAP`
+   *   or `gl.TEXTURE_2D_ARRAY`. Defaults to `gl.TEXTURE_2D`.
+   * @property {number} [texTarget] The texture target for `gl.framebufferTexture2D`. Set to the appropriate face
+   *   for cube maps. Defaults to `gl.TEXTURE_CUBE_MAP_POSITIVE_X` if `target` is `gl.TEXTURE_CUBE_MAP`
+   *   otherwise `gl.TEXTURE_2D`.
+   * @property {number} [level] level for `gl.framebufferTexture2D` or `gl.framebufferTextureLayer`. Defaults to 0.
+   * @property {number} [layer] The layer of a 3D or 2D array texture to attach with `gl.framebufferTextureLayer`. WebGL2 only.
    * @property {WebGLObject} [attachment] An existing renderbuffer or texture.
    *    If provided will attach this Object. This allows you to share
    *    attachemnts across framebuffers.
+   * @property {number} [samples] The number of samples for a multisampled attachment. WebGL2 only.
+   *    Multisampled attachments are always renderbuffers. For color attachments the format
+   *    comes from `internalFormat` or `format` and must be sized. `gl.RGBA` is treated as `gl.RGBA8`.
+   *    All attachments of a framebuffer must use the same number of samples. Clamped to `gl.MAX_SAMPLES`.
+   *    See {@link module:twgl.resolveFramebufferInfo}.
    * @memberOf module:twgl
    */
 
@@ -124,9 +175,13 @@ define([
   attachmentsByFormat[STENCIL_INDEX8] = STENCIL_ATTACHMENT;
   attachmentsByFormat[DEPTH_COMPONENT] = DEPTH_ATTACHMENT;
   attachmentsByFormat[DEPTH_COMPONENT16] = DEPTH_ATTACHMENT;
+  attachmentsByFormat[DEPTH_COMPONENT24] = DEPTH_ATTACHMENT;
+  attachmentsByFormat[DEPTH_COMPONENT32F] = DEPTH_ATTACHMENT;
+  attachmentsByFormat[DEPTH24_STENCIL8] = DEPTH_STENCIL_ATTACHMENT;
+  attachmentsByFormat[DEPTH32F_STENCIL8] = DEPTH_STENCIL_ATTACHMENT;
 
-  function getAttachmentPointForFormat(format) {
-    return attachmentsByFormat[format];
+  function getAttachmentPointForFormat(format, internalFormat) {
+    return attachmentsByFormat[format] || attachmentsByFormat[internalFormat];
   }
 
   var renderbufferFormats = {};
@@ -142,75 +197,219 @@ define([
     return renderbufferFormats[format];
   }
 
+  function getTexTargetForAttachment(attachmentOptions) {
+    if (attachmentOptions.texTarget) {
+      return attachmentOptions.texTarget;
+    }
+    return attachmentOptions.target === TEXTURE_CUBE_MAP ? TEXTURE_CUBE_MAP_POSITIVE_X : TEXTURE_2D;
+  }
+
+  function attachTexture(gl, target, attachmentPoint, texture, attachmentOptions) {
+    var level = attachmentOptions.level || 0;
+    if (attachmentOptions.layer !== undefined) {
+      gl.framebufferTextureLayer(target, attachmentPoint, texture, level, attachmentOptions.layer);
+    } else {
+      gl.framebufferTexture2D(target, attachmentPoint, getTexTargetForAttachment(attachmentOptions), texture, level);
+    }
+  }
+
+  var layeredTargets = {};
+  layeredTargets[TEXTURE_CUBE_MAP] = true;
+  layeredTargets[TEXTURE_3D] = true;
+  layeredTargets[TEXTURE_2D_ARRAY] = true;
+
+  function isColorAttachment(attachmentOptions) {
+    return !getAttachmentPointForFormat(attachmentOptions.format, attachmentOptions.internalFormat);
+  }
+
+  function setRenderbufferStorage(gl, attachmentOptions, width, height) {
+    var samples = attachmentOptions.samples;
+    if (samples) {
+      var internalFormat = attachmentOptions.internalFormat || attachmentOptions.format || RGBA;
+      if (internalFormat === RGBA) {
+        internalFormat = RGBA8;
+      }
+      samples = Math.min(samples, gl.getParameter(gl.MAX_SAMPLES));
+      gl.renderbufferStorageMultisample(gl.RENDERBUFFER, samples, internalFormat, width, height);
+    } else {
+      gl.renderbufferStorage(gl.RENDERBUFFER, attachmentOptions.format, width, height);
+    }
+  }
+
+  var colorBufferFloatFormats = {};
+  colorBufferFloatFormats[R16F] = true;
+  colorBufferFloatFormats[RG16F] = true;
+  colorBufferFloatFormats[RGBA16F] = true;
+  colorBufferFloatFormats[R32F] = true;
+  colorBufferFloatFormats[RG32F] = true;
+  colorBufferFloatFormats[RGBA32F] = true;
+  colorBufferFloatFormats[R11F_G11F_B10F] = true;
+
+  /**
+   * Gets the extension needed to render to a color attachment, if any.
+   * @private
+   */
+  function getExtensionForColorAttachment(gl, attachmentOptions) {
+    if (utils.isWebGL2(gl)) {
+      return colorBufferFloatFormats[attachmentOptions.internalFormat || attachmentOptions.format] ? "EXT_color_buffer_float" : undefined;
+    }
+    if (attachmentOptions.type === FLOAT) {
+      return "WEBGL_color_buffer_float";
+    }
+    if (attachmentOptions.type === HALF_FLOAT_OES) {
+      return "EXT_color_buffer_half_float";
+    }
+    return undefined;
+  }
+
+  function describeAttachment(gl, attachmentOptions, attachment, attachmentPoint) {
+    var parts = [textures.glEnumToString(gl, attachmentPoint) + ":"];
+    var internalFormat = attachmentOptions.internalFormat || attachmentOptions.format;
+    if (internalFormat || !attachmentOptions.attachment) {
+      parts.push(textures.glEnumToString(gl, internalFormat || RGBA));
+    }
+    if (attachmentOptions.type) {
+      parts.push(textures.glEnumToString(gl, attachmentOptions.type));
+    }
+    parts.push(attachment instanceof WebGLRenderbuffer ? "renderbuffer" : "texture");
+    if (attachmentOptions.samples) {
+      parts.push("with " + attachmentOptions.samples + " samples");
+    }
+    if (isColorAttachment(attachmentOptions)) {
+      var ext = getExtensionForColorAttachment(gl, attachmentOptions);
+      if (ext) {
+        var supported = (gl.getSupportedExtensions() || []).indexOf(ext) >= 0;
+        parts.push("(requires " + ext + (supported ? "" : " which is not supported") + ")");
+      }
+    }
+    return parts.join(" ");
+  }
+
+  /**
+   * Gets the attachments for the single sampled framebuffer a multisampled
+   * framebuffer is resolved into: a texture for each color attachment.
+   * @private
+   */
+  function getResolveAttachments(attachments) {
+    var multisampled = attachments.some(function(attachmentOptions) {
+      return attachmentOptions.samples;
+    });
+    if (!multisampled) {
+      return undefined;
+    }
+    return attachments.filter(isColorAttachment).map(function(attachmentOptions) {
+      var resolveOptions = utils.shallowCopy(attachmentOptions);
+      delete resolveOptions.samples;
+      delete resolveOptions.attachment;
+      return resolveOptions;
+    });
+  }
+
+  var integerFormats = {};
+  integerFormats[RED_INTEGER] = true;
+  integerFormats[RG_INTEGER] = true;
+  integerFormats[RGB_INTEGER] = true;
+  integerFormats[RGBA_INTEGER] = true;
+
+  var signedTypes = {};
+  signedTypes[BYTE] = true;
+  signedTypes[SHORT] = true;
+  signedTypes[INT] = true;
+
+  /**
+   * Gets the suffix of the `gl.clearBuffer` function that matches
+   * an internal format. `fv` for normalized and float formats, `iv` for
+   * signed integer formats and `uiv` for unsigned integer formats.
+   * @private
+   */
+  function getClearBufferSuffixForInternalFormat(internalFormat) {
+    var formatType = textures.getFormatAndTypeForInternalFormat(internalFormat);
+    if (!integerFormats[formatType.format]) {
+      return "fv";
+    }
+    return signedTypes[formatType.type] ? "iv" : "uiv";
+  }
+
+  /**
+   * Checks the context can make a framebuffer with these attachments before anything is allocated.
+   * @return {string|undefined} undefined if it can, otherwise a message saying why not.
+   * @private
+   */
+  function getUnsupportedAttachmentsProblem(gl, attachments) {
+    var numColorAttachments = attachments.filter(isColorAttachment).length;
+    if (numColorAttachments > 1 && !utils.isWebGL2(gl) && !gl.getExtension("WEBGL_draw_buffers")) {
+      return "framebuffer unsupported: " + numColorAttachments + " color attachments require WebGL2 or WEBGL_draw_buffers";
+    }
+    return undefined;
+  }
+
+  function setDrawBuffers(gl, buffers) {
+    if (utils.isWebGL2(gl)) {
+      gl.drawBuffers(buffers);
+    } else {
+      var ext = gl.getExtension("WEBGL_draw_buffers");
+      if (!ext) {
+        throw "multiple color attachments require WebGL2 or WEBGL_draw_buffers";
+      }
+      // COLOR_ATTACHMENTn_WEBGL has the same values as COLOR_ATTACHMENTn
+      ext.drawBuffersWEBGL(buffers);
+    }
+  }
+
+  // Per WebGLFramebuffer state. Keyed by the framebuffer, not the FramebufferInfo,
+  // so a framebuffer recreated by context restoration starts fresh.
+  var framebufferStates = new WeakMap();
+
   /**
    * @typedef {Object} FramebufferInfo
    * @property {WebGLFramebuffer} framebuffer The WebGLFramebuffer for this framebufferInfo
    * @property {WebGLObject[]} attachments The created attachments in the same order as passed in to {@link module:twgl.createFramebufferInfo}.
+   * @property {module:twgl.AttachmentOptions[]} attachmentOptions The attachment options used to create the attachments.
+   * @property {number[]} attachmentPoints The attachment point of each attachment, for example `gl.COLOR_ATTACHMENT1`.
+   * @property {boolean[]} ownedAttachments For each attachment true if TWGL created it, false if it was passed in
+   *    with the `attachment` option. Only owned attachments are deleted by {@link module:twgl.deleteFramebufferInfo}.
+   * @property {number[]} drawBuffers The draw buffers set when there is more than 1 color attachment. One
+   *    `gl.COLOR_ATTACHMENTn` per color attachment.
+   * @property {module:twgl.FramebufferInfo} [resolveFramebufferInfo] For a multisampled framebuffer, a single sampled
+   *    framebuffer with a texture for each color attachment. See {@link module:twgl.resolveFramebufferInfo}.
    * @memberOf module:twgl
    */
 
-  /**
-   * Creates a framebuffer and attachments.
-   *
-   * This returns a {@link module:twgl.FramebufferInfo} because it needs to return the attachments as well as the framebuffer.
-   *
-   * The simplest usage
-   *
-   *     // create an RGBA/UNSIGNED_BYTE texture and DEPTH_STENCIL renderbuffer
-   *     var fbi = twgl.createFramebufferInfo(gl);
-   *
-   * More complex usage
-   *
-   *     // create an RGB565 renderbuffer and a STENCIL_INDEX8 renderbuffer
-   *     var attachments = [
-   *       { format: RGB565, mag: NEAREST },
-   *       { format: STENCIL_INDEX8 },
-   *     ]
-   *     var fbi = twgl.createFramebufferInfo(gl, attachments);
-   *
-   * Passing in a specific size
-   *
-   *     var width = 256;
-   *     var height = 256;
-   *     var fbi = twgl.createFramebufferInfo(gl, attachments, width, height);
-   *
-   * **Note!!** It is up to you to check if the framebuffer is renderable by calling `gl.checkFramebufferStatus`.
-   * [WebGL only guarantees 3 combinations of attachments work](https://www.khronos.org/registry/webgl/specs/latest/1.0/#6.6).
-   *
-   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
-   * @param {module:twgl.AttachmentOptions[]} [attachments] which attachments to create. If not provided the default is a framebuffer with an
-   *    `RGBA`, `UNSIGNED_BYTE` texture `COLOR_ATTACHMENT0` and a `DEPTH_STENCIL` renderbuffer `DEPTH_STENCIL_ATTACHMENT`.
-   * @param {number} [width] the width for the attachments. Default = size of drawingBuffer
-   * @param {number} [height] the height for the attachments. Defautt = size of drawingBuffer
-   * @return {module:twgl.FramebufferInfo} the framebuffer and attachments.
-   * @memberOf module:twgl/framebuffers
-   */
-  function createFramebufferInfo(gl, attachments, width, height) {
+  function createFramebufferInfoFromAttachments(gl, attachments, width, height) {
     var target = gl.FRAMEBUFFER;
     var fb = gl.createFramebuffer();
     gl.bindFramebuffer(target, fb);
-    width  = width  || gl.drawingBufferWidth;
-    height = height || gl.drawingBufferHeight;
-    attachments = attachments || defaultAttachments;
     var colorAttachmentCount = 0;
     var framebufferInfo = {
       framebuffer: fb,
       attachments: [],
+      attachmentOptions: attachments,
+      attachmentPoints: [],
+      ownedAttachments: [],
+      drawBuffers: [],
       width: width,
       height: height,
     };
+    var clearBufferSuffixes = [];
     attachments.forEach(function(attachmentOptions) {
       var attachment = attachmentOptions.attachment;
       var format = attachmentOptions.format;
-      var attachmentPoint = getAttachmentPointForFormat(format);
+      var attachmentPoint = getAttachmentPointForFormat(format, attachmentOptions.internalFormat);
+      var clearBufferSuffix;
       if (!attachmentPoint) {
+        if (colorAttachmentCount === 1 && !utils.isWebGL2(gl)) {
+          // must be enabled before attaching COLOR_ATTACHMENT1
+          gl.getExtension("WEBGL_draw_buffers");
+        }
         attachmentPoint = COLOR_ATTACHMENT0 + colorAttachmentCount++;
+        framebufferInfo.drawBuffers.push(attachmentPoint);
+        clearBufferSuffix = getClearBufferSuffixForInternalFormat(attachmentOptions.internalFormat || format || RGBA);
       }
       if (!attachment) {
-        if (isRenderbufferFormat(format)) {
+        if (isRenderbufferFormat(format) || attachmentOptions.samples) {
           attachment = gl.createRenderbuffer();
           gl.bindRenderbuffer(gl.RENDERBUFFER, attachment);
-          gl.renderbufferStorage(gl.RENDERBUFFER, format, width, height);
+          setRenderbufferStorage(gl, attachmentOptions, width, height);
         } else {
           var textureOptions = utils.shallowCopy(attachmentOptions);
           textureOptions.width = width;
@@ -228,25 +427,118 @@ define([
       if (attachment instanceof WebGLRenderbuffer) {
         gl.framebufferRenderbuffer(target, attachmentPoint, gl.RENDERBUFFER, attachment);
       } else if (attachment instanceof WebGLTexture) {
-        gl.framebufferTexture2D(
-            target,
-            attachmentPoint,
-            attachmentOptions.texTarget || gl.TEXTURE_2D,
-            attachment,
-            attachmentOptions.level || 0);
+        attachTexture(gl, target, attachmentPoint, attachment, attachmentOptions);
       } else {
         throw "unknown attachment type";
       }
       framebufferInfo.attachments.push(attachment);
+      framebufferInfo.attachmentPoints.push(attachmentPoint);
+      framebufferInfo.ownedAttachments.push(!attachmentOptions.attachment);
+      clearBufferSuffixes.push(clearBufferSuffix);
+    });
+    if (colorAttachmentCount > 1) {
+      setDrawBuffers(gl, framebufferInfo.drawBuffers);
+    }
+    framebufferStates.set(fb, {
+      clearBufferSuffixes: clearBufferSuffixes,
+      drawBuffers: framebufferInfo.drawBuffers,
+      // the options each texture was last attached with by retargetFramebufferInfo
+      retargetedOptions: [],
     });
+    var resolveAttachments = getResolveAttachments(attachments);
+    if (resolveAttachments) {
+      framebufferInfo.resolveFramebufferInfo = createFramebufferInfoFromAttachments(gl, resolveAttachments, width, height);
+      gl.bindFramebuffer(target, fb);
+    }
     return framebufferInfo;
   }
 
+  // In WebGL2 binding FRAMEBUFFER also binds READ_FRAMEBUFFER so these only touch the draw binding
+  function getDrawFramebufferTarget(gl) {
+    return utils.isWebGL2(gl) ? gl.DRAW_FRAMEBUFFER : gl.FRAMEBUFFER;
+  }
+
+  function getDrawFramebufferBinding(gl) {
+    return gl.getParameter(utils.isWebGL2(gl) ? gl.DRAW_FRAMEBUFFER_BINDING : gl.FRAMEBUFFER_BINDING);
+  }
+
+  /**
+   * Checks if a framebuffer is complete.
+   *
+   * {@link module:twgl.createFramebufferInfo} and {@link module:twgl.resizeFramebufferInfo}
+   * already call this and report any problem with `console.error`. Call it yourself
+   * if you change the attachments.
+   *
+   * If the framebuffer is not complete the returned message has the status and
+   * the format of each attachment, including any extension the format needs, for example
+   *
+   *     framebuffer incomplete: FRAMEBUFFER_INCOMPLETE_ATTACHMENT
+   *       COLOR_ATTACHMENT0: RGBA32F texture (requires EXT_color_buffer_float)
+   *       DEPTH_STENCIL_ATTACHMENT: DEPTH_STENCIL renderbuffer
+   *
+   * For a multisampled framebuffer `resolveFramebufferInfo` is checked too. Its message starts
+   * with `resolveFramebufferInfo framebuffer incomplete:`.
+   *
+   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
+   * @param {module:twgl.FramebufferInfo} framebufferInfo a framebufferInfo as returned from {@link module:twgl.createFramebufferInfo}.
+   * @return {string|undefined} undefined if the framebuffer is complete, otherwise a message saying why not.
+   * @memberOf module:twgl/framebuffers
+   */
+  function checkFramebufferInfo(gl, framebufferInfo) {
+    var target = getDrawFramebufferTarget(gl);
+    var oldFramebuffer = getDrawFramebufferBinding(gl);
+    gl.bindFramebuffer(target, framebufferInfo.framebuffer);
+    var status = gl.checkFramebufferStatus(target);
+    gl.bindFramebuffer(target, oldFramebuffer);
+    if (status !== FRAMEBUFFER_COMPLETE) {
+      var attachments = framebufferInfo.attachmentOptions || defaultAttachments;
+      var lines = framebufferInfo.attachments.map(function(attachment, ndx) {
+        return "  " + describeAttachment(gl, attachments[ndx] || {}, attachment, framebufferInfo.attachmentPoints[ndx]);
+      });
+      return ["framebuffer incomplete: " + textures.glEnumToString(gl, status)].concat(lines).join("\n");
+    }
+    if (framebufferInfo.resolveFramebufferInfo) {
+      var resolveProblem = checkFramebufferInfo(gl, framebufferInfo.resolveFramebufferInfo);
+      if (resolveProblem) {
+        return "resolveFramebufferInfo " + resolveProblem;
+      }
+    }
+    return undefined;
+  }
+
+  function resizeFramebufferInfoAttachments(gl, framebufferInfo, attachments, width, height) {
+    framebufferInfo.width = width;
+    framebufferInfo.height = height;
+    attachments = attachments || framebufferInfo.attachmentOptions || defaultAttachments;
+    var state = framebufferStates.get(framebufferInfo.framebuffer);
+    var target = getDrawFramebufferTarget(gl);
+    var oldFramebuffer = getDrawFramebufferBinding(gl);
+    gl.bindFramebuffer(target, framebufferInfo.framebuffer);
+    attachments.forEach(function(attachmentOptions, ndx) {
+      var attachment = framebufferInfo.attachments[ndx];
+      if (attachment instanceof WebGLRenderbuffer) {
+        gl.bindRenderbuffer(gl.RENDERBUFFER, attachment);
+        setRenderbufferStorage(gl, attachmentOptions, width, height);
+      } else if (attachment instanceof WebGLTexture) {
+        textures.resizeTexture(gl, attachment, attachmentOptions, width, height);
+        // re-attach the face or layer that was attached before
+        var attachOptions = (state && state.retargetedOptions[ndx]) || attachmentOptions;
+        attachTexture(gl, target, framebufferInfo.attachmentPoints[ndx], attachment, attachOptions);
+      } else {
+        throw "unknown attachment type";
+      }
+    });
+    gl.bindFramebuffer(target, oldFramebuffer);
+    if (framebufferInfo.resolveFramebufferInfo) {
+      resizeFramebufferInfoAttachments(gl, framebufferInfo.resolveFramebufferInfo, getResolveAttachments(attachments), width, height);
+    }
+  }
+
   /**
    * Resizes the attachments of a framebuffer.
    *
-   * You need to pass in the same `attachments` as you passed in {@link module:twgl.createFramebufferInfo}
-   * because TWGL has no idea the format/type of each attachment.
+   * The attachments are resized using the `attachmentOptions` the framebufferInfo was
+   * created with unless you pass in others.
    *
    * The simplest usage
    *
@@ -278,9 +570,13 @@ define([
    *         twgl.resizeFramebufferInfo(gl, fbi, attachments);
    *       }
    *
+   * The resized framebuffer is checked with {@link module:twgl.checkFramebufferInfo} and
+   * any problem is reported with `console.error`.
+   *
    * @param {WebGLRenderingContext} gl the WebGLRenderingContext
    * @param {module:twgl.FramebufferInfo} framebufferInfo a framebufferInfo as returned from {@link module:twgl.createFramebufferInfo}.
    * @param {module:twgl.AttachmentOptions[]} [attachments] the same attachments options as passed to {@link module:twgl.createFramebufferInfo}.
+   *    Defaults to `framebufferInfo.attachmentOptions`.
    * @param {number} [width] the width for the attachments. Default = size of drawingBuffer
    * @param {number} [height] the height for the attachments. Defautt = size of drawingBuffer
    * @memberOf module:twgl/framebuffers
@@ -288,21 +584,632 @@ define([
   function resizeFramebufferInfo(gl, framebufferInfo, attachments, width, height) {
     width  = width  || gl.drawingBufferWidth;
     height = height || gl.drawingBufferHeight;
-    framebufferInfo.width = width;
-    framebufferInfo.height = height;
-    attachments = attachments || defaultAttachments;
-    attachments.forEach(function(attachmentOptions, ndx) {
-      var attachment = framebufferInfo.attachments[ndx];
-      var format = attachmentOptions.format;
+    resizeFramebufferInfoAttachments(gl, framebufferInfo, attachments, width, height);
+    var problem = checkFramebufferInfo(gl, framebufferInfo);
+    if (problem) {
+      utils.error(problem);
+    }
+  }
+
+  /**
+   * Deletes a framebuffer and the attachments that were created for it.
+   *
+   * Attachments that were passed in via the `attachment` option were not created by TWGL
+   * and so are not deleted.
+   *
+   * Example:
+   *
+   *     var attachments = [
+   *       { format: RGB565, mag: NEAREST },
+   *       { attachment: someSharedDepthRenderbuffer },
+   *     ]
+   *     var fbi = twgl.createFramebufferInfo(gl, attachments);
+   *
+   *     ...
+   *
+   *     // deletes the framebuffer and the RGB565 renderbuffer but not someSharedDepthRenderbuffer
+   *     twgl.deleteFramebufferInfo(gl, fbi);
+   *
+   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
+   * @param {module:twgl.FramebufferInfo} framebufferInfo a framebufferInfo as returned from {@link module:twgl.createFramebufferInfo}.
+   * @memberOf module:twgl/framebuffers
+   */
+  function deleteFramebufferInfo(gl, framebufferInfo) {
+    contextRestoration.untrack(gl, framebufferInfo);
+    gl.deleteFramebuffer(framebufferInfo.framebuffer);
+    framebufferInfo.attachments.forEach(function(attachment, ndx) {
+      if (!framebufferInfo.ownedAttachments[ndx]) {
+        return;
+      }
       if (attachment instanceof WebGLRenderbuffer) {
-        gl.bindRenderbuffer(gl.RENDERBUFFER, attachment);
-        gl.renderbufferStorage(gl.RENDERBUFFER, format, width, height);
+        gl.deleteRenderbuffer(attachment);
       } else if (attachment instanceof WebGLTexture) {
-        textures.resizeTexture(gl, attachment, attachmentOptions, width, height);
-      } else {
-        throw "unknown attachment type";
+        gl.deleteTexture(attachment);
       }
     });
+    if (framebufferInfo.resolveFramebufferInfo) {
+      deleteFramebufferInfo(gl, framebufferInfo.resolveFramebufferInfo);
+    }
+  }
+
+  /**
+   * Creates a framebuffer and attachments.
+   *
+   * This returns a {@link module:twgl.FramebufferInfo} because it needs to return the attachments as well as the framebuffer.
+   *
+   * The simplest usage
+   *
+   *     // create an RGBA/UNSIGNED_BYTE texture and DEPTH_STENCIL renderbuffer
+   *     var fbi = twgl.createFramebufferInfo(gl);
+   *
+   * More complex usage
+   *
+   *     // create an RGB565 renderbuffer and a STENCIL_INDEX8 renderbuffer
+   *     var attachments = [
+   *       { format: RGB565, mag: NEAREST },
+   *       { format: STENCIL_INDEX8 },
+   *     ]
+   *     var fbi = twgl.createFramebufferInfo(gl, attachments);
+   *
+   * Passing in a specific size
+   *
+   *     var width = 256;
+   *     var height = 256;
+   *     var fbi = twgl.createFramebufferInfo(gl, attachments, width, height);
+   *
+   * Multiple render targets
+   *
+   *     // 3 color attachments for a G-buffer plus depth
+   *     var fbi = twgl.createFramebufferInfo(gl, [
+   *       { internalFormat: gl.RGBA8, },    // albedo
+   *       { internalFormat: gl.RGBA16F, },  // normals
+   *       { internalFormat: gl.R32UI, },    // object ids
+   *       { format: gl.DEPTH_STENCIL, },
+   *     ]);
+   *
+   * When there is more than 1 color attachment `gl.drawBuffers` is called so all of them
+   * are drawn to. In WebGL1 this uses the `WEBGL_draw_buffers` extension. Without it, attachments
+   * with more than 1 color attachment are skipped before anything is created so a list of alternatives
+   * can fall back to a single color attachment. If there is nothing left to fall back to an exception is thrown.
+   * See {@link module:twgl.bindFramebufferInfo} to draw to only some of them.
+   *
+   * Multisampled (WebGL2 only)
+   *
+   *     var fbi = twgl.createFramebufferInfo(gl, [
+   *       { internalFormat: gl.RGBA8, samples: 4, },
+   *       { format: gl.DEPTH_STENCIL, samples: 4, },
+   *     ]);
+   *
+   * If any attachment has `samples` then `resolveFramebufferInfo` is also created with a
+   * single sampled texture for each color attachment. Call {@link module:twgl.resolveFramebufferInfo}
+   * after rendering and then use `fbi.resolveFramebufferInfo.attachments[0]` as a texture.
+   *
+   * Rendering to a cube map face or a layer of a 2D array texture (WebGL2)
+   *
+   *     var fbi = twgl.createFramebufferInfo(gl, [
+   *       { target: gl.TEXTURE_CUBE_MAP, texTarget: gl.TEXTURE_CUBE_MAP_NEGATIVE_Z, },
+   *       { format: gl.DEPTH_COMPONENT16, },
+   *     ], 256, 256);
+   *
+   *     var shadowFbi = twgl.createFramebufferInfo(gl, [
+   *       { target: gl.TEXTURE_2D_ARRAY, internalFormat: gl.DEPTH_COMPONENT32F, depth: 4, layer: 0, },
+   *     ], 1024, 1024);
+   *
+   * See {@link module:twgl.retargetFramebufferInfo} to switch faces, layers or mip levels.
+   *
+   * Falling back to other attachments
+   *
+   *     // try a float texture, then a half float texture, then an 8 bit texture
+   *     var fbi = twgl.createFramebufferInfo(gl, [
+   *       [ { internalFormat: gl.RGBA32F, }, ],
+   *       [ { internalFormat: gl.RGBA16F, }, ],
+   *       [ { internalFormat: gl.RGBA8, }, ],
+   *     ]);
+   *     // fbi.attachmentOptions says which ones were used
+   *
+   * **Note!!** [WebGL only guarantees 3 combinations of attachments work](https://www.khronos.org/registry/webgl/specs/latest/1.0/#6.6).
+   * The framebuffer is checked with {@link module:twgl.checkFramebufferInfo} and if it is not complete
+   * the reason is reported with `console.error`. If a list of attachments was passed in each is tried in order
+   * until one is complete. If none are the last one is returned.
+   *
+   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
+   * @param {module:twgl.AttachmentOptions[]|Array.<module:twgl.AttachmentOptions[]>} [attachments] which attachments to create,
+   *    or a list of alternative attachments to try in order. If not provided the default is a framebuffer with an
+   *    `RGBA`, `UNSIGNED_BYTE` texture `COLOR_ATTACHMENT0` and a `DEPTH_STENCIL` renderbuffer `DEPTH_STENCIL_ATTACHMENT`.
+   * @param {number} [width] the width for the attachments. Default = size of drawingBuffer
+   * @param {number} [height] the height for the attachments. Defautt = size of drawingBuffer
+   * @return {module:twgl.FramebufferInfo} the framebuffer and attachments.
+   * @memberOf module:twgl/framebuffers
+   */
+  function createFramebufferInfo(gl, attachments, width, height) {
+    width  = width  || gl.drawingBufferWidth;
+    height = height || gl.drawingBufferHeight;
+    var attachmentsList = attachments && Array.isArray(attachments[0]) ? attachments : [attachments || defaultAttachments];
+    var framebufferInfo;
+    var problems = [];
+    for (var ii = 0; ii < attachmentsList.length; ++ii) {
+      var problem = getUnsupportedAttachmentsProblem(gl, attachmentsList[ii]);
+      if (problem) {
+        // nothing was allocated so just try the next one
+        problems.push(problem);
+        if (ii < attachmentsList.length - 1) {
+          continue;
+        }
+        throw problems.join("\n");
+      }
+      framebufferInfo = createFramebufferInfoFromAttachments(gl, attachmentsList[ii], width, height);
+      problem = checkFramebufferInfo(gl, framebufferInfo);
+      if (!problem) {
+        break;
+      }
+      problems.push(problem);
+      if (ii < attachmentsList.length - 1) {
+        deleteFramebufferInfo(gl, framebufferInfo);
+      }
+    }
+    if (problems.length === attachmentsList.length) {
+      utils.error(problems.join("\n"));
+    }
+    if (framebufferInfo.ownedAttachments.every(Boolean)) {
+      contextRestoration.track(gl, framebufferInfo, function() {
+        // use the current size in case it was resized.
+        return createFramebufferInfo(gl, attachments, framebufferInfo.width, framebufferInfo.height);
+      });
+    } else {
+      contextRestoration.warnNotRestorable(gl, "a FramebufferInfo with an attachment you passed in");
+    }
+    return framebufferInfo;
+  }
+
+  function getDrawBuffersForIndices(framebufferInfo, indices) {
+    return framebufferInfo.drawBuffers.map(function(attachmentPoint, ndx) {
+      return indices.indexOf(ndx) >= 0 ? attachmentPoint : NONE;
+    });
+  }
+
+  function sameBuffers(a, b) {
+    return a.length === b.length && a.every(function(v, ndx) {
+      return v === b[ndx];
+    });
+  }
+
+  // Draw buffers are framebuffer state so only call drawBuffers when they change.
+  function updateDrawBuffers(gl, framebufferInfo, indices) {
+    var state = framebufferStates.get(framebufferInfo.framebuffer);
+    if (!state || framebufferInfo.drawBuffers.length < 2) {
+      return;
+    }
+    var buffers = indices ? getDrawBuffersForIndices(framebufferInfo, indices) : framebufferInfo.drawBuffers;
+    if (!sameBuffers(buffers, state.drawBuffers)) {
+      setDrawBuffers(gl, buffers);
+      state.drawBuffers = buffers;
+    }
+  }
+
+  /**
+   * Clears one attachment of a framebuffer using `gl.clearBufferfv`, `gl.clearBufferiv`,
+   * `gl.clearBufferuiv` or `gl.clearBufferfi` depending on the attachment's format.
+   * Unlike `gl.clear` this lets you clear integer attachments and clear each attachment
+   * to a different value.
+   *
+   * The framebuffer must be bound as the draw framebuffer. A color attachment that is
+   * not currently being drawn to (see {@link module:twgl.bindFramebufferInfo}) is not cleared.
+   *
+   * Example:
+   *
+   *     twgl.bindFramebufferInfo(gl, fbi);
+   *     twgl.clearFramebufferInfoAttachment(gl, fbi, 0, [0, 0, 0, 1]);  // RGBA8
+   *     twgl.clearFramebufferInfoAttachment(gl, fbi, 2, [0xFFFFFFFF, 0, 0, 0]);  // R32UI
+   *     twgl.clearFramebufferInfoAttachment(gl, fbi, 3, [1, 0]);  // depth = 1, stencil = 0
+   *
+   * Note: WebGL2 only.
+   *
+   * @param {WebGL2RenderingContext} gl the WebGL2RenderingContext
+   * @param {module:twgl.FramebufferInfo} framebufferInfo a framebufferInfo as returned from {@link module:twgl.createFramebufferInfo}.
+   * @param {number} ndx the index of the attachment in the attachments passed to {@link module:twgl.createFramebufferInfo}.
+   * @param {number|number[]} [value] the value to clear to. For color attachments 4 values, default `[0, 0, 0, 0]`.
+   *   For depth the depth, default 1. For stencil the stencil value, default 0. For depth stencil `[depth, stencil]`,
+   *   default `[1, 0]`.
+   * @memberOf module:twgl/framebuffers
+   */
+  function clearFramebufferInfoAttachment(gl, framebufferInfo, ndx, value) {
+    var attachmentPoint = framebufferInfo.attachmentPoints[ndx];
+    if (attachmentPoint === undefined) {
+      throw "no attachment at index " + ndx;
+    } else if (attachmentPoint === DEPTH_ATTACHMENT) {
+      gl.clearBufferfv(DEPTH, 0, [value === undefined ? 1 : value]);
+    } else if (attachmentPoint === STENCIL_ATTACHMENT) {
+      gl.clearBufferiv(STENCIL, 0, [value || 0]);
+    } else if (attachmentPoint === DEPTH_STENCIL_ATTACHMENT) {
+      value = value || [1, 0];
+      gl.clearBufferfi(DEPTH_STENCIL, 0, value[0], value[1]);
+    } else {
+      var state = framebufferStates.get(framebufferInfo.framebuffer);
+      var suffix = state.clearBufferSuffixes[ndx];
+      gl["clearBuffer" + suffix](COLOR, attachmentPoint - COLOR_ATTACHMENT0, value || [0, 0, 0, 0]);
+    }
+  }
+
+  /**
+   * Clears each attachment of a framebuffer to its own value.
+   * See {@link module:twgl.clearFramebufferInfoAttachment}.
+   *
+   * Example:
+   *
+   *     twgl.bindFramebufferInfo(gl, fbi);
+   *     twgl.clearFramebufferInfo(gl, fbi, [
+   *       [0, 0, 0, 1],  // albedo
+   *       [0, 0, 1, 0],  // normals
+   *       [0, 0, 0, 0],  // object ids
+   *       [1, 0],        // depth stencil
+   *     ]);
+   *
+   * Note: WebGL2 only.
+   *
+   * @param {WebGL2RenderingContext} gl the WebGL2RenderingContext
+   * @param {module:twgl.FramebufferInfo} framebufferInfo a framebufferInfo as returned from {@link module:twgl.createFramebufferInfo}.
+   * @param {Array.<(number|number[])>} [values] the value for each attachment in the same order as the attachments
+   *   passed to {@link module:twgl.createFramebufferInfo}. Missing values use the defaults.
+   * @memberOf module:twgl/framebuffers
+   */
+  function clearFramebufferInfo(gl, framebufferInfo, values) {
+    values = values || [];
+    framebufferInfo.attachmentPoints.forEach(function(attachmentPoint, ndx) {
+      clearFramebufferInfoAttachment(gl, framebufferInfo, ndx, values[ndx]);
+    });
+  }
+
+  /**
+   * Resolves a multisampled framebuffer into a single sampled one using `gl.blitFramebuffer`
+   * so the result can be used as a texture. Each color attachment is resolved into the
+   * color attachment with the same index.
+   *
+   * Example:
+   *
+   *     var fbi = twgl.createFramebufferInfo(gl, [
+   *       { internalFormat: gl.RGBA8, samples: 4, },
+   *       { format: gl.DEPTH_STENCIL, samples: 4, },
+   *     ]);
+   *
+   *     ...
+   *
+   *     twgl.bindFramebufferInfo(gl, fbi);
+   *     drawScene();
+   *     twgl.resolveFramebufferInfo(gl, fbi);
+   *
+   *     // use the resolved texture
+   *     twgl.setUniforms(programInfo, { u_texture: fbi.resolveFramebufferInfo.attachments[0] });
+   *
+   * Leaves both `gl.READ_FRAMEBUFFER` and `gl.DRAW_FRAMEBUFFER` bound to `null`.
+   *
+   * Note: WebGL2 only.
+   *
+   * @param {WebGL2RenderingContext} gl the WebGL2RenderingContext
+   * @param {module:twgl.FramebufferInfo} framebufferInfo a multisampled framebufferInfo as returned from {@link module:twgl.createFramebufferInfo}.
+   * @param {module:twgl.FramebufferInfo} [dstFramebufferInfo] the framebufferInfo to resolve into. Must be the same size.
+   *    Defaults to `framebufferInfo.resolveFramebufferInfo`.
+   * @memberOf module:twgl/framebuffers
+   */
+  function resolveFramebufferInfo(gl, framebufferInfo, dstFramebufferInfo) {
+    dstFramebufferInfo = dstFramebufferInfo || framebufferInfo.resolveFramebufferInfo;
+    if (!dstFramebufferInfo) {
+      throw "no framebufferInfo to resolve into";
+    }
+    var width = framebufferInfo.width;
+    var height = framebufferInfo.height;
+    var srcBuffers = framebufferInfo.drawBuffers;
+    var dstBuffers = dstFramebufferInfo.drawBuffers;
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, framebufferInfo.framebuffer);
+    gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, dstFramebufferInfo.framebuffer);
+    if (srcBuffers.length < 2) {
+      gl.blitFramebuffer(0, 0, width, height, 0, 0, width, height, COLOR_BUFFER_BIT, gl.NEAREST);
+    } else {
+      // blitFramebuffer reads 1 buffer so resolve one color attachment at a time
+      var count = Math.min(srcBuffers.length, dstBuffers.length);
+      for (var ii = 0; ii < count; ++ii) {
+        gl.readBuffer(srcBuffers[ii]);
+        setDrawBuffers(gl, getDrawBuffersForIndices(dstFramebufferInfo, [ii]));
+        gl.blitFramebuffer(0, 0, width, height, 0, 0, width, height, COLOR_BUFFER_BIT, gl.NEAREST);
+      }
+      gl.readBuffer(srcBuffers[0]);
+      setDrawBuffers(gl, framebufferStates.get(dstFramebufferInfo.framebuffer).drawBuffers);
+    }
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+    gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, null);
+  }
+
+  // cube maps are retargeted by face, 3D and 2D array textures by layer
+  var cubeMapRetargetOptionNames = ['texTarget', 'level'];
+  var layerRetargetOptionNames = ['layer', 'level'];
+
+  var floatTypes = {};
+  floatTypes[FLOAT] = true;
+  floatTypes[HALF_FLOAT] = true;
+  floatTypes[HALF_FLOAT_OES] = true;
+
+  /**
+   * Gets the `gl.readPixels` format and type for a color attachment. These are the
+   * combinations WebGL always supports so they always have 4 components.
+   * @private
+   */
+  function getReadFormatAndType(attachmentOptions) {
+    var formatType = textures.getFormatAndTypeForInternalFormat(attachmentOptions.internalFormat || attachmentOptions.format || RGBA);
+    if (integerFormats[formatType.format]) {
+      return {
+        format: RGBA_INTEGER,
+        type: signedTypes[formatType.type] ? INT : UNSIGNED_INT,
+        ArrayType: signedTypes[formatType.type] ? Int32Array : Uint32Array,
+      };
+    }
+    if (floatTypes[formatType.type] || floatTypes[attachmentOptions.type]) {
+      return { format: RGBA, type: FLOAT, ArrayType: Float32Array, };
+    }
+    return { format: RGBA, type: UNSIGNED_BYTE, ArrayType: Uint8Array, };
+  }
+
+  /**
+   * Options for {@link module:twgl.readFramebufferInfoPixels}
+   *
+   * @typedef {Object} ReadPixelsOptions
+   * @property {number} [attachment] The index of the color attachment to read in the attachments passed
+   *    to {@link module:twgl.createFramebufferInfo}. Default = 0.
+   * @property {number} [x] The left edge of the area to read. Default = 0.
+   * @property {number} [y] The bottom edge of the area to read. Default = 0.
+   * @property {number} [width] The width of the area to read. Default = the width of the framebuffer minus `x`.
+   * @property {number} [height] The height of the area to read. Default = the height of the framebuffer minus `y`.
+   * @property {boolean} [flipY] If true the rows are flipped so the first row is the top. Default = false.
+   * @property {ArrayBufferView} [dst] A typed array to read into. If not passed one of the correct type is made.
+   * @memberOf module:twgl
+   */
+
+  function getReadPixelsInfo(gl, framebufferInfo, options) {
+    options = options || {};
+    var ndx = options.attachment || 0;
+    var attachmentOptions = (framebufferInfo.attachmentOptions || defaultAttachments)[ndx] || {};
+    var attachmentPoint = framebufferInfo.attachmentPoints[ndx];
+    if (!isColorAttachment(attachmentOptions) || attachmentPoint === undefined) {
+      throw "attachment " + ndx + " is not a color attachment";
+    }
+    if (attachmentOptions.samples) {
+      throw "can not read a multisampled attachment. Call resolveFramebufferInfo and read fbi.resolveFramebufferInfo";
+    }
+    if (attachmentPoint !== COLOR_ATTACHMENT0 && !utils.isWebGL2(gl)) {
+      throw "WebGL1 can only read COLOR_ATTACHMENT0";
+    }
+    var readFormatType = getReadFormatAndType(attachmentOptions);
+    var x = options.x || 0;
+    var y = options.y || 0;
+    var width = options.width || framebufferInfo.width - x;
+    var height = options.height || framebufferInfo.height - y;
+    var numElements = width * height * 4;
+    var dst = options.dst || new readFormatType.ArrayType(numElements);
+    if (dst.length < numElements) {
+      throw "dst is too small. Need " + numElements + " elements";
+    }
+    return {
+      attachmentPoint: attachmentPoint,
+      x: x,
+      y: y,
+      width: width,
+      height: height,
+      format: readFormatType.format,
+      type: readFormatType.type,
+      dst: dst,
+      flipY: options.flipY,
+    };
+  }
+
+  /**
+   * Binds the framebuffer for reading the attachment and returns a function
+   * that puts the old framebuffer and the framebuffer's old read buffer back.
+   * @private
+   */
+  function bindForReading(gl, framebufferInfo, attachmentPoint) {
+    var webgl2 = utils.isWebGL2(gl);
+    var target = webgl2 ? gl.READ_FRAMEBUFFER : gl.FRAMEBUFFER;
+    var oldFramebuffer = gl.getParameter(webgl2 ? gl.READ_FRAMEBUFFER_BINDING : gl.FRAMEBUFFER_BINDING);
+    var oldReadBuffer;
+    gl.bindFramebuffer(target, framebufferInfo.framebuffer);
+    if (webgl2) {
+      // the read buffer is per framebuffer so get it after binding
+      oldReadBuffer = gl.getParameter(gl.READ_BUFFER);
+      gl.readBuffer(attachmentPoint);
+    }
+    return function() {
+      if (webgl2) {
+        gl.readBuffer(oldReadBuffer);
+      }
+      gl.bindFramebuffer(target, oldFramebuffer);
+    };
+  }
+
+  function flipRows(data, width, height) {
+    var rowSize = width * 4;
+    var temp = new data.constructor(rowSize);
+    for (var top = 0; top < Math.floor(height / 2); ++top) {
+      var bottom = height - 1 - top;
+      var topRow = data.subarray(top * rowSize, (top + 1) * rowSize);
+      var bottomRow = data.subarray(bottom * rowSize, (bottom + 1) * rowSize);
+      temp.set(topRow);
+      topRow.set(bottomRow);
+      bottomRow.set(temp);
+    }
+  }
+
+  /**
+   * Reads the pixels of a color attachment of a framebuffer into a typed array.
+   *
+   * The format and type are chosen from the attachment's internal format.
+   *
+   * *   normalized formats like `gl.RGBA8` are read as `gl.RGBA`/`gl.UNSIGNED_BYTE` into a `Uint8Array`
+   * *   float formats like `gl.RGBA16F` are read as `gl.RGBA`/`gl.FLOAT` into a `Float32Array`
+   * *   signed integer formats like `gl.R32I` are read as `gl.RGBA_INTEGER`/`gl.INT` into an `Int32Array`
+   * *   unsigned integer formats like `gl.R32UI` are read as `gl.RGBA_INTEGER`/`gl.UNSIGNED_INT` into a `Uint32Array`
+   *
+   * These are the combinations WebGL always supports so there are always 4 values per pixel
+   * even for formats with fewer channels.
+   *
+   * Example:
+   *
+   *     // read the object id under the mouse from an R32UI attachment
+   *     var ids = twgl.readFramebufferInfoPixels(gl, fbi, {
+   *       attachment: 1, x: mouseX, y: fbi.height - mouseY - 1, width: 1, height: 1,
+   *     });
+   *     var id = ids[0];
+   *
+   *     // take a screenshot
+   *     var pixels = twgl.readFramebufferInfoPixels(gl, fbi, { flipY: true, });
+   *
+   * This blocks until the GPU has finished rendering. See {@link module:twgl.readFramebufferInfoPixelsAsync}.
+   *
+   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
+   * @param {module:twgl.FramebufferInfo} framebufferInfo a framebufferInfo as returned from {@link module:twgl.createFramebufferInfo}.
+   * @param {module:twgl.ReadPixelsOptions} [options] what to read.
+   * @return {ArrayBufferView} the pixels, 4 values per pixel.
+   * @memberOf module:twgl/framebuffers
+   */
+  function readFramebufferInfoPixels(gl, framebufferInfo, options) {
+    var info = getReadPixelsInfo(gl, framebufferInfo, options);
+    var unbind = bindForReading(gl, framebufferInfo, info.attachmentPoint);
+    gl.readPixels(info.x, info.y, info.width, info.height, info.format, info.type, info.dst);
+    unbind();
+    if (info.flipY) {
+      flipRows(info.dst, info.width, info.height);
+    }
+    return info.dst;
+  }
+
+  /**
+   * Reads the pixels of a color attachment of a framebuffer without blocking.
+   *
+   * The pixels are read into a `gl.PIXEL_PACK_BUFFER` and copied out once a fence sync
+   * says the GPU is done so rendering can continue in the meantime.
+   * The format, type and options are the same as {@link module:twgl.readFramebufferInfoPixels}.
+   *
+   * Example:
+   *
+   *     twgl.readFramebufferInfoPixelsAsync(gl, fbi, { attachment: 1, x: mouseX, y: mouseY, width: 1, height: 1, })
+   *     .then(function(ids) {
+   *       hovered = ids[0];
+   *     });
+   *
+   * Note: WebGL2 only.
+   *
+   * @param {WebGL2RenderingContext} gl the WebGL2RenderingContext
+   * @param {module:twgl.FramebufferInfo} framebufferInfo a framebufferInfo as returned from {@link module:twgl.createFramebufferInfo}.
+   * @param {module:twgl.ReadPixelsOptions} [options] what to read.
+   * @return {Promise<ArrayBufferView>} A Promise of the pixels, 4 values per pixel. Rejected with a message if
+   *    the options are invalid, the context is not WebGL2 or the context is lost.
+   * @memberOf module:twgl/framebuffers
+   */
+  function readFramebufferInfoPixelsAsync(gl, framebufferInfo, options) {
+    if (!gl.fenceSync) {
+      return Promise.reject("readFramebufferInfoPixelsAsync requires WebGL2");
+    }
+    var info;
+    try {
+      info = getReadPixelsInfo(gl, framebufferInfo, options);
+    } catch (e) {
+      return Promise.reject(e);
+    }
+    var dst = info.dst;
+    var oldBuffer = gl.getParameter(gl.PIXEL_PACK_BUFFER_BINDING);
+    var buffer = gl.createBuffer();
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, buffer);
+    gl.bufferData(gl.PIXEL_PACK_BUFFER, dst.byteLength, gl.STREAM_READ);
+    var unbind = bindForReading(gl, framebufferInfo, info.attachmentPoint);
+    gl.readPixels(info.x, info.y, info.width, info.height, info.format, info.type, 0);
+    unbind();
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, oldBuffer);
+    var sync = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+    gl.flush();
+
+    return new Promise(function(resolve, reject) {
+      function cleanup() {
+        gl.deleteSync(sync);
+        gl.deleteBuffer(buffer);
+      }
+      function check() {
+        var status = gl.clientWaitSync(sync, 0, 0);
+        if (status === gl.WAIT_FAILED || gl.isContextLost()) {
+          cleanup();
+          reject("could not read pixels");
+        } else if (status === gl.TIMEOUT_EXPIRED) {
+          setTimeout(check, 10);
+        } else {
+          var currentBuffer = gl.getParameter(gl.PIXEL_PACK_BUFFER_BINDING);
+          gl.bindBuffer(gl.PIXEL_PACK_BUFFER, buffer);
+          gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, dst);
+          gl.bindBuffer(gl.PIXEL_PACK_BUFFER, currentBuffer);
+          cleanup();
+          if (info.flipY) {
+            flipRows(dst, info.width, info.height);
+          }
+          resolve(dst);
+        }
+      }
+      check();
+    });
+  }
+
+  /**
+   * Attaches a different cube map face, layer or mip level of the textures of an existing framebuffer
+   * without recreating it.
+   *
+   * Example:
+   *
+   *     // render a dynamic environment map
+   *     var envFbi = twgl.createFramebufferInfo(gl, [
+   *       { target: gl.TEXTURE_CUBE_MAP, },
+   *       { format: gl.DEPTH_COMPONENT16, },
+   *     ], 256, 256);
+   *
+   *     for (var face = 0; face < 6; ++face) {
+   *       twgl.retargetFramebufferInfo(gl, envFbi, { texTarget: gl.TEXTURE_CUBE_MAP_POSITIVE_X + face, });
+   *       drawSceneForFace(face);
+   *     }
+   *
+   *     // render each cascade of a shadow map array
+   *     for (var cascade = 0; cascade < 4; ++cascade) {
+   *       twgl.retargetFramebufferInfo(gl, shadowFbi, { layer: cascade, });
+   *       drawShadowCasters(cascade);
+   *     }
+   *
+   * Binds the framebuffer and sets the viewport to the size of the mip level.
+   *
+   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
+   * @param {module:twgl.FramebufferInfo} framebufferInfo a framebufferInfo as returned from {@link module:twgl.createFramebufferInfo}.
+   * @param {Object} options what to attach. Any of `texTarget`, `layer` and `level` from {@link module:twgl.AttachmentOptions}.
+   *    The other options come from the options the attachment was created with. `texTarget` only applies to cube maps
+   *    and `layer` only to 3D and 2D array textures.
+   * @param {number} [ndx] the index of the attachment to retarget. If not passed all attachments
+   *    that are cube map, 3D or 2D array textures are retargeted.
+   * @memberOf module:twgl/framebuffers
+   */
+  function retargetFramebufferInfo(gl, framebufferInfo, options, ndx) {
+    var target = gl.FRAMEBUFFER;
+    var attachmentOptionsList = framebufferInfo.attachmentOptions || defaultAttachments;
+    var state = framebufferStates.get(framebufferInfo.framebuffer);
+    gl.bindFramebuffer(target, framebufferInfo.framebuffer);
+    framebufferInfo.attachments.forEach(function(attachment, attachmentNdx) {
+      var attachmentOptions = attachmentOptionsList[attachmentNdx] || {};
+      var retarget = ndx === undefined ? layeredTargets[attachmentOptions.target] : ndx === attachmentNdx;
+      var names = attachmentOptions.target === TEXTURE_CUBE_MAP ? cubeMapRetargetOptionNames : layerRetargetOptionNames;
+      var applies = names.some(function(name) {
+        return options[name] !== undefined;
+      });
+      if (!retarget || !applies || !(attachment instanceof WebGLTexture)) {
+        return;
+      }
+      var textureOptions = utils.shallowCopy(attachmentOptions);
+      utils.copyNamedProperties(names, options, textureOptions);
+      attachTexture(gl, target, framebufferInfo.attachmentPoints[attachmentNdx], attachment, textureOptions);
+      if (state) {
+        state.retargetedOptions[attachmentNdx] = textureOptions;
+      }
+    });
+    var level = options.level || 0;
+    gl.viewport(0, 0, Math.max(1, framebufferInfo.width >> level), Math.max(1, framebufferInfo.height >> level));
   }
 
   /**
@@ -318,18 +1225,32 @@ define([
    *     gl.bindFramebuffer(gl.FRAMEBUFFER, someFramebufferInfo.framebuffer);
    *     gl.viewport(0, 0, someFramebufferInfo.width, someFramebufferInfo.height);
    *
+   * For a framebuffer with more than 1 color attachment you can choose which ones are
+   * drawn to by passing the indices of the color attachments. The others are set to `gl.NONE`.
+   *
+   *     // only draw to the 1st and 3rd color attachments
+   *     twgl.bindFramebufferInfo(gl, fbi, gl.FRAMEBUFFER, [0, 2]);
+   *
+   *     // draw to all of them again
+   *     twgl.bindFramebufferInfo(gl, fbi);
+   *
    * @param {WebGLRenderingContext} gl the WebGLRenderingContext
    * @param {module:twgl.FramebufferInfo} [framebufferInfo] a framebufferInfo as returned from {@link module:twgl.createFramebufferInfo}.
    *   If not passed will bind the canvas.
    * @param {number} [target] The target. If not passed `gl.FRAMEBUFFER` will be used.
+   * @param {number[]} [drawBuffers] The indices of the color attachments to draw to. 0 is the first color attachment.
+   *   If not passed all color attachments are drawn to.
    * @memberOf module:twgl/framebuffers
    */
 
-  function bindFramebufferInfo(gl, framebufferInfo, target) {
+  function bindFramebufferInfo(gl, framebufferInfo, target, drawBuffers) {
     target = target || gl.FRAMEBUFFER;
     if (framebufferInfo) {
       gl.bindFramebuffer(target, framebufferInfo.framebuffer);
       gl.viewport(0, 0, framebufferInfo.width, framebufferInfo.height);
+      if (target !== gl.READ_FRAMEBUFFER) {
+        updateDrawBuffers(gl, framebufferInfo, drawBuffers);
+      }
     } else {
       gl.bindFramebuffer(target, null);
       gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
@@ -340,8 +1261,20 @@ define([
   // No speed diff AFAICT.
   return {
     "bindFramebufferInfo": bindFramebufferInfo,
+    "checkFramebufferInfo": checkFramebufferInfo,
+    "clearFramebufferInfo": clearFramebufferInfo,
+    "clearFramebufferInfoAttachment": clearFramebufferInfoAttachment,
     "createFramebufferInfo": createFramebufferInfo,
+    "deleteFramebufferInfo": deleteFramebufferInfo,
     "resizeFramebufferInfo": resizeFramebufferInfo,
+    "readFramebufferInfoPixels": readFramebufferInfoPixels,
+    "readFramebufferInfoPixelsAsync": readFramebufferInfoPixelsAsync,
+    "resolveFramebufferInfo": resolveFramebufferInfo,
+    "retargetFramebufferInfo": retargetFramebufferInfo,
+
+    "getClearBufferSuffixForInternalFormat_": getClearBufferSuffixForInternalFormat,
+    "getReadFormatAndType_": getReadFormatAndType,
+    "flipRows_": flipRows,
   };
 });
 
@@ -0,0 +1,337 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of his
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+define([], function() {
+  "use strict";
+
+  /**
+   * Radiance HDR (RGBE) related functions.
+   *
+   * Decodes `.hdr` files so they can be used as float textures.
+   * You don't normally need to call these directly. {@link module:twgl.createTexture}
+   * will use them if `src` is a url ending in `.hdr` or if `src` is an `ArrayBuffer`
+   * or typed array containing an `.hdr` file.
+   *
+   * For backward compatibily they are available at both `twgl.hdr` and `twgl`
+   * itself
+   *
+   * See {@link module:twgl} for core functions
+   *
+   * @module twgl/hdr
+   */
+
+  // make sure we don't see a global gl
+  var gl = undefined;  // eslint-disable-line
+
+  /**
+   * A decoded Radiance HDR image.
+   *
+   * @typedef {Object} HDRImage
+   * @property {number} width the width of the image
+   * @property {number} height the height of the image
+   * @property {number} exposure the `EXPOSURE` from the header. 1 if there was none.
+   * @property {Uint8Array} data the pixels as RGBE, 4 bytes per pixel, top row first.
+   *    Use {@link module:twgl/hdr.rgbeToFloat32} or {@link module:twgl/hdr.rgbeToHalfFloat} to convert.
+   * @memberOf module:twgl
+   */
+
+  function toUint8Array(src) {
+    if (src instanceof ArrayBuffer) {
+      return new Uint8Array(src);
+    }
+    return new Uint8Array(src.buffer, src.byteOffset, src.byteLength);
+  }
+
+  function startsWith(bytes, str) {
+    if (bytes.length < str.length) {
+      return false;
+    }
+    for (let ii = 0; ii < str.length; ++ii) {
+      if (bytes[ii] !== str.charCodeAt(ii)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Returns true if `src` is an ArrayBuffer or typed array that contains a Radiance HDR file
+   * @param {*} src thing to check
+   * @return {boolean} true if `src` is an HDR file.
+   * @memberOf module:twgl/hdr
+   */
+  function isHDR(src) {
+    if (!(src instanceof ArrayBuffer || ArrayBuffer.isView(src))) {
+      return false;
+    }
+    const bytes = toUint8Array(src);
+    return startsWith(bytes, "#?RADIANCE") || startsWith(bytes, "#?RGBE");
+  }
+
+  /**
+   * Returns true if `url` looks like a Radiance HDR file based on its extension
+   * @param {string} url the url to check
+   * @return {boolean} true if `url` ends in `.hdr`
+   * @memberOf module:twgl/hdr
+   */
+  function isHDRUrl(url) {
+    return /\.hdr([?#]|$)/i.test(url);
+  }
+
+  function readLine(bytes, state) {
+    let line = "";
+    for (;;) {
+      if (state.offset >= bytes.length) {
+        throw "HDR header is truncated";
+      }
+      const c = bytes[state.offset++];
+      if (c === 0x0A) {
+        return line;
+      }
+      line += String.fromCharCode(c);
+    }
+  }
+
+  function readFlatScanline(bytes, state, scanline, width) {
+    // flat pixels with possible old style run length encoding
+    // where a pixel of 1,1,1,n repeats the previous pixel
+    let shift = 0;
+    let x = 0;
+    while (x < width) {
+      if (state.offset + 4 > bytes.length) {
+        throw "HDR data is truncated";
+      }
+      const r = bytes[state.offset++];
+      const g = bytes[state.offset++];
+      const b = bytes[state.offset++];
+      const e = bytes[state.offset++];
+      if (r === 1 && g === 1 && b === 1) {
+        if (x === 0) {
+          throw "bad HDR run length";
+        }
+        const count = Math.min(e << shift, width - x);
+        for (let ii = 0; ii < count; ++ii) {
+          scanline.copyWithin(x * 4, (x - 1) * 4, x * 4);
+          ++x;
+        }
+        shift += 8;
+      } else {
+        scanline[x * 4 + 0] = r;
+        scanline[x * 4 + 1] = g;
+        scanline[x * 4 + 2] = b;
+        scanline[x * 4 + 3] = e;
+        ++x;
+        shift = 0;
+      }
+    }
+  }
+
+  function readRLEScanline(bytes, state, scanline, width) {
+    // each channel is run length encoded separately
+    for (let channel = 0; channel < 4; ++channel) {
+      let x = 0;
+      while (x < width) {
+        if (state.offset >= bytes.length) {
+          throw "HDR data is truncated";
+        }
+        let count = bytes[state.offset++];
+        const isRun = count > 128;
+        if (isRun) {
+          count -= 128;
+        }
+        if (count === 0 || x + count > width) {
+          throw "bad HDR scanline";
+        }
+        if (state.offset + (isRun ? 1 : count) > bytes.length) {
+          throw "HDR data is truncated";
+        }
+        if (isRun) {
+          const value = bytes[state.offset++];
+          for (let ii = 0; ii < count; ++ii) {
+            scanline[(x++) * 4 + channel] = value;
+          }
+        } else {
+          for (let ii = 0; ii < count; ++ii) {
+            scanline[(x++) * 4 + channel] = bytes[state.offset++];
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Parses a Radiance HDR file.
+   *
+   * Supports flat and run length encoded scanlines. Only the standard
+   * `-Y height +X width` and `+Y height +X width` orientations are supported.
+   *
+   * @param {(ArrayBuffer|ArrayBufferView)} src the contents of the file
+   * @return {module:twgl.HDRImage} the decoded image.
+   * @memberOf module:twgl/hdr
+   */
+  function parseHDR(src) {
+    if (!isHDR(src)) {
+      throw "not an HDR file";
+    }
+    const bytes = toUint8Array(src);
+    const state = { offset: 0 };
+    let exposure = 1;
+    readLine(bytes, state);
+    for (;;) {
+      const line = readLine(bytes, state);
+      if (line === "") {
+        break;
+      }
+      const m = /^(\w+)\s*=\s*(.*)$/.exec(line);
+      if (m) {
+        if (m[1] === "FORMAT" && m[2].trim() !== "32-bit_rle_rgbe") {
+          throw "unsupported HDR format: " + m[2];
+        } else if (m[1] === "EXPOSURE") {
+          exposure *= parseFloat(m[2]);
+        }
+      }
+    }
+    const resolution = /^([-+])Y\s+(\d+)\s+\+X\s+(\d+)$/.exec(readLine(bytes, state).trim());
+    if (!resolution) {
+      throw "unsupported HDR orientation";
+    }
+    const flipY = resolution[1] === "+";
+    const height = parseInt(resolution[2]);
+    const width = parseInt(resolution[3]);
+
+    const data = new Uint8Array(width * height * 4);
+    const scanlineSize = width * 4;
+    for (let y = 0; y < height; ++y) {
+      const row = flipY ? height - 1 - y : y;
+      const scanline = data.subarray(row * scanlineSize, (row + 1) * scanlineSize);
+      const o = state.offset;
+      const isRLE = width >= 8 && width < 0x8000 &&
+                    bytes[o] === 2 && bytes[o + 1] === 2 && !(bytes[o + 2] & 0x80);
+      if (isRLE) {
+        if (((bytes[o + 2] << 8) | bytes[o + 3]) !== width) {
+          throw "bad HDR scanline width";
+        }
+        state.offset += 4;
+        readRLEScanline(bytes, state, scanline, width);
+      } else {
+        readFlatScanline(bytes, state, scanline, width);
+      }
+    }
+
+    return {
+      width: width,
+      height: height,
+      exposure: exposure,
+      data: data,
+    };
+  }
+
+  /**
+   * Converts RGBE data to RGBA floats. Alpha is set to 1.
+   * @param {Uint8Array} rgbe RGBE data. 4 bytes per pixel
+   * @param {Float32Array} [dst] place to store the result. If not passed in one will be created.
+   * @return {Float32Array} RGBA floats. 4 floats per pixel
+   * @memberOf module:twgl/hdr
+   */
+  function rgbeToFloat32(rgbe, dst) {
+    dst = dst || new Float32Array(rgbe.length);
+    for (let ii = 0; ii < rgbe.length; ii += 4) {
+      const e = rgbe[ii + 3];
+      const scale = e ? Math.pow(2, e - 136) : 0;
+      dst[ii + 0] = rgbe[ii + 0] * scale;
+      dst[ii + 1] = rgbe[ii + 1] * scale;
+      dst[ii + 2] = rgbe[ii + 2] * scale;
+      dst[ii + 3] = 1;
+    }
+    return dst;
+  }
+
+  const floatView = new Float32Array(1);
+  const int32View = new Int32Array(floatView.buffer);
+
+  /**
+   * Converts a float to the bits of a half float.
+   *
+   * Values too large for a half float become infinity, values too small become 0.
+   *
+   * @param {number} value the value to convert
+   * @return {number} the half float as a 16 bit integer.
+   * @memberOf module:twgl/hdr
+   */
+  function floatToHalfBits(value) {
+    floatView[0] = value;
+    const x = int32View[0];
+    const sign = (x >> 16) & 0x8000;
+    const biasedExponent = (x >> 23) & 0xFF;
+    const exponent = biasedExponent - 127 + 15;
+    const mantissa = x & 0x7FFFFF;
+    if (exponent >= 0x1F) {
+      // NaN stays NaN, everything else is infinity
+      return sign | 0x7C00 | (biasedExponent === 0xFF && mantissa ? 0x200 : 0);
+    }
+    if (exponent <= 0) {
+      if (exponent < -10) {
+        return sign;
+      }
+      // denormal
+      const m = (mantissa | 0x800000) >> (1 - exponent);
+      return sign | ((m + 0x1000) >> 13);
+    }
+    // round to nearest. Carrying into the exponent is correct
+    return (sign | (exponent << 10) | (mantissa >> 13)) + ((mantissa >> 12) & 1);
+  }
+
+  /**
+   * Converts RGBE data to RGBA half floats. Alpha is set to 1.
+   * @param {Uint8Array} rgbe RGBE data. 4 bytes per pixel
+   * @param {Uint16Array} [dst] place to store the result. If not passed in one will be created.
+   * @return {Uint16Array} RGBA half floats. 4 values per pixel
+   * @memberOf module:twgl/hdr
+   */
+  function rgbeToHalfFloat(rgbe, dst) {
+    dst = dst || new Uint16Array(rgbe.length);
+    const floats = rgbeToFloat32(rgbe);
+    for (let ii = 0; ii < floats.length; ++ii) {
+      dst[ii] = floatToHalfBits(floats[ii]);
+    }
+    return dst;
+  }
+
+  // Using quotes prevents Uglify from changing the names.
+  // No speed diff AFAICT.
+  return {
+    "isHDR": isHDR,
+    "isHDRUrl": isHDRUrl,
+    "parseHDR": parseHDR,
+    "rgbeToFloat32": rgbeToFloat32,
+    "rgbeToHalfFloat": rgbeToHalfFloat,
+    "floatToHalfBits": floatToHalfBits,
+  };
+});
@@ -0,0 +1,287 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of his
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+define([
+    './draw',
+    './framebuffers',
+    './utils',
+  ], function(
+    draw,
+    framebuffers,
+    utils) {
+  "use strict";
+
+  /**
+   * Picking related functions
+   *
+   * For backward compatibily they are available at both `twgl.picking` and `twgl`
+   * itself
+   *
+   * See {@link module:twgl} for core functions
+   *
+   * @module twgl/picking
+   */
+
+  var RGBA                           = 0x1908;
+  var UNSIGNED_BYTE                  = 0x1401;
+  var NEAREST                        = 0x2600;
+  var DEPTH_STENCIL                  = 0x84F9;
+  var R32UI                          = 0x8236;
+
+  /**
+   * Options for {@link module:twgl.createPicker}
+   *
+   * @typedef {Object} PickerOptions
+   * @property {module:twgl.ProgramInfo} programInfo The program used to draw ids. It must have an id uniform.
+   *    In WebGL2 it's a `uint` written to an `out uvec4`. In WebGL1 it's a `vec4` written to `gl_FragColor`.
+   * @property {string} [idUniformName] The name of the id uniform. Default = `"u_pickId"`.
+   * @property {number} [width] The width of the picking framebuffer. Default = `gl.drawingBufferWidth` at the time of each pick.
+   * @property {number} [height] The height of the picking framebuffer. Default = `gl.drawingBufferHeight` at the time of each pick.
+   * @memberOf module:twgl
+   */
+
+  /**
+   * A picker as returned by {@link module:twgl.createPicker}.
+   *
+   * @typedef {Object} Picker
+   * @property {function(module:twgl.DrawObject[], number, number): module:twgl.DrawObject} pick Draws the objects
+   *    and returns the one at `x`, `y` in pixels with `0, 0` at the bottom left, or `undefined` if there isn't one.
+   * @property {function(module:twgl.DrawObject[], number, number): Promise<module:twgl.DrawObject>} pickAsync Same
+   *    as `pick` but reads the result without blocking. WebGL2 only.
+   * @property {module:twgl.FramebufferInfo} framebufferInfo The framebuffer ids are drawn to.
+   * @memberOf module:twgl
+   */
+
+  function encodeIdAsColor(id) {
+    return [
+      ((id >>   0) & 0xFF) / 0xFF,
+      ((id >>   8) & 0xFF) / 0xFF,
+      ((id >>  16) & 0xFF) / 0xFF,
+      ((id >>> 24) & 0xFF) / 0xFF,
+    ];
+  }
+
+  function decodeIdFromColor(pixel) {
+    return (pixel[0] | (pixel[1] << 8) | (pixel[2] << 16) | (pixel[3] << 24)) >>> 0;
+  }
+
+  /**
+   * Creates a picker that finds which {@link module:twgl.DrawObject} is at a pixel by
+   * drawing each one in a unique id.
+   *
+   * Each active object is drawn with `options.programInfo`, its own uniforms and an id.
+   * Only the pixel being picked is drawn by using the scissor test. In WebGL2 the ids
+   * are drawn to an `R32UI` texture. In WebGL1 they are encoded as the bytes of an `RGBA8` color.
+   *
+   * Example:
+   *
+   *     // WebGL2 id shaders
+   *     var pickVS = `#version 300 es
+   *       in vec4 position;
+   *       uniform mat4 u_worldViewProjection;
+   *       void main() {
+   *         gl_Position = u_worldViewProjection * position;
+   *       }
+   *     `;
+   *     var pickFS = `#version 300 es
+   *       precision highp float;
+   *       uniform uint u_pickId;
+   *       out uvec4 outId;
+   *       void main() {
+   *         outId = uvec4(u_pickId);
+   *       }
+   *     `;
+   *
+   *     var picker = twgl.createPicker(gl, {
+   *       programInfo: twgl.createProgramInfo(gl, [pickVS, pickFS]),
+   *     });
+   *
+   *     canvas.addEventListener('click', function(e) {
+   *       var rect = canvas.getBoundingClientRect();
+   *       var x = (e.clientX - rect.left) * gl.canvas.width / rect.width;
+   *       var y = gl.canvas.height - (e.clientY - rect.top) * gl.canvas.height / rect.height - 1;
+   *       var drawObject = picker.pick(drawObjects, x | 0, y | 0);
+   *       ...
+   *
+   *     // WebGL1 id fragment shader
+   *     precision mediump float;
+   *     uniform vec4 u_pickId;
+   *     void main() {
+   *       gl_FragColor = u_pickId;
+   *     }
+   *
+   * The id program is used with each object's buffers so its attributes must match them.
+   * A `vertexArrayInfo` is only used if the object has no `bufferInfo` in which case the
+   * id program must use the same attribute locations.
+   *
+   * The current depth test and cull face state are used as is. When done the canvas is bound.
+   *
+   * @param {WebGLRenderingContext} gl A WebGLRenderingContext
+   * @param {module:twgl.PickerOptions} options The options for the picker.
+   * @return {module:twgl.Picker} The picker
+   * @memberOf module:twgl/picking
+   */
+  function createPicker(gl, options) {
+    var webgl2 = utils.isWebGL2(gl);
+    var programInfo = options.programInfo;
+    var idUniformName = options.idUniformName || "u_pickId";
+    var attachments = [
+      webgl2
+        ? { internalFormat: R32UI, minMag: NEAREST, }
+        : { format: RGBA, type: UNSIGNED_BYTE, minMag: NEAREST, },
+      { format: DEPTH_STENCIL, },
+    ];
+    var framebufferInfo = framebuffers.createFramebufferInfo(gl, attachments, options.width, options.height);
+
+    function getPickDrawObjects(drawObjects) {
+      var pickDrawObjects = [];
+      drawObjects.forEach(function(drawObject, ndx) {
+        if (drawObject.active === false) {
+          return;
+        }
+        // 0 means nothing was drawn
+        var id = ndx + 1;
+        var idUniforms = {};
+        idUniforms[idUniformName] = webgl2 ? id : encodeIdAsColor(id);
+        pickDrawObjects.push({
+          programInfo: programInfo,
+          bufferInfo: drawObject.bufferInfo || drawObject.vertexArrayInfo,
+          uniforms: drawObject.uniforms ? [drawObject.uniforms, idUniforms] : idUniforms,
+          type: drawObject.type,
+          count: drawObject.count,
+          offset: drawObject.offset,
+          instanceCount: drawObject.instanceCount,
+        });
+      });
+      return pickDrawObjects;
+    }
+
+    // Draws the ids and returns the read options for the pixel or undefined if there is nothing to draw
+    function drawIds(drawObjects, x, y) {
+      var width = options.width || gl.drawingBufferWidth;
+      var height = options.height || gl.drawingBufferHeight;
+      if (framebufferInfo.width !== width || framebufferInfo.height !== height) {
+        framebuffers.resizeFramebufferInfo(gl, framebufferInfo, attachments, width, height);
+      }
+      var pickDrawObjects = getPickDrawObjects(drawObjects);
+      if (!pickDrawObjects.length) {
+        return undefined;
+      }
+
+      framebuffers.bindFramebufferInfo(gl, framebufferInfo);
+      var scissorTestEnabled = gl.isEnabled(gl.SCISSOR_TEST);
+      var oldScissor = gl.getParameter(gl.SCISSOR_BOX);
+      // blending and dithering would change the ids
+      var blendEnabled = gl.isEnabled(gl.BLEND);
+      var ditherEnabled = gl.isEnabled(gl.DITHER);
+      gl.disable(gl.BLEND);
+      gl.disable(gl.DITHER);
+      gl.enable(gl.SCISSOR_TEST);
+      gl.scissor(x, y, 1, 1);
+      if (webgl2) {
+        framebuffers.clearFramebufferInfo(gl, framebufferInfo);
+      } else {
+        var oldClearColor = gl.getParameter(gl.COLOR_CLEAR_VALUE);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT | gl.STENCIL_BUFFER_BIT);
+        gl.clearColor(oldClearColor[0], oldClearColor[1], oldClearColor[2], oldClearColor[3]);
+      }
+      draw.drawObjectList(gl, pickDrawObjects);
+      gl.scissor(oldScissor[0], oldScissor[1], oldScissor[2], oldScissor[3]);
+      if (!scissorTestEnabled) {
+        gl.disable(gl.SCISSOR_TEST);
+      }
+      if (blendEnabled) {
+        gl.enable(gl.BLEND);
+      }
+      if (ditherEnabled) {
+        gl.enable(gl.DITHER);
+      }
+      framebuffers.bindFramebufferInfo(gl, null);
+      return { x: x, y: y, width: 1, height: 1, };
+    }
+
+    function getDrawObjectForPixel(drawObjects, pixel) {
+      var id = webgl2 ? pixel[0] : decodeIdFromColor(pixel);
+      return drawObjects[id - 1];
+    }
+
+    function pick(drawObjects, x, y) {
+      var readOptions = drawIds(drawObjects, x, y);
+      if (!readOptions) {
+        return undefined;
+      }
+      var pixel = framebuffers.readFramebufferInfoPixels(gl, framebufferInfo, readOptions);
+      return getDrawObjectForPixel(drawObjects, pixel);
+    }
+
+    function pickAsync(drawObjects, x, y) {
+      var readOptions = drawIds(drawObjects, x, y);
+      if (!readOptions) {
+        return Promise.resolve(undefined);
+      }
+      // copy the list in case it's changed before the result is ready
+      var objects = drawObjects.slice();
+      return framebuffers.readFramebufferInfoPixelsAsync(gl, framebufferInfo, readOptions).then(function(pixel) {
+        return getDrawObjectForPixel(objects, pixel);
+      });
+    }
+
+    return {
+      pick: pick,
+      pickAsync: pickAsync,
+      framebufferInfo: framebufferInfo,
+    };
+  }
+
+  /**
+   * Deletes the framebuffer of a picker
+   *
+   * @param {WebGLRenderingContext} gl A WebGLRenderingContext
+   * @param {module:twgl.Picker} picker A picker as returned from {@link module:twgl.createPicker}
+   * @memberOf module:twgl/picking
+   */
+  function deletePicker(gl, picker) {
+    framebuffers.deleteFramebufferInfo(gl, picker.framebufferInfo);
+  }
+
+  // Using quotes prevents Uglify from changing the names.
+  // No speed diff AFAICT.
+  return {
+    "createPicker": createPicker,
+    "deletePicker": deletePicker,
+
+    "encodeIdAsColor_": encodeIdAsColor,
+    "decodeIdFromColor_": decodeIdFromColor,
+  };
+
+});
+
@@ -30,8 +30,10 @@
  */
 
 define([
+    './context-restoration',
     './utils',
   ], function(
+    contextRestoration,
     utils) {
   "use strict";
 
@@ -53,6 +55,14 @@ define([
   var error = utils.error;
   var warn = utils.warn;
 
+  var defaults = {
+    validateUniformsAndAttributes: false,
+  };
+
+  function setDefaults(newDefaults) {
+    utils.copyExistingProperties(newDefaults, defaults);
+  }
+
   var FLOAT                         = 0x1406;
   var FLOAT_VEC2                    = 0x8B50;
   var FLOAT_VEC3                    = 0x8B51;
@@ -351,12 +361,23 @@ define([
   typeMap[UNSIGNED_INT_SAMPLER_CUBE]     = { Type: null,         size:  0, setter: samplerSetter,    arraySetter: samplerArraySetter, bindPoint: TEXTURE_CUBE_MAP, };
   typeMap[UNSIGNED_INT_SAMPLER_2D_ARRAY] = { Type: null,         size:  0, setter: samplerSetter,    arraySetter: samplerArraySetter, bindPoint: TEXTURE_2D_ARRAY, };
 
+  // The divisor is set even if not passed in so one left over from
+  // an instanced draw doesn't affect a later draw.
+  function setAttribDivisor(gl, index, divisor) {
+    if (gl.vertexAttribDivisor) {
+      gl.vertexAttribDivisor(index, divisor || 0);
+    } else if (divisor) {
+      throw "divisor requires WebGL2 or ANGLE_instanced_arrays";
+    }
+  }
+
   function floatAttribSetter(gl, index) {
     return function(b) {
       gl.bindBuffer(gl.ARRAY_BUFFER, b.buffer);
       gl.enableVertexAttribArray(index);
       gl.vertexAttribPointer(
           index, b.numComponents || b.size, b.type || gl.FLOAT, b.normalize || false, b.stride || 0, b.offset || 0);
+      setAttribDivisor(gl, index, b.divisor);
     };
   }
 
@@ -366,6 +387,7 @@ define([
       gl.enableVertexAttribArray(index);
       gl.vertexAttribIPointer(
           index, b.numComponents || b.size, b.type || gl.INT, b.stride || 0, b.offset || 0);
+      setAttribDivisor(gl, index, b.divisor);
     };
   }
 
@@ -387,6 +409,7 @@ define([
         gl.enableVertexAttribArray(index + i);
         gl.vertexAttribPointer(
             index + i, size, type, normalize, stride, offset + rowOffset * i);
+        setAttribDivisor(gl, index + i, b.divisor);
       }
     };
   }
@@ -421,34 +444,270 @@ define([
    * Error Callback
    * @callback ErrorCallback
    * @param {string} msg error message.
-   * @param {number} [lineOffset] amount to add to line number
+   * @param {module:twgl.ShaderError} [shaderError] details of the error if it came
+   *    from preprocessing, compiling or linking a shader.
+   * @memberOf module:twgl
+   */
+
+  /**
+   * Details of a shader preprocessing, compile or link error.
+   * @typedef {Object} ShaderError
+   * @property {string} stage `"preprocess"`, `"compile"` or `"link"`
+   * @property {number} [shaderType] the type of shader (`gl.VERTEX_SHADER`, `gl.FRAGMENT_SHADER`).
+   *    Not set for link errors as they are for the whole program.
+   * @property {string} [source] the source of the shader. For compile errors this is the source
+   *    that was compiled after resolving `#include`s and `#define`s.
+   * @property {string} log the info log from the driver
+   * @property {module:twgl.ShaderErrorMessage[]} errors the messages parsed from the log
+   * @memberOf module:twgl
+   */
+
+  /**
+   * A single message from a shader info log.
+   * @typedef {Object} ShaderErrorMessage
+   * @property {number} [line] the line the message is for. Line numbers are for the source you
+   *    passed in, or for the chunk if the line came from an `#include`. Not set if the driver didn't give a line.
+   * @property {number} [column] the column the message is for if the driver gave one.
+   * @property {string} [chunk] the name of the `#include` chunk the line came from.
+   * @property {string} message the message
+   * @property {string} severity `"error"` or `"warning"`
+   * @memberOf module:twgl
+   */
+
+  // The ShaderError is for callbacks that want to show errors themselves
+  // so just log the message.
+  function logError(msg) {
+    error(msg);
+  }
+
+  /**
+   * Where a line of preprocessed shader source came from.
+   * @typedef {Object} ShaderLineLocation
+   * @property {string} name the name of the chunk the line came from. `""` for the
+   *    shader source itself and `"defines"` for lines injected from `ProgramOptions.defines`.
+   * @property {number} line the line number in that chunk.
    * @memberOf module:twgl
    */
 
-  function addLineNumbers(src, lineOffset) {
+  function formatLineLocation(location) {
+    return location.name ? location.name + ":" + location.line : String(location.line);
+  }
+
+  function addLineNumbers(src, lineOffset, lineMap) {
     lineOffset = lineOffset || 0;
     ++lineOffset;
 
     return src.split("\n").map(function(line, ndx) {
-      return (ndx + lineOffset) + ": " + line;
+      var label = lineMap ? formatLineLocation(lineMap[ndx]) : (ndx + lineOffset);
+      return label + ": " + line;
     }).join("\n");
   }
 
+  /**
+   * Maps the line numbers in a shader info log back to where the lines came from
+   * @param {string} log the shader info log
+   * @param {module:twgl.ShaderLineLocation[]} lineMap where each line of the compiled source came from
+   * @return {string} the info log with mapped line numbers
+   */
+  function mapLogLineNumbers(log, lineMap) {
+    return log.replace(/(ERROR|WARNING):\s*(\d+):(\d+)/g, function(match, kind, sourceNdx, lineNo) {
+      var location = lineMap[lineNo - 1];
+      return location ? kind + ": " + sourceNdx + ":" + formatLineLocation(location) : match;
+    });
+  }
+
+  var logLineREs = [
+    // ANGLE, Apple and most others: "ERROR: 0:12: 'foo' : undeclared identifier"
+    { re: /^\s*(ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/i, severity: 1, line: 2, message: 3 },
+    // Mesa: "0:12(5): error: `foo' undeclared"
+    { re: /^\s*\d+:(\d+)\((\d+)\):\s*(error|warning):\s*(.*)$/i, line: 1, column: 2, severity: 3, message: 4 },
+    // NVIDIA: "0(12) : error C1008: undefined variable "foo""
+    { re: /^\s*\d+\((\d+)\)\s*:\s*(error|warning)\s*(?:\w+)?\s*:?\s*(.*)$/i, line: 1, severity: 2, message: 3 },
+  ];
+
+  /**
+   * Parses a shader info log.
+   * @param {string} log the info log
+   * @return {Array.<{sourceLine: number, column: number, message: string, severity: string}>} the messages.
+   *    `sourceLine` is the line in the compiled source.
+   */
+  function parseShaderLog(log) {
+    var messages = [];
+    (log || "").split("\n").forEach(function(logLine) {
+      if (!logLine.trim() || /^\s*\d+\s+compilation errors?/i.test(logLine)) {
+        return;
+      }
+      for (var ii = 0; ii < logLineREs.length; ++ii) {
+        var format = logLineREs[ii];
+        var m = format.re.exec(logLine);
+        if (m) {
+          messages.push({
+            sourceLine: parseInt(m[format.line]),
+            column: format.column ? parseInt(m[format.column]) : undefined,
+            message: m[format.message].trim(),
+            severity: m[format.severity].toLowerCase(),
+          });
+          return;
+        }
+      }
+      messages.push({
+        message: logLine.trim(),
+        severity: /warning/i.test(logLine) ? "warning" : "error",
+      });
+    });
+    return messages;
+  }
+
+  /**
+   * Makes line numbered source of just the lines near errors.
+   * @param {string} src the source
+   * @param {number[]} errorLines the line numbers with errors
+   * @param {function(number): string} getLabel gets the label for a line number
+   * @return {string} the lines
+   */
+  function addLineNumbersNearErrors(src, errorLines, getLabel) {
+    var contextLines = 2;
+    var lines = src.split("\n");
+    var show = [];
+    errorLines.forEach(function(lineNo) {
+      for (var ii = Math.max(1, lineNo - contextLines); ii <= Math.min(lines.length, lineNo + contextLines); ++ii) {
+        show[ii] = true;
+      }
+    });
+    var out = [];
+    var last = 0;
+    lines.forEach(function(line, ndx) {
+      var lineNo = ndx + 1;
+      if (!show[lineNo]) {
+        return;
+      }
+      if (last && lineNo !== last + 1) {
+        out.push("...");
+      }
+      last = lineNo;
+      var marker = errorLines.indexOf(lineNo) >= 0 ? "> " : "  ";
+      out.push(marker + getLabel(lineNo) + ": " + line);
+    });
+    return out.join("\n");
+  }
+
   var spaceRE = /^[ \t]*\n/;
+  var includeRE = /^[ \t]*#[ \t]*include[ \t]+["<]([^">]+)[">]/;
+  var needsIncludeRE = /^[ \t]*#[ \t]*include\b/m;
+  var versionRE = /^[ \t]*#[ \t]*version\b/;
+
+  var shaderChunks = {};
 
   /**
-   * Loads a shader.
-   * @param {WebGLRenderingContext} gl The WebGLRenderingContext to use.
+   * Registers named chunks of shader source that can be used with `#include "name"`
+   *
+   * Example:
+   *
+   *     twgl.registerShaderChunks({
+   *       lighting: `
+   *         vec3 lambert(vec3 normal, vec3 lightDir) {
+   *           return vec3(max(dot(normal, lightDir), 0.0));
+   *         }
+   *       `,
+   *     });
+   *
+   *     var programInfo = twgl.createProgramInfo(gl, [vs, `
+   *       precision mediump float;
+   *       #include "lighting"
+   *       ...
+   *     `]);
+   *
+   * Chunks can include other chunks. Each chunk is only included once per shader
+   * so it's safe for 2 chunks to include the same chunk. Compile errors in a chunk are
+   * reported as `chunkName:line`.
+   *
+   * Passing `undefined` for a chunk removes it.
+   *
+   * @param {Object.<string, string>} chunks a map of chunk names to shader source.
+   * @memberOf module:twgl/programs
+   */
+  function registerShaderChunks(chunks) {
+    Object.keys(chunks).forEach(function(name) {
+      if (chunks[name] === undefined) {
+        delete shaderChunks[name];
+      } else {
+        shaderChunks[name] = chunks[name];
+      }
+    });
+  }
+
+  /**
+   * Resolves `#include "name"` directives and injects `#define`s into shader source.
+   *
+   * Defines are inserted after the `#version` line if there is one, otherwise at the top.
+   * A define with a value of `true` is defined with no value. A define with a value of
+   * `false` or `undefined` is not defined at all so `#ifdef` works as expected.
+   *
+   * @param {string} source the shader source
+   * @param {Object.<string, (number|string|boolean)>} [defines] defines to inject.
+   * @param {number} [lineOffset] amount to add to line numbers of `source`.
+   * @return {{source: string, lineMap: module:twgl.ShaderLineLocation[]}} the preprocessed source and where each line came from.
+   * @memberOf module:twgl/programs
+   */
+  function preprocessShaderSource(source, defines, lineOffset) {
+    lineOffset = lineOffset || 0;
+    var lines = [];
+    var lineMap = [];
+    var included = {};
+
+    function addSource(src, name, stack) {
+      src.split("\n").forEach(function(line, ndx) {
+        var lineNo = ndx + 1 + (name ? 0 : lineOffset);
+        var m = includeRE.exec(line);
+        if (!m) {
+          lines.push(line);
+          lineMap.push({ name: name, line: lineNo });
+          return;
+        }
+        var chunkName = m[1];
+        if (stack.indexOf(chunkName) >= 0) {
+          throw "circular #include \"" + chunkName + "\" at " + formatLineLocation({ name: name, line: lineNo });
+        }
+        var chunk = shaderChunks[chunkName];
+        if (chunk === undefined) {
+          throw "unknown #include \"" + chunkName + "\" at " + formatLineLocation({ name: name, line: lineNo });
+        }
+        if (!included[chunkName]) {
+          included[chunkName] = true;
+          addSource(chunk, chunkName, stack.concat(chunkName));
+        }
+      });
+    }
+
+    addSource(source, "", []);
+
+    if (defines) {
+      var insertNdx = lines.length && versionRE.test(lines[0]) ? 1 : 0;
+      Object.keys(defines).filter(function(name) {
+        return defines[name] !== false && defines[name] !== undefined;
+      }).forEach(function(name, ndx) {
+        var value = defines[name];
+        lines.splice(insertNdx + ndx, 0, "#define " + name + (value === true ? "" : " " + value));
+        lineMap.splice(insertNdx + ndx, 0, { name: "defines", line: ndx + 1 });
+      });
+    }
+
+    return {
+      source: lines.join("\n"),
+      lineMap: lineMap,
+    };
+  }
+
+  /**
+   * Gets shader source ready to compile.
    * @param {string} shaderSource The shader source.
    * @param {number} shaderType The type of shader.
-   * @param {module:twgl.ErrorCallback} opt_errorCallback callback for errors.
-   * @return {WebGLShader} The created shader.
+   * @param {module:twgl.ErrorCallback} errFn callback for errors.
+   * @param {Object.<string, (number|string|boolean)>} [opt_defines] defines to inject.
+   * @return {{source: string, lineOffset: number, lineMap: module:twgl.ShaderLineLocation[]}?} the source
+   *    to compile and what's needed to report errors against the original source or null if error.
    */
-  function loadShader(gl, shaderSource, shaderType, opt_errorCallback) {
-    var errFn = opt_errorCallback || error;
-    // Create the shader object
-    var shader = gl.createShader(shaderType);
-
+  function prepareShaderSource(shaderSource, shaderType, errFn, opt_defines) {
     // Remove the first end of line because WebGL 2.0 requires
     // #version 300 es
     // as the first line. No whitespace allowed before that line
@@ -466,18 +725,126 @@ define([
       shaderSource = shaderSource.replace(spaceRE, '');
     }
 
+    // Only preprocess if needed so line numbers are untouched otherwise
+    var lineMap;
+    if (opt_defines || needsIncludeRE.test(shaderSource)) {
+      try {
+        var preprocessed = preprocessShaderSource(shaderSource, opt_defines, lineOffset);
+        shaderSource = preprocessed.source;
+        lineMap = preprocessed.lineMap;
+      } catch (e) {
+        errFn("*** Error preprocessing shader: " + e, {
+          stage: "preprocess",
+          shaderType: shaderType,
+          source: shaderSource,
+          log: String(e),
+          errors: [{ message: String(e), severity: "error" }],
+        });
+        return null;
+      }
+    }
+
+    return {
+      source: shaderSource,
+      lineOffset: lineOffset,
+      lineMap: lineMap,
+    };
+  }
+
+  function reportShaderError(gl, shader, prepared, errFn) {
+    var lastError = gl.getShaderInfoLog(shader);
+    var lineMap = prepared.lineMap;
+    var numLines = prepared.source.split("\n").length;
+    var getLocation = function(lineNo) {
+      if (lineNo < 1 || lineNo > numLines) {
+        return undefined;
+      }
+      return lineMap ? lineMap[lineNo - 1] : { name: "", line: lineNo + prepared.lineOffset };
+    };
+    var messages = parseShaderLog(lastError);
+    var errorLines = [];
+    var errors = messages.map(function(msg) {
+      var shaderErrorMessage = {
+        message: msg.message,
+        severity: msg.severity,
+      };
+      var location = msg.sourceLine ? getLocation(msg.sourceLine) : undefined;
+      if (location) {
+        errorLines.push(msg.sourceLine);
+        shaderErrorMessage.line = location.line;
+        if (location.name) {
+          shaderErrorMessage.chunk = location.name;
+        }
+      }
+      if (msg.column !== undefined) {
+        shaderErrorMessage.column = msg.column;
+      }
+      return shaderErrorMessage;
+    });
+    var source = errorLines.length
+        ? addLineNumbersNearErrors(prepared.source, errorLines, function(lineNo) {
+          return formatLineLocation(getLocation(lineNo));
+        })
+        : addLineNumbers(prepared.source, prepared.lineOffset, lineMap);
+    errFn(source + "\n*** Error compiling shader: " + (lineMap ? mapLogLineNumbers(lastError, lineMap) : lastError), {
+      stage: "compile",
+      shaderType: gl.getShaderParameter(shader, gl.SHADER_TYPE),
+      source: prepared.source,
+      log: lastError,
+      errors: errors,
+    });
+  }
+
+  function reportLinkError(gl, program, errFn) {
+    var lastError = gl.getProgramInfoLog(program);
+    errFn("Error in program linking:" + lastError, {
+      stage: "link",
+      log: lastError,
+      errors: parseShaderLog(lastError).map(function(msg) {
+        return {
+          message: msg.message,
+          severity: msg.severity,
+        };
+      }),
+    });
+  }
+
+  function compileShader(gl, prepared, shaderType) {
+    // Create the shader object
+    var shader = gl.createShader(shaderType);
+
     // Load the shader source
-    gl.shaderSource(shader, shaderSource);
+    gl.shaderSource(shader, prepared.source);
 
     // Compile the shader
     gl.compileShader(shader);
 
+    return shader;
+  }
+
+  /**
+   * Loads a shader.
+   * @param {WebGLRenderingContext} gl The WebGLRenderingContext to use.
+   * @param {string} shaderSource The shader source.
+   * @param {number} shaderType The type of shader.
+   * @param {module:twgl.ErrorCallback} opt_errorCallback callback for errors.
+   * @param {Object.<string, (number|string|boolean)>} [opt_defines] defines to inject. See {@link module:twgl/programs.preprocessShaderSource}
+   * @return {WebGLShader} The created shader.
+   */
+  function loadShader(gl, shaderSource, shaderType, opt_errorCallback, opt_defines) {
+    var errFn = opt_errorCallback || logError;
+    var prepared = prepareShaderSource(shaderSource, shaderType, errFn, opt_defines);
+    if (!prepared) {
+      return null;
+    }
+
+    var shader = compileShader(gl, prepared, shaderType);
+
     // Check the compile status
     var compiled = gl.getShaderParameter(shader, gl.COMPILE_STATUS);
     if (!compiled) {
       // Something went wrong during compilation; get the error
-      var lastError = gl.getShaderInfoLog(shader);
-      errFn(addLineNumbers(shaderSource, lineOffset) + "\n*** Error compiling shader: " + lastError);
+      reportShaderError(gl, shader, prepared, errFn);
       gl.deleteShader(shader);
       return null;
     }
@@ -487,12 +854,17 @@ define([
 
   /**
    * @typedef {Object} ProgramOptions
-   * @property {function(string)} [errorCallback] callback for errors
+   * @property {module:twgl.ErrorCallback} [errorCallback] callback for errors
    * @property {Object.<string,number>} [attribLocations] a attribute name to location map
    * @property {(module:twgl.BufferInfo|Object.<string,module:twgl.AttribInfo>|string[])} [transformFeedbackVaryings] If passed
    *   a BufferInfo will use the attribs names inside. If passed an object of AttribInfos will use the names from that object. Otherwise
    *   you can pass an array of names.
    * @property {number} [transformFeedbackMode] the mode to pass `gl.transformFeedbackVaryings`. Defaults to `SEPARATE_ATTRIBS`.
+   * @property {Object.<string, (number|string|boolean)>} [defines] `#define`s to inject into every shader. Example
+   *   `{ NUM_LIGHTS: 4, USE_FOG: true }`. See {@link module:twgl/programs.preprocessShaderSource}.
+   *   `#include "name"` directives are always resolved. See {@link module:twgl/programs.registerShaderChunks}.
+   * @property {boolean} [cache] set to false to not use the program cache for this program even if it's enabled for the
+   *   context. See {@link module:twgl/programs.enableProgramCache}.
    * @memberOf module:twgl
    */
 
@@ -521,13 +893,10 @@ define([
       var opt = opt_attribs;
       opt_errorCallback = opt.errorCallback;
       opt_attribs = opt.attribLocations;
-      var transformFeedbackVaryings = opt.transformFeedbackVaryings;
     }
 
-    var options = {
-      errorCallback: opt_errorCallback || error,
-      transformFeedbackVaryings: transformFeedbackVaryings,
-    };
+    var options = opt ? utils.shallowCopy(opt) : {};
+    options.errorCallback = opt_errorCallback || logError;
 
     if (opt_attribs) {
       var attribLocations = {};
@@ -564,6 +933,49 @@ define([
     });
   }
 
+  /**
+   * Gets the names of transform feedback varyings from the `transformFeedbackVaryings` option
+   * @param {(module:twgl.BufferInfo|Object.<string,module:twgl.AttribInfo>|string[])} [varyings] the option
+   * @return {string[]|undefined} the names
+   */
+  function getTransformFeedbackVaryingNames(varyings) {
+    if (varyings) {
+      if (varyings.attribs) {
+        varyings = varyings.attribs;
+      }
+      if (!Array.isArray(varyings)) {
+        varyings = Object.keys(varyings);
+      }
+    }
+    return varyings;
+  }
+
+  /**
+   * Attaches shaders, binds attrib locations, sets transform feedback varyings
+   * and starts linking. Does not check if linking succeeded.
+   * @param {WebGLRenderingContext} gl The WebGLRenderingContext to use.
+   * @param {WebGLShader[]} shaders The shaders to attach
+   * @param {module:twgl.ProgramOptions} progOptions the program options
+   * @return {WebGLProgram} the program
+   */
+  function linkProgram(gl, shaders, progOptions) {
+    var program = gl.createProgram();
+    shaders.forEach(function(shader) {
+      gl.attachShader(program, shader);
+    });
+    if (progOptions.attribLocations) {
+      Object.keys(progOptions.attribLocations).forEach(function(attrib) {
+        gl.bindAttribLocation(program, progOptions.attribLocations[attrib], attrib);
+      });
+    }
+    var varyings = getTransformFeedbackVaryingNames(progOptions.transformFeedbackVaryings);
+    if (varyings) {
+      gl.transformFeedbackVaryings(program, varyings, progOptions.transformFeedbackMode || gl.SEPARATE_ATTRIBS);
+    }
+    gl.linkProgram(program);
+    return program;
+  }
+
   /**
    * Creates a program, attaches (and/or compiles) shaders, binds attrib locations, links the
    * program and calls useProgram.
@@ -597,7 +1009,7 @@ define([
         if (elem && elem.type) {
           type = getShaderTypeFromScriptType(elem.type) || type;
         }
-        shader = loadShader(gl, src, type, progOptions.errorCallback);
+        shader = loadShader(gl, src, type, progOptions.errorCallback, progOptions.defines);
         newShaders.push(shader);
       }
       if (shader instanceof WebGLShader) {
@@ -606,38 +1018,18 @@ define([
     }
 
     if (realShaders.length !== shaders.length) {
-      programOptions.errorCallback("not enough shaders for program");
+      progOptions.errorCallback("not enough shaders for program");
       deleteShaders(gl, newShaders);
       return null;
     }
 
-    var program = gl.createProgram();
-    realShaders.forEach(function(shader) {
-      gl.attachShader(program, shader);
-    });
-    if (progOptions.attribLocations) {
-      Object.keys(progOptions.attribLocations).forEach(function(attrib) {
-        gl.bindAttribLocation(program, progOptions.attribLocations[attrib], attrib);
-      });
-    }
-    var varyings = progOptions.transformFeedbackVaryings;
-    if (varyings) {
-      if (varyings.attribs) {
-        varyings = varyings.attribs;
-      }
-      if (!Array.isArray(varyings)) {
-        varyings = Object.keys(varyings);
-      }
-      gl.transformFeedbackVaryings(program, varyings, progOptions.transformFeedbackMode || gl.SEPARATE_ATTRIBS);
-    }
-    gl.linkProgram(program);
+    var program = linkProgram(gl, realShaders, progOptions);
 
     // Check the link status
     var linked = gl.getProgramParameter(program, gl.LINK_STATUS);
     if (!linked) {
       // something went wrong with the link
-      var lastError = gl.getProgramInfoLog(program);
-      progOptions.errorCallback("Error in program linking:" + lastError);
+      reportLinkError(gl, program, progOptions.errorCallback);
 
       gl.deleteProgram(program);
       deleteShaders(gl, newShaders);
@@ -653,10 +1045,11 @@ define([
    * @param {number} [opt_shaderType] The type of shader. If not passed in it will
    *     be derived from the type of the script tag.
    * @param {module:twgl.ErrorCallback} [opt_errorCallback] callback for errors.
+   * @param {Object.<string, (number|string|boolean)>} [opt_defines] defines to inject.
    * @return {WebGLShader?} The created shader or null if error.
    */
   function createShaderFromScript(
-      gl, scriptId, opt_shaderType, opt_errorCallback) {
+      gl, scriptId, opt_shaderType, opt_errorCallback, opt_defines) {
     var shaderSource = "";
     var shaderScript = document.getElementById(scriptId);
     if (!shaderScript) {
@@ -669,7 +1062,7 @@ define([
       throw "*** Error: unknown shader type";
     }
 
-    return loadShader(gl, shaderSource, shaderType, opt_errorCallback);
+    return loadShader(gl, shaderSource, shaderType, opt_errorCallback, opt_defines);
   }
 
   /**
@@ -700,7 +1093,7 @@ define([
     var shaders = [];
     for (var ii = 0; ii < shaderScriptIds.length; ++ii) {
       var shader = createShaderFromScript(
-          gl, shaderScriptIds[ii], gl[defaultShaderType[ii]], progOptions.errorCallback);
+          gl, shaderScriptIds[ii], gl[defaultShaderType[ii]], progOptions.errorCallback, progOptions.defines);
       if (!shader) {
         return null;
       }
@@ -737,7 +1130,7 @@ define([
     var shaders = [];
     for (var ii = 0; ii < shaderSources.length; ++ii) {
       var shader = loadShader(
-          gl, shaderSources[ii], gl[defaultShaderType[ii]], progOptions.errorCallback);
+          gl, shaderSources[ii], gl[defaultShaderType[ii]], progOptions.errorCallback, progOptions.defines);
       if (!shader) {
         return null;
       }
@@ -746,10 +1139,110 @@ define([
     return createProgram(gl, shaders, progOptions);
   }
 
+  var uniformNamePartRE = /(\w+)|\[(\d+)\]/g;
+
+  /**
+   * Splits a uniform name like `u_lights[1].color` into `["u_lights", 1, "color"]`
+   * @param {string} name the uniform name
+   * @return {Array.<(string|number)>} the parts of the name
+   */
+  function getUniformNameParts(name) {
+    var parts = [];
+    var m;
+    uniformNamePartRE.lastIndex = 0;
+    while ((m = uniformNamePartRE.exec(name)) !== null) {
+      parts.push(m[1] !== undefined ? m[1] : parseInt(m[2]));
+    }
+    return parts;
+  }
+
+  function setUniformTree(node, values) {
+    if (typeof node === 'function') {
+      node(values);
+    } else if (node && values !== undefined) {
+      if (Array.isArray(values)) {
+        var numValues = Math.min(values.length, node.length);
+        for (var ii = 0; ii < numValues; ++ii) {
+          setUniformTree(node[ii], values[ii]);
+        }
+      } else {
+        for (var name in values) {
+          setUniformTree(node[name], values[name]);
+        }
+      }
+    }
+  }
+
+  function createUniformTreeSetter(node) {
+    return function(values) {
+      setUniformTree(node, values);
+    };
+  }
+
+  /**
+   * Adds setters for structs and arrays of structs.
+   *
+   * Given uniforms `u_lights[0].color`, `u_lights[0].pos`, `u_lights[1].color` ... adds
+   * a setter for `u_lights` that takes an array of objects and setters for `u_lights[0]`,
+   * `u_lights[1]` ... that take an object.
+   *
+   * @param {Object.<string, function>} uniformSetters the setters for the active uniforms
+   */
+  function addUniformTreeSetters(uniformSetters) {
+    var tree = {};
+    Object.keys(uniformSetters).forEach(function(name) {
+      var parts = getUniformNameParts(name);
+      if (parts.length < 2) {
+        return;
+      }
+      var node = tree;
+      for (var ii = 0; ii < parts.length - 1; ++ii) {
+        var part = parts[ii];
+        if (!node[part]) {
+          node[part] = typeof parts[ii + 1] === 'number' ? [] : {};
+        }
+        node = node[part];
+      }
+      node[parts[parts.length - 1]] = uniformSetters[name];
+    });
+    Object.keys(tree).forEach(function(name) {
+      var node = tree[name];
+      if (!uniformSetters[name]) {
+        uniformSetters[name] = createUniformTreeSetter(node);
+      }
+      if (Array.isArray(node)) {
+        node.forEach(function(element, ndx) {
+          var elementName = name + "[" + ndx + "]";
+          if (!uniformSetters[elementName] && typeof element !== 'function') {
+            uniformSetters[elementName] = createUniformTreeSetter(element);
+          }
+        });
+      }
+    });
+  }
+
   /**
    * Creates setter functions for all uniforms of a shader
    * program.
    *
+   * Besides a setter for each active uniform there are setters for
+   * structs and arrays of structs that take objects that mirror the GLSL.
+   * For example given
+   *
+   *     struct Light {
+   *       vec3 color;
+   *       vec3 pos;
+   *     };
+   *     uniform Light u_lights[2];
+   *     uniform vec4 u_colors[3];
+   *
+   * There are setters for `u_lights[0].color`, `u_lights[0].pos`, `u_lights[1].color`, `u_lights[1].pos`,
+   * plus `u_lights` which takes an array of objects like `[{color: [1, 0, 0], pos: [1, 2, 3]}, ...]`
+   * and `u_lights[0]`, `u_lights[1]` which take one object. Missing fields are left as they are.
+   *
+   * Arrays of non-struct uniforms like `u_colors` also get a setter per element, `u_colors[0]`,
+   * `u_colors[1]`, `u_colors[2]`, in addition to the `u_colors` setter that takes all the values at once.
+   *
    * @see {@link module:twgl.setUniforms}
    *
    * @param {WebGLProgram} program the program to create setters for.
@@ -792,10 +1285,34 @@ define([
         }
       }
       setter.location = location;
+      setter.type = type;
+      setter.size = uniformInfo.size;
       return setter;
     }
 
+    /**
+     * Creates a setter for each element of an array uniform.
+     * @param {WebGLProgram} program
+     * @param {WebGLUniformInfo} uniformInfo
+     * @param {string} name the name of the uniform without the `[0]` suffix.
+     * @param {number} unit the first texture unit if it's a sampler array
+     * @param {Object.<string, function>} setters the object to add the setters to.
+     */
+    function addUniformElementSetters(program, uniformInfo, name, unit, setters) {
+      var typeInfo = typeMap[uniformInfo.type];
+      for (var ii = 0; ii < uniformInfo.size; ++ii) {
+        var elementName = name + "[" + ii + "]";
+        var location = gl.getUniformLocation(program, elementName);
+        var setter = typeInfo.bindPoint
+            ? typeInfo.setter(gl, uniformInfo.type, unit + ii, location)
+            : typeInfo.setter(gl, location);
+        setter.location = location;
+        setters[elementName] = setter;
+      }
+    }
+
     var uniformSetters = { };
+    var elementSetters = { };
     var numUniforms = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
 
     for (var ii = 0; ii < numUniforms; ++ii) {
@@ -804,13 +1321,23 @@ define([
         break;
       }
       var name = uniformInfo.name;
+      var unit = textureUnit;
+      var setter = createUniformSetter(program, uniformInfo);
       // remove the array suffix.
       if (name.substr(-3) === "[0]") {
         name = name.substr(0, name.length - 3);
+        if (uniformInfo.size > 1 && /^\w+$/.test(name)) {
+          addUniformElementSetters(program, uniformInfo, name, unit, elementSetters);
+        }
       }
-      var setter = createUniformSetter(program, uniformInfo);
       uniformSetters[name] = setter;
     }
+    addUniformTreeSetters(uniformSetters);
+    Object.keys(elementSetters).forEach(function(elementName) {
+      if (!uniformSetters[elementName]) {
+        uniformSetters[elementName] = elementSetters[elementName];
+      }
+    });
     return uniformSetters;
   }
 
@@ -983,6 +1510,8 @@ define([
       [ "UNIFORM_SIZE", "size" ],  // num elements
       [ "UNIFORM_BLOCK_INDEX", "blockNdx" ],
       [ "UNIFORM_OFFSET", "offset", ],
+      [ "UNIFORM_ARRAY_STRIDE", "arrayStride", ],
+      [ "UNIFORM_MATRIX_STRIDE", "matrixStride", ],
     ].forEach(function(pair) {
       var pname = pair[0];
       var key = pair[1];
@@ -1015,33 +1544,194 @@ define([
 
   var arraySuffixRE = /\[\d+\]\.$/;  // better way to check?
 
+  // columns, rows
+  var matrixDimensions = {};
+  matrixDimensions[FLOAT_MAT2]   = [2, 2];
+  matrixDimensions[FLOAT_MAT3]   = [3, 3];
+  matrixDimensions[FLOAT_MAT4]   = [4, 4];
+  matrixDimensions[FLOAT_MAT2x3] = [2, 3];
+  matrixDimensions[FLOAT_MAT2x4] = [2, 4];
+  matrixDimensions[FLOAT_MAT3x2] = [3, 2];
+  matrixDimensions[FLOAT_MAT3x4] = [3, 4];
+  matrixDimensions[FLOAT_MAT4x2] = [4, 2];
+  matrixDimensions[FLOAT_MAT4x3] = [4, 3];
+
+  var uniformBlockStates = new WeakMap();
+
   /**
-   * Represents a UniformBlockObject including an ArrayBuffer with all the uniform values
-   * and a corresponding WebGLBuffer to hold those values on the GPU
-   *
-   * @typedef {Object} UniformBlockInfo
-   * @property {string} name The name of the block
-   * @property {ArrayBuffer} array The array buffer that contains the uniform values
-   * @property {Float32Array} asFloat A float view on the array buffer. This is useful
-   *    inspecting the contents of the buffer in the debugger.
-   * @property {WebGLBuffer} buffer A WebGL buffer that will hold a copy of the uniform values for rendering.
-   * @property {number} [offset] offset into buffer
-   * @property {Object.<string, ArrayBufferView>} uniforms A uniform name to ArrayBufferView map.
-   *   each Uniform has a correctly typed `ArrayBufferView` into array at the correct offset
-   *   and length of that uniform. So for example a float uniform would have a 1 float `Float32Array`
-   *   view. A single mat4 would have a 16 element `Float32Array` view. An ivec2 would have an
-   *   `Int32Array` view, etc.
-   * @memberOf module:twgl
+   * Gets the number of bytes a uniform uses in a block including any padding between
+   * array elements and matrix columns.
+   * @param {Object} data the UniformData for the uniform
+   * @return {number} the size in bytes.
    */
+  function getBlockUniformByteLength(data) {
+    var typeInfo = typeMap[data.type];
+    var dims = matrixDimensions[data.type];
+    var elementSize = dims
+        ? (dims[0] - 1) * data.matrixStride + dims[1] * 4
+        : typeInfo.size;
+    return data.size > 1
+        ? (data.size - 1) * data.arrayStride + elementSize
+        : elementSize;
+  }
 
   /**
-   * Creates a `UniformBlockInfo` for the specified block
-   *
-   * Note: **If the blockName matches no existing blocks a warning is printed to the console and a dummy
-   * `UniformBlockInfo` is returned**. This is because when debugging GLSL
-   * it is common to comment out large portions of a shader or for example set
-   * the final output to a constant. When that happens blocks get optimized out.
-   * If this function did not create dummy blocks your code would crash when debugging.
+   * Creates a function that writes the value of a uniform into a block's ArrayBuffer
+   * following the array stride and matrix stride of the block's layout.
+   * @param {Object} state the state of the UniformBlockInfo
+   * @param {Object} data the UniformData for the uniform
+   * @return {function(*)} the setter
+   */
+  function createBlockUniformSetter(state, data) {
+    var typeInfo = typeMap[data.type];
+    var view = new typeInfo.Type(state.array);
+    var dims = matrixDimensions[data.type] || [1, typeInfo.size / 4];
+    var numColumns = dims[0];
+    var numRows = dims[1];
+    var numComponents = numColumns * numRows;
+    var arrayStride = data.arrayStride || 0;
+    var matrixStride = data.matrixStride || 0;
+    return function(value) {
+      var src = value;
+      if (typeof value === 'number' || typeof value === 'boolean') {
+        src = [value];
+      } else if (value.length && typeof value[0] !== 'number' && typeof value[0] !== 'boolean') {
+        // an array of vectors or matrices
+        src = [];
+        value.forEach(function(element) {
+          Array.prototype.push.apply(src, element.length ? element : [element]);
+        });
+      }
+      var numElements = Math.min(data.size, Math.ceil(src.length / numComponents));
+      var srcNdx = 0;
+      for (var ii = 0; ii < numElements; ++ii) {
+        var elementOffset = data.offset + ii * arrayStride;
+        for (var col = 0; col < numColumns; ++col) {
+          var dst = (elementOffset + col * matrixStride) / 4;
+          for (var row = 0; row < numRows && srcNdx < src.length; ++row) {
+            view[dst + row] = src[srcNdx++];
+          }
+        }
+      }
+      if (numElements) {
+        var lastElementOffset = data.offset + (numElements - 1) * arrayStride;
+        state.dirtyStart = Math.min(state.dirtyStart, data.offset);
+        state.dirtyEnd = Math.max(state.dirtyEnd, lastElementOffset + (numColumns - 1) * matrixStride + numRows * 4);
+      }
+    };
+  }
+
+  /**
+   * Gets the layout of a block: its size and the type, offset and strides of each uniform in it.
+   * Names are relative to the block.
+   * @param {module:twgl.UniformBlockSpec} uniformBlockSpec A UniformBlockSpec
+   * @param {string} blockName The name of the block.
+   * @return {{size: number, uniforms: Object[]}?} the layout or undefined if there's no such block
+   */
+  function getUniformBlockLayout(uniformBlockSpec, blockName) {
+    var blockSpec = uniformBlockSpec.blockSpecs[blockName];
+    if (!blockSpec) {
+      return undefined;
+    }
+    var prefix = blockName + ".";
+    if (arraySuffixRE.test(prefix)) {
+      prefix = prefix.replace(arraySuffixRE, ".");
+    }
+    return {
+      size: blockSpec.size,
+      uniforms: Array.prototype.map.call(blockSpec.uniformIndices, function(uniformNdx) {
+        var data = uniformBlockSpec.uniformData[uniformNdx];
+        var name = data.name;
+        if (name.substr(0, prefix.length) === prefix) {
+          name = name.substr(prefix.length);
+        }
+        return {
+          name: name,
+          type: data.type,
+          size: data.size,
+          offset: data.offset,
+          arrayStride: data.arrayStride,
+          matrixStride: data.matrixStride,
+        };
+      }),
+    };
+  }
+
+  /**
+   * Creates a UniformBlockInfo for a block layout.
+   * @param {string} blockName The name of the block.
+   * @param {Object} layout The layout as returned from `getUniformBlockLayout`
+   * @param {WebGLBuffer} buffer The buffer for the block
+   * @return {module:twgl.UniformBlockInfo} The created UniformBlockInfo
+   */
+  function createUniformBlockInfoFromLayout(blockName, layout, buffer) {
+    var array = new ArrayBuffer(layout.size);
+    var state = {
+      array: array,
+      setters: {},
+      uploaded: false,
+      dirtyStart: Infinity,
+      dirtyEnd: 0,
+    };
+    var uniforms = {};
+    layout.uniforms.forEach(function(data) {
+      var Type = typeMap[data.type].Type;
+      var length = getBlockUniformByteLength(data);
+      var name = data.name;
+      var view = new Type(array, data.offset, length / Type.BYTES_PER_ELEMENT);
+      var setter = createBlockUniformSetter(state, data);
+      uniforms[name] = view;
+      state.setters[name] = setter;
+      // remove the array suffix.
+      if (name.substr(-3) === "[0]") {
+        name = name.substr(0, name.length - 3);
+        uniforms[name] = view;
+        state.setters[name] = setter;
+      }
+    });
+    addUniformTreeSetters(state.setters);
+    var uniformBlockInfo = {
+      name: blockName,
+      array: array,
+      asFloat: new Float32Array(array),  // for debugging
+      buffer: buffer,
+      uniforms: uniforms,
+    };
+    uniformBlockStates.set(uniformBlockInfo, state);
+    return uniformBlockInfo;
+  }
+
+  /**
+   * Represents a UniformBlockObject including an ArrayBuffer with all the uniform values
+   * and a corresponding WebGLBuffer to hold those values on the GPU
+   *
+   * @typedef {Object} UniformBlockInfo
+   * @property {string} name The name of the block
+   * @property {ArrayBuffer} array The array buffer that contains the uniform values
+   * @property {Float32Array} asFloat A float view on the array buffer. This is useful
+   *    inspecting the contents of the buffer in the debugger.
+   * @property {WebGLBuffer} buffer A WebGL buffer that will hold a copy of the uniform values for rendering.
+   * @property {number} [offset] offset into buffer
+   * @property {number} [bindingPoint] the binding point for a shared block. See {@link module:twgl.createSharedUniformBlockInfo}
+   * @property {Object} [layout] the layout of a shared block. Used to check programs are compatible.
+   * @property {Object.<string, ArrayBufferView>} uniforms A uniform name to ArrayBufferView map.
+   *   each Uniform has a correctly typed `ArrayBufferView` into array at the correct offset
+   *   and length of that uniform. So for example a float uniform would have a 1 float `Float32Array`
+   *   view. A single mat4 would have a 16 element `Float32Array` view. An ivec2 would have an
+   *   `Int32Array` view, etc. Views of arrays and matrices include the padding the block's layout
+   *   puts between elements and columns, for example with std140 a `vec3[2]` view is 7 floats,
+   *   3 for the first element, 1 of padding and 3 for the second.
+   * @memberOf module:twgl
+   */
+
+  /**
+   * Creates a `UniformBlockInfo` for the specified block
+   *
+   * Note: **If the blockName matches no existing blocks a warning is printed to the console and a dummy
+   * `UniformBlockInfo` is returned**. This is because when debugging GLSL
+   * it is common to comment out large portions of a shader or for example set
+   * the final output to a constant. When that happens blocks get optimized out.
+   * If this function did not create dummy blocks your code would crash when debugging.
    *
    * @param {WebGL2RenderingContext} gl A WebGL2RenderingContext
    * @param {WebGLProgram} program A WebGLProgram
@@ -1052,9 +1742,7 @@ define([
    * @memberOf module:twgl/programs
    */
   function createUniformBlockInfoFromProgram(gl, program, uniformBlockSpec, blockName) {
-    var blockSpecs = uniformBlockSpec.blockSpecs;
-    var uniformData = uniformBlockSpec.uniformData;
-    var blockSpec = blockSpecs[blockName];
+    var blockSpec = uniformBlockSpec.blockSpecs[blockName];
     if (!blockSpec) {
       warn("no uniform block object named:", blockName);
       return {
@@ -1062,35 +1750,12 @@ define([
         uniforms: {},
       };
     }
-    var array = new ArrayBuffer(blockSpec.size);
     var buffer = gl.createBuffer();
     var uniformBufferIndex = blockSpec.index;
     gl.bindBuffer(gl.UNIFORM_BUFFER, buffer);
     gl.uniformBlockBinding(program, blockSpec.index, uniformBufferIndex);
 
-    var prefix = blockName + ".";
-    if (arraySuffixRE.test(prefix)) {
-      prefix = prefix.replace(arraySuffixRE, ".");
-    }
-    var uniforms = {};
-    blockSpec.uniformIndices.forEach(function(uniformNdx) {
-      var data = uniformData[uniformNdx];
-      var typeInfo = typeMap[data.type];
-      var Type = typeInfo.Type;
-      var length = data.size * typeInfo.size;
-      var name = data.name;
-      if (name.substr(0, prefix.length) === prefix) {
-        name = name.substr(prefix.length);
-      }
-      uniforms[name] = new Type(array, data.offset, length / Type.BYTES_PER_ELEMENT);
-    });
-    return {
-      name: blockName,
-      array: array,
-      asFloat: new Float32Array(array),  // for debugging
-      buffer: buffer,
-      uniforms: uniforms,
-    };
+    return createUniformBlockInfoFromLayout(blockName, getUniformBlockLayout(uniformBlockSpec, blockName), buffer);
   }
 
   /**
@@ -1113,6 +1778,187 @@ define([
     return createUniformBlockInfoFromProgram(gl, programInfo.program, programInfo.uniformBlockSpec, blockName);
   }
 
+  var sharedBindingPointStates = new WeakMap();
+
+  function getSharedBindingPointState(gl) {
+    var state = sharedBindingPointStates.get(gl);
+    if (!state) {
+      state = {
+        next: gl.getParameter(gl.MAX_UNIFORM_BUFFER_BINDINGS) - 1,
+        // binding points below this can be block indices
+        min: gl.getParameter(gl.MAX_COMBINED_UNIFORM_BLOCKS),
+        free: [],
+        allocated: new Set(),
+      };
+      sharedBindingPointStates.set(gl, state);
+    }
+    return state;
+  }
+
+  // Shared blocks use binding points from the top down so they don't clash
+  // with the binding points used by `createUniformBlockInfo` which match block indices.
+  function allocateSharedBindingPoint(gl) {
+    var state = getSharedBindingPointState(gl);
+    var bindingPoint = state.free.length ? state.free.pop() : state.next;
+    if (bindingPoint < state.min) {
+      throw "createSharedUniformBlockInfo: out of binding points for shared blocks. " +
+            "Delete the ones you no longer need with deleteSharedUniformBlockInfo or pass in a bindingPoint";
+    }
+    if (bindingPoint === state.next) {
+      --state.next;
+    }
+    state.allocated.add(bindingPoint);
+    return bindingPoint;
+  }
+
+  function releaseSharedBindingPoint(gl, bindingPoint) {
+    var state = sharedBindingPointStates.get(gl);
+    if (state && state.allocated.delete(bindingPoint)) {
+      state.free.push(bindingPoint);
+    }
+  }
+
+  /**
+   * Creates a `UniformBlockInfo` that can be shared by many programs.
+   *
+   * The layout of the block is taken from `programInfo` but the buffer is not tied to it.
+   * The buffer is bound to its own binding point once. Call {@link module:twgl.useSharedUniformBlock}
+   * for each program that uses the block to point the program's block at that binding point.
+   *
+   * Example:
+   *
+   *     var cameraBlockInfo = twgl.createSharedUniformBlockInfo(gl, programInfos[0], "Camera");
+   *     programInfos.forEach(function(programInfo) {
+   *       twgl.useSharedUniformBlock(gl, programInfo, cameraBlockInfo);
+   *     });
+   *
+   *     // once per frame
+   *     twgl.setBlockUniforms(cameraBlockInfo, {
+   *       projection: projection,
+   *       view: view,
+   *     });
+   *     twgl.setUniformBlock(gl, null, cameraBlockInfo);
+   *
+   * Declare the block the same way in every program and use `layout(std140)` so its layout
+   * is the same in all of them.
+   *
+   * @param {WebGL2RenderingContext} gl A WebGL2RenderingContext
+   * @param {(module:twgl.ProgramInfo|module:twgl.UniformBlockSpec)} programInfo a `ProgramInfo`
+   *     as returned from {@link module:twgl.createProgramInfo} or a `UniformBlockSpec` as
+   *     returned from {@link module:twgl.createUniformBlockSpecFromProgram} to get the layout from.
+   * @param {string} blockName The name of the block.
+   * @param {number} [bindingPoint] The binding point to use. By default binding points are allocated from
+   *     `MAX_UNIFORM_BUFFER_BINDINGS - 1` down to `MAX_COMBINED_UNIFORM_BLOCKS` so they don't clash with the ones
+   *     used by {@link module:twgl.createUniformBlockInfo}. It throws if they have all been used. Call
+   *     {@link module:twgl.deleteSharedUniformBlockInfo} to give one back.
+   * @return {module:twgl.UniformBlockInfo?} The created UniformBlockInfo or null if there is no such block
+   * @memberOf module:twgl/programs
+   */
+  function createSharedUniformBlockInfo(gl, programInfo, blockName, bindingPoint) {
+    var uniformBlockSpec = programInfo.uniformBlockSpec || programInfo;
+    var layout = getUniformBlockLayout(uniformBlockSpec, blockName);
+    if (!layout) {
+      warn("no uniform block object named:", blockName);
+      return null;
+    }
+    if (bindingPoint === undefined) {
+      bindingPoint = allocateSharedBindingPoint(gl);
+    }
+    var buffer = gl.createBuffer();
+    gl.bindBuffer(gl.UNIFORM_BUFFER, buffer);
+    gl.bufferData(gl.UNIFORM_BUFFER, layout.size, gl.DYNAMIC_DRAW);
+    gl.bindBufferBase(gl.UNIFORM_BUFFER, bindingPoint, buffer);
+    var uniformBlockInfo = createUniformBlockInfoFromLayout(blockName, layout, buffer);
+    uniformBlockInfo.bindingPoint = bindingPoint;
+    uniformBlockInfo.layout = layout;
+    return uniformBlockInfo;
+  }
+
+  /**
+   * Deletes the buffer of a shared `UniformBlockInfo` and frees its binding point
+   * if it was allocated by {@link module:twgl.createSharedUniformBlockInfo}.
+   *
+   * @param {WebGL2RenderingContext} gl A WebGL2RenderingContext
+   * @param {module:twgl.UniformBlockInfo} uniformBlockInfo a `UniformBlockInfo` as returned from
+   *     {@link module:twgl.createSharedUniformBlockInfo}.
+   * @memberOf module:twgl/programs
+   */
+  function deleteSharedUniformBlockInfo(gl, uniformBlockInfo) {
+    gl.deleteBuffer(uniformBlockInfo.buffer);
+    releaseSharedBindingPoint(gl, uniformBlockInfo.bindingPoint);
+  }
+
+  /**
+   * Checks 2 block layouts match
+   * @param {Object} expected the layout of the shared block
+   * @param {Object} actual the layout of the program's block
+   * @return {string|undefined} a description of the difference or undefined if they match
+   */
+  function getUniformBlockLayoutMismatch(expected, actual) {
+    if (expected.size !== actual.size) {
+      return "size is " + actual.size + " but shared block size is " + expected.size;
+    }
+    var actualUniforms = {};
+    actual.uniforms.forEach(function(data) {
+      actualUniforms[data.name] = data;
+    });
+    for (var ii = 0; ii < expected.uniforms.length; ++ii) {
+      var data = expected.uniforms[ii];
+      var other = actualUniforms[data.name];
+      if (!other) {
+        return "'" + data.name + "' is missing";
+      }
+      var keys = ["type", "size", "offset", "arrayStride", "matrixStride"];
+      for (var kk = 0; kk < keys.length; ++kk) {
+        var key = keys[kk];
+        if (data[key] !== other[key]) {
+          return "'" + data.name + "' " + key + " is " + other[key] + " but shared block " + key + " is " + data[key];
+        }
+      }
+    }
+    if (actual.uniforms.length !== expected.uniforms.length) {
+      return "it has " + actual.uniforms.length + " uniforms but the shared block has " + expected.uniforms.length;
+    }
+    return undefined;
+  }
+
+  /**
+   * Points a program's uniform block at the binding point of a shared `UniformBlockInfo`.
+   *
+   * The program's block is checked to have the same layout as the shared block. If it doesn't
+   * a warning is printed and the program is not changed.
+   *
+   * Note: The binding is part of the program so you need to call this again if you make a new program,
+   * for example with {@link module:twgl.updateProgramInfo}.
+   *
+   * @param {WebGL2RenderingContext} gl A WebGL2RenderingContext
+   * @param {module:twgl.ProgramInfo} programInfo a `ProgramInfo` as returned from {@link module:twgl.createProgramInfo}
+   * @param {module:twgl.UniformBlockInfo} uniformBlockInfo a `UniformBlockInfo` as returned from
+   *     {@link module:twgl.createSharedUniformBlockInfo}.
+   * @return {bool} true if the program now uses the shared block. false if the program has no block with
+   *     the same name or its layout doesn't match.
+   * @memberOf module:twgl/programs
+   */
+  function useSharedUniformBlock(gl, programInfo, uniformBlockInfo) {
+    var blockName = uniformBlockInfo.name;
+    if (!programInfo.uniformBlockSpec) {
+      throw "useSharedUniformBlock: programInfo has no uniformBlockSpec for block '" + blockName +
+            "'. Uniform blocks need WebGL2 and a ProgramInfo from createProgramInfo or createProgramInfoFromProgram";
+    }
+    var blockSpec = programInfo.uniformBlockSpec.blockSpecs[blockName];
+    if (!blockSpec) {
+      return false;
+    }
+    var mismatch = getUniformBlockLayoutMismatch(
+        uniformBlockInfo.layout, getUniformBlockLayout(programInfo.uniformBlockSpec, blockName));
+    if (mismatch) {
+      warn("uniform block '" + blockName + "' does not match the shared block: " + mismatch);
+      return false;
+    }
+    gl.uniformBlockBinding(programInfo.program, blockSpec.index, uniformBlockInfo.bindingPoint);
+    return true;
+  }
+
   /**
    * Binds a unform block to the matching uniform block point.
    * Matches by blocks by name so blocks must have the same name not just the same
@@ -1121,6 +1967,9 @@ define([
    * If you have changed any values and you upload the valus into the corresponding WebGLBuffer
    * call {@link module:twgl.setUniformBlock} instead.
    *
+   * A shared `UniformBlockInfo` from {@link module:twgl.createSharedUniformBlockInfo} is bound to its own
+   * binding point and `programInfo` is ignored.
+   *
    * @param {WebGL2RenderingContext} gl A WebGL 2 rendering context.
    * @param {(module:twgl.ProgramInfo|module:twgl.UniformBlockSpec)} programInfo a `ProgramInfo`
    *     as returned from {@link module:twgl.createProgramInfo} or or `UniformBlockSpec` as
@@ -1132,6 +1981,10 @@ define([
    * @memberOf module:twgl/programs
    */
   function bindUniformBlock(gl, programInfo, uniformBlockInfo) {
+    if (uniformBlockInfo.bindingPoint !== undefined) {
+      gl.bindBufferRange(gl.UNIFORM_BUFFER, uniformBlockInfo.bindingPoint, uniformBlockInfo.buffer, uniformBlockInfo.offset || 0, uniformBlockInfo.array.byteLength);
+      return true;
+    }
     var uniformBlockSpec = programInfo.uniformBlockSpec || programInfo;
     var blockSpec = uniformBlockSpec.blockSpecs[uniformBlockInfo.name];
     if (blockSpec) {
@@ -1149,6 +2002,14 @@ define([
    * If you haven't changed any values and you only need to bind the uniform block object
    * call {@link module:twgl.bindUniformBlock} instead.
    *
+   * If values were set with {@link module:twgl.setBlockUniforms} since the last upload only the
+   * range of bytes that changed is uploaded. Otherwise the entire block is uploaded so if you
+   * change the views in `uniformBlockInfo.uniforms` directly don't mix that with `setBlockUniforms`
+   * between uploads.
+   *
+   * For a shared `UniformBlockInfo` from {@link module:twgl.createSharedUniformBlockInfo} `programInfo` is ignored
+   * so you can upload it once for all the programs that use it.
+   *
    * @param {WebGL2RenderingContext} gl A WebGL 2 rendering context.
    * @param {(module:twgl.ProgramInfo|module:twgl.UniformBlockSpec)} programInfo a `ProgramInfo`
    *     as returned from {@link module:twgl.createProgramInfo} or or `UniformBlockSpec` as
@@ -1159,7 +2020,18 @@ define([
    */
   function setUniformBlock(gl, programInfo, uniformBlockInfo) {
     if (bindUniformBlock(gl, programInfo, uniformBlockInfo)) {
-      gl.bufferData(gl.UNIFORM_BUFFER, uniformBlockInfo.array, gl.DYNAMIC_DRAW);
+      var state = uniformBlockStates.get(uniformBlockInfo);
+      if (state && state.uploaded && state.dirtyEnd > state.dirtyStart) {
+        gl.bufferSubData(gl.UNIFORM_BUFFER, state.dirtyStart,
+                         new Uint8Array(uniformBlockInfo.array, state.dirtyStart, state.dirtyEnd - state.dirtyStart));
+      } else {
+        gl.bufferData(gl.UNIFORM_BUFFER, uniformBlockInfo.array, gl.DYNAMIC_DRAW);
+      }
+      if (state) {
+        state.uploaded = true;
+        state.dirtyStart = Infinity;
+        state.dirtyEnd = 0;
+      }
     }
   }
 
@@ -1186,12 +2058,44 @@ define([
    *          someInt: 5,
    *       }
    *
-   *  Arrays can be JavaScript arrays or typed arrays
+   *  Arrays can be JavaScript arrays or typed arrays. Arrays of vectors and matrices can be passed
+   *  tightly packed as above or as an array of arrays as in `someVec3Array: [[1, 2, 3], [4, 5, 6]]`.
+   *  Values are written following the block's layout (std140) so the padding between array elements
+   *  and matrix columns is skipped for you.
+   *
+   *  Structs and arrays of structs can be set with objects that mirror the GLSL. Given
+   *
+   *       struct Light {
+   *         vec3 color;
+   *         vec3 pos;
+   *       };
+   *
+   *       uniform Lights {
+   *         Light lights[4];
+   *         int numLights;
+   *       };
+   *
+   *  You can set them with
+   *
+   *       twgl.setBlockUniforms(lightsBlockInfo, {
+   *         lights: [
+   *           { color: [1, 0, 0], pos: [0, 10, 0], },
+   *           { color: [0, 0, 1], pos: [10, 0, 0], },
+   *         ],
+   *         numLights: 2,
+   *       });
+   *
+   *  or set one element with `"lights[1]": { color: [0, 1, 0] }`.
    *
    *  Any name that doesn't match will be ignored
    * @memberOf module:twgl/programs
    */
   function setBlockUniforms(uniformBlockInfo, values) {
+    var state = uniformBlockStates.get(uniformBlockInfo);
+    if (state) {
+      setUniformTree(state.setters, values);
+      return;
+    }
     var uniforms = uniformBlockInfo.uniforms;
     for (var name in values) {
       var array = uniforms[name];
@@ -1206,6 +2110,175 @@ define([
     }
   }
 
+  var validationStates = new WeakMap();
+
+  /**
+   * Gets what's been warned about and what's been set for a set of setters
+   * @param {Object.<string, function>} setters uniform or attribute setters
+   * @return {{warned: Object.<string, boolean>, set: Object.<string, boolean>}} the state
+   */
+  function getValidationState(setters) {
+    var state = validationStates.get(setters);
+    if (!state) {
+      state = {
+        warned: {},
+        set: {},
+      };
+      validationStates.set(setters, state);
+    }
+    return state;
+  }
+
+  function warnOnce(state, msg) {
+    if (!state.warned[msg]) {
+      state.warned[msg] = true;
+      warn(msg);
+    }
+  }
+
+  function isTextureValue(value) {
+    return value === null ||
+           value instanceof WebGLTexture ||
+           (value && value.texture instanceof WebGLTexture);
+  }
+
+  /**
+   * Checks a value is the right type and size for a uniform
+   * @param {function} setter the setter for the uniform as created by `createUniformSetters`
+   * @param {*} value the value
+   * @return {string|undefined} a description of the problem or undefined if there is none
+   */
+  function getUniformValueProblem(setter, value) {
+    var typeInfo = typeMap[setter.type];
+    var isArray = setter.size > 1;
+    if (typeInfo.bindPoint) {
+      var textures = isArray ? value : [value];
+      if (!Array.isArray(textures)) {
+        return "is a sampler array but was not passed an array of textures";
+      }
+      if (textures.length > setter.size) {
+        return "is an array of " + setter.size + " samplers but was passed " + textures.length + " textures";
+      }
+      for (var ii = 0; ii < textures.length; ++ii) {
+        if (!isTextureValue(textures[ii])) {
+          return "is a sampler but was passed something that is not a WebGLTexture";
+        }
+      }
+      return undefined;
+    }
+    var numComponents = typeInfo.size / 4;
+    var numValues = numComponents * setter.size;
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      return numValues === 1 ? undefined : "needs " + numValues + " values but was passed 1";
+    }
+    if (!value || typeof value.length !== 'number') {
+      return "was passed something that is not a number or array";
+    }
+    if (isArray) {
+      if (value.length === 0 || value.length % numComponents !== 0 || value.length > numValues) {
+        return "needs a multiple of " + numComponents + " values up to " + numValues + " but was passed " + value.length;
+      }
+    } else if (value.length !== numValues) {
+      return "needs " + numValues + " values but was passed " + value.length;
+    }
+    return undefined;
+  }
+
+  /**
+   * Warns about uniform values that don't match the program
+   * @param {Object.<string, function>} setters the uniform setters
+   * @param {Object.<string, ?>} values the values
+   */
+  function validateUniforms(setters, values) {
+    var state = getValidationState(setters);
+    for (var name in values) {
+      var setter = setters[name];
+      if (!setter) {
+        warnOnce(state, "uniform '" + name + "' is not an active uniform in the program");
+        continue;
+      }
+      state.set[name] = true;
+      // setters for structs and array elements have no type
+      var problem = setter.type !== undefined ? getUniformValueProblem(setter, values[name]) : undefined;
+      if (problem) {
+        warnOnce(state, "uniform '" + name + "' " + problem);
+      }
+    }
+  }
+
+  /**
+   * Warns about attributes that don't match the program
+   * @param {Object.<string, function>} setters the attribute setters
+   * @param {Object.<string, module:twgl.AttribInfo>} buffers AttribInfos mapped by attribute name.
+   */
+  function validateAttributes(setters, buffers) {
+    var state = getValidationState(setters);
+    for (var name in buffers) {
+      var setter = setters[name];
+      if (!setter) {
+        warnOnce(state, "attribute '" + name + "' is not an active attribute in the program");
+        continue;
+      }
+      var typeInfo = attrTypeMap[setter.type];
+      if (typeInfo.count) {
+        // matrix attributes are passed as columns
+        continue;
+      }
+      var numComponents = typeInfo.size / 4;
+      var attrib = buffers[name];
+      var attribNumComponents = attrib.numComponents || attrib.size;
+      if (attribNumComponents > numComponents) {
+        warnOnce(state, "attribute '" + name + "' has " + numComponents + " components but was passed " +
+                        attribNumComponents + " components per vertex");
+      }
+    }
+  }
+
+  /**
+   * Warns about active uniforms and attributes that have not been set.
+   *
+   * Only uniforms set with {@link module:twgl.setUniforms} while `validateUniformsAndAttributes`
+   * is on are known to have been set.
+   *
+   * @param {module:twgl.ProgramInfo} programInfo the program about to be drawn with
+   * @param {(module:twgl.BufferInfo|module:twgl.VertexArrayInfo)} bufferInfo the buffers about to be drawn with
+   * @private
+   */
+  function validateProgramInputs(programInfo, bufferInfo) {
+    var uniformSetters = programInfo.uniformSetters;
+    var uniformState = getValidationState(uniformSetters);
+    Object.keys(uniformSetters).forEach(function(name) {
+      var setter = uniformSetters[name];
+      // uniforms in uniform blocks have no location and setters for
+      // structs and array elements have no type
+      if (setter.location === null || setter.type === undefined) {
+        return;
+      }
+      // check if it, or the struct or array it's part of, was set
+      var parts = getUniformNameParts(name);
+      var prefix = "";
+      var set = false;
+      for (var ii = 0; ii < parts.length && !set; ++ii) {
+        var part = parts[ii];
+        prefix += typeof part === 'number' ? "[" + part + "]" : (ii ? "." : "") + part;
+        set = uniformState.set[prefix];
+      }
+      if (!set) {
+        warnOnce(uniformState, "uniform '" + name + "' was never set");
+      }
+    });
+    // VertexArrayInfos are made for the programs that use them.
+    if (bufferInfo && bufferInfo.attribs && !bufferInfo.vertexArrayObject) {
+      var attribSetters = programInfo.attribSetters;
+      var attribState = getValidationState(attribSetters);
+      Object.keys(attribSetters).forEach(function(name) {
+        if (!bufferInfo.attribs[name]) {
+          warnOnce(attribState, "attribute '" + name + "' is not in the BufferInfo");
+        }
+      });
+    }
+  }
+
   /**
    * Set uniforms and binds related textures.
    *
@@ -1290,6 +2363,27 @@ define([
    * In which case both the sampler and texture will be bound to the
    * same unit.
    *
+   * Structs and arrays of structs can be set with objects that mirror the GLSL. Given
+   *
+   *     struct Light {
+   *       vec3 color;
+   *       vec3 pos;
+   *     };
+   *     uniform Light u_lights[2];
+   *
+   * you can set them with
+   *
+   *     twgl.setUniforms(programInfo, {
+   *       u_lights: [
+   *         { color: [1, 0, 0], pos: [0, 10, 0], },
+   *         { color: [0, 0, 1], pos: [10, 0, 0], },
+   *       ],
+   *     });
+   *
+   * or set a single element with `"u_lights[1]": { color: [0, 1, 0] }`. Elements of arrays of
+   * non-struct uniforms can be set by name too, as in `"u_colors[2]": [1, 0, 1, 1]`.
+   * See {@link module:twgl.createUniformSetters}.
+   *
    * @param {(module:twgl.ProgramInfo|Object.<string, function>)} setters a `ProgramInfo` as returned from `createProgramInfo` or the setters returned from
    *        `createUniformSetters`.
    * @param {Object.<string, ?>} values an object with values for the
@@ -1331,6 +2425,9 @@ define([
           setUniforms(actualSetters, vals[ii]);
         }
       } else {
+        if (defaults.validateUniformsAndAttributes) {
+          validateUniforms(actualSetters, vals);
+        }
         for (var name in vals) {
           var setter = actualSetters[name];
           if (setter) {
@@ -1364,6 +2461,7 @@ define([
       var typeInfo = attrTypeMap[attribInfo.type];
       var setter = typeInfo.setter(gl, index, typeInfo);
       setter.location = index;
+      setter.type = attribInfo.type;
       attribSetters[attribInfo.name] = setter;
     }
 
@@ -1402,6 +2500,7 @@ define([
    * *   normalize: whether or not to normalize the data. Default = false
    * *   stride: the stride. Default = 0
    * *   offset: offset into the buffer. Default = 0
+   * *   divisor: the divisor for instanced data. Default = 0
    *
    * For example if you had 3 value float positions, 2 value
    * float texcoord and 4 value uint8 colors you'd setup your
@@ -1424,6 +2523,9 @@ define([
    * @deprecated use {@link module:twgl.setBuffersAndAttributes}
    */
   function setAttributes(setters, buffers) {
+    if (defaults.validateUniformsAndAttributes) {
+      validateAttributes(setters, buffers);
+    }
     for (var name in buffers) {
       var setter = setters[name];
       if (setter) {
@@ -1524,6 +2626,162 @@ define([
     return programInfo;
   }
 
+  var programCaches = new WeakMap();
+  var cachedProgramInfos = new WeakMap();
+
+  /**
+   * Enables caching of programs made by {@link module:twgl.createProgramInfo} for a context.
+   *
+   * When enabled, asking for a ProgramInfo with the same shader sources, defines,
+   * attribute locations and transform feedback varyings as an existing one returns
+   * the existing ProgramInfo instead of compiling and linking again. Shaders are also
+   * shared between programs so 2 programs that use the same vertex shader only
+   * compile it once.
+   *
+   * ProgramInfos from the cache are reference counted. Call {@link module:twgl.deleteProgramInfo}
+   * once for each time you called {@link module:twgl.createProgramInfo}. The program and shaders are only
+   * deleted when the last user deletes it.
+   *
+   * Because a cached ProgramInfo is shared don't change it, for example by adding your own properties.
+   * Every caller that asked for the same program gets back the same ProgramInfo object, so calling
+   * {@link module:twgl.updateProgramInfo} on it swaps the program for all of them. If you want to
+   * update a program on its own, for example while live editing a shader, create it with `cache: false`.
+   *
+   * @param {WebGLRenderingContext} gl The WebGLRenderingContext to use.
+   * @memberOf module:twgl/programs
+   */
+  function enableProgramCache(gl) {
+    if (programCaches.has(gl)) {
+      return;
+    }
+    var cache = {
+      shaders: {},
+      programs: {},
+    };
+    programCaches.set(gl, cache);
+    if (gl.canvas && gl.canvas.addEventListener) {
+      gl.canvas.addEventListener('webglcontextlost', function() {
+        // Everything in the cache is gone. ProgramInfos still in use are recreated
+        // without the cache if context restoration is enabled.
+        Object.keys(cache.programs).forEach(function(key) {
+          cache.programs[key].cache = null;
+        });
+        cache.shaders = {};
+        cache.programs = {};
+      });
+    }
+  }
+
+  function releaseCachedShader(gl, cache, key) {
+    var shaderEntry = cache.shaders[key];
+    if (--shaderEntry.refCount === 0) {
+      gl.deleteShader(shaderEntry.shader);
+      delete cache.shaders[key];
+    }
+  }
+
+  /**
+   * Gets a ProgramInfo from the cache or makes one and adds it to the cache.
+   * @param {WebGLRenderingContext} gl The WebGLRenderingContext to use.
+   * @param {Object} cache the cache for this context
+   * @param {string[]} shaderSources Array of sources for the shaders.
+   * @param {module:twgl.ProgramOptions} progOptions the program options
+   * @return {module:twgl.ProgramInfo?} The ProgramInfo or null if it failed to link or compile
+   */
+  function getCachedProgramInfo(gl, cache, shaderSources, progOptions) {
+    var errFn = progOptions.errorCallback;
+    var shaderKeys = [];
+    var prepared = [];
+    for (var ii = 0; ii < shaderSources.length; ++ii) {
+      var preparedSource = prepareShaderSource(shaderSources[ii], gl[defaultShaderType[ii]], errFn, progOptions.defines);
+      if (!preparedSource) {
+        return null;
+      }
+      prepared.push(preparedSource);
+      shaderKeys.push(gl[defaultShaderType[ii]] + ":" + preparedSource.source);
+    }
+    var key = [
+      shaderKeys.join("\n"),
+      JSON.stringify(progOptions.attribLocations || {}),
+      JSON.stringify(getTransformFeedbackVaryingNames(progOptions.transformFeedbackVaryings) || []),
+      progOptions.transformFeedbackMode || 0,
+    ].join("\n");
+
+    var entry = cache.programs[key];
+    if (entry) {
+      ++entry.refCount;
+      return entry.programInfo;
+    }
+
+    var shaders = [];
+    for (var ndx = 0; ndx < prepared.length; ++ndx) {
+      var shaderKey = shaderKeys[ndx];
+      var shaderEntry = cache.shaders[shaderKey];
+      if (!shaderEntry) {
+        var shader = compileShader(gl, prepared[ndx], gl[defaultShaderType[ndx]]);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+          reportShaderError(gl, shader, prepared[ndx], errFn);
+          gl.deleteShader(shader);
+          shaderKeys.slice(0, ndx).forEach(function(key) {
+            releaseCachedShader(gl, cache, key);
+          });
+          return null;
+        }
+        shaderEntry = {
+          shader: shader,
+          refCount: 0,
+        };
+        cache.shaders[shaderKey] = shaderEntry;
+      }
+      ++shaderEntry.refCount;
+      shaders.push(shaderEntry.shader);
+    }
+
+    var program = createProgram(gl, shaders, progOptions);
+    if (!program) {
+      shaderKeys.forEach(function(key) {
+        releaseCachedShader(gl, cache, key);
+      });
+      return null;
+    }
+
+    var programInfo = createProgramInfoFromProgram(gl, program);
+    entry = {
+      key: key,
+      shaderKeys: shaderKeys,
+      programInfo: programInfo,
+      refCount: 1,
+      cache: cache,
+    };
+    cache.programs[key] = entry;
+    cachedProgramInfos.set(programInfo, entry);
+    return programInfo;
+  }
+
+  /**
+   * Looks up the source of any shaders passed as script ids
+   * @param {string[]} shaderSources Array of sources for the shaders or ids.
+   * @param {module:twgl.ErrorCallback} errFn callback for errors.
+   * @return {string[]?} the sources or null if an id was not found
+   */
+  function getShaderSourcesFromIds(shaderSources, errFn) {
+    var good = true;
+    shaderSources = shaderSources.map(function(source) {
+      // Lets assume if there is no \n it's an id
+      if (source.indexOf("\n") < 0) {
+        var script = document.getElementById(source);
+        if (!script) {
+          errFn("no element with id: " + source);
+          good = false;
+        } else {
+          source = script.text;
+        }
+      }
+      return source;
+    });
+    return good ? shaderSources : null;
+  }
+
   /**
    * Creates a ProgramInfo from 2 sources.
    *
@@ -1557,28 +2815,399 @@ define([
   function createProgramInfo(
       gl, shaderSources, opt_attribs, opt_locations, opt_errorCallback) {
     var progOptions = getProgramOptions(opt_attribs, opt_locations, opt_errorCallback);
-    var good = true;
-    shaderSources = shaderSources.map(function(source) {
-      // Lets assume if there is no \n it's an id
-      if (source.indexOf("\n") < 0) {
-        var script = document.getElementById(source);
-        if (!script) {
-          progOptions.errorCallback("no element with id: " + source);
-          good = false;
-        } else {
-          source = script.text;
-        }
+    shaderSources = getShaderSourcesFromIds(shaderSources, progOptions.errorCallback);
+    if (!shaderSources) {
+      return null;
+    }
+    var cache = progOptions.cache !== false ? programCaches.get(gl) : undefined;
+    var programInfo;
+    if (cache) {
+      programInfo = getCachedProgramInfo(gl, cache, shaderSources, progOptions);
+      if (!programInfo) {
+        return null;
       }
-      return source;
-    });
-    if (!good) {
+      // The cache is lost with the context so restore without it.
+      var restoreOptions = utils.shallowCopy(progOptions);
+      restoreOptions.cache = false;
+      contextRestoration.track(gl, programInfo, function() {
+        return createProgramInfo(gl, shaderSources, restoreOptions);
+      });
+      return programInfo;
+    }
+    var program = createProgramFromSources(gl, shaderSources, progOptions);
+    if (!program) {
       return null;
     }
+    programInfo = createProgramInfoFromProgram(gl, program);
+    contextRestoration.track(gl, programInfo, function() {
+      return createProgramInfo(gl, shaderSources, progOptions);
+    });
+    return programInfo;
+  }
+
+  function deleteProgramAndShaders(gl, program) {
+    var shaders = gl.getAttachedShaders(program) || [];
+    gl.deleteProgram(program);
+    deleteShaders(gl, shaders);
+  }
+
+  /**
+   * Deletes the program of a ProgramInfo and the shaders attached to it.
+   *
+   * Note: If you made the program yourself and passed it to {@link module:twgl.createProgramInfoFromProgram}
+   * any shaders attached to it will also be deleted.
+   *
+   * If the ProgramInfo came from the program cache it is only deleted when every
+   * user of it has called `deleteProgramInfo`. See {@link module:twgl/programs.enableProgramCache}.
+   *
+   * @param {WebGLRenderingContext} gl The WebGLRenderingContext
+   *        to use.
+   * @param {module:twgl.ProgramInfo} programInfo a ProgramInfo as returned from {@link module:twgl.createProgramInfo}
+   * @memberOf module:twgl/programs
+   */
+  function deleteProgramInfo(gl, programInfo) {
+    var entry = cachedProgramInfos.get(programInfo);
+    if (entry) {
+      if (--entry.refCount > 0) {
+        return;
+      }
+      cachedProgramInfos.delete(programInfo);
+      var cache = entry.cache;
+      if (cache) {
+        contextRestoration.untrack(gl, programInfo);
+        delete cache.programs[entry.key];
+        gl.deleteProgram(programInfo.program);
+        entry.shaderKeys.forEach(function(key) {
+          releaseCachedShader(gl, cache, key);
+        });
+        return;
+      }
+    }
+    contextRestoration.untrack(gl, programInfo);
+    deleteProgramAndShaders(gl, programInfo.program);
+  }
+
+  /**
+   * Recompiles the program of an existing ProgramInfo with new shader sources.
+   *
+   * On success the `program`, `uniformSetters`, `attribSetters`, `uniformBlockSpec` and
+   * `transformFeedbackInfo` of `programInfo` are replaced in place and the old program is deleted
+   * so anything referencing `programInfo`, like the `DrawObject`s passed to {@link module:twgl.drawObjectList},
+   * uses the new program. On failure the errors are reported to `errorCallback` and
+   * `programInfo` is left using the old program.
+   *
+   * Note: If attribute locations change, VertexArrayInfos made from the old program need to be made again.
+   * Pass `attribLocations` to keep them the same.
+   *
+   * Note: If `programInfo` came from the program cache it is the same object every other caller that asked
+   * for the same program got, so all of them get the new program. It is removed from the cache so later calls to
+   * {@link module:twgl.createProgramInfo} compile the old sources again. Create the ProgramInfo with `cache: false`
+   * to update it on its own. See {@link module:twgl/programs.enableProgramCache}.
+   *
+   * NOTE: There are 4 signatures for this function
+   *
+   *     twgl.updateProgramInfo(gl, programInfo, [vs, fs], options);
+   *     twgl.updateProgramInfo(gl, programInfo, [vs, fs], opt_errFunc);
+   *     twgl.updateProgramInfo(gl, programInfo, [vs, fs], opt_attribs, opt_errFunc);
+   *     twgl.updateProgramInfo(gl, programInfo, [vs, fs], opt_attribs, opt_locations, opt_errFunc);
+   *
+   * @param {WebGLRenderingContext} gl The WebGLRenderingContext
+   *        to use.
+   * @param {module:twgl.ProgramInfo} programInfo a ProgramInfo as returned from {@link module:twgl.createProgramInfo}
+   * @param {string[]} shaderSources Array of sources for the
+   *        shaders or ids. The first is assumed to be the vertex shader,
+   *        the second the fragment shader.
+   * @param {module:twgl.ProgramOptions|string[]} [opt_attribs] Options for the program or an array of attribs names. Locations will be assigned by index if not passed in
+   * @param {number[]} [opt_locations] The locations for the attributes. A parallel array to opt_attribs letting you assign locations.
+   * @param {module:twgl.ErrorCallback} opt_errorCallback callback for errors. By default it just prints an error to the console
+   *        on error. If you want something else pass an callback. It's passed an error message.
+   * @return {boolean} true if the program was updated, false if it failed to compile or link.
+   * @memberOf module:twgl/programs
+   */
+  function updateProgramInfo(
+      gl, programInfo, shaderSources, opt_attribs, opt_locations, opt_errorCallback) {
+    var progOptions = getProgramOptions(opt_attribs, opt_locations, opt_errorCallback);
+    shaderSources = getShaderSourcesFromIds(shaderSources, progOptions.errorCallback);
+    if (!shaderSources) {
+      return false;
+    }
     var program = createProgramFromSources(gl, shaderSources, progOptions);
     if (!program) {
+      return false;
+    }
+    var newProgramInfo = createProgramInfoFromProgram(gl, program);
+    var oldProgram = programInfo.program;
+
+    var entry = cachedProgramInfos.get(programInfo);
+    if (entry && entry.cache) {
+      // The new program no longer matches the cache key
+      var cache = entry.cache;
+      delete cache.programs[entry.key];
+      entry.cache = null;
+      gl.deleteProgram(oldProgram);
+      entry.shaderKeys.forEach(function(key) {
+        releaseCachedShader(gl, cache, key);
+      });
+    } else {
+      deleteProgramAndShaders(gl, oldProgram);
+    }
+
+    delete programInfo.uniformBlockSpec;
+    delete programInfo.transformFeedbackInfo;
+    Object.keys(newProgramInfo).forEach(function(key) {
+      programInfo[key] = newProgramInfo[key];
+    });
+
+    var restoreOptions = utils.shallowCopy(progOptions);
+    restoreOptions.cache = false;
+    contextRestoration.track(gl, programInfo, function() {
+      return createProgramInfo(gl, shaderSources, restoreOptions);
+    });
+    return true;
+  }
+
+  /**
+   * Compiles the shaders and starts linking the program without checking
+   * any status so the driver can work on it in parallel.
+   * @param {WebGLRenderingContext} gl The WebGLRenderingContext to use.
+   * @param {string[]} shaderSources Array of sources for the shaders or ids.
+   * @param {module:twgl.ProgramOptions} progOptions the program options
+   * @param {module:twgl.ErrorCallback} errFn callback for errors.
+   * @return {Object?} what's needed to check the program once it's done or null if error.
+   */
+  function startProgram(gl, shaderSources, progOptions, errFn) {
+    shaderSources = getShaderSourcesFromIds(shaderSources, errFn);
+    if (!shaderSources) {
       return null;
     }
-    return createProgramInfoFromProgram(gl, program);
+    var shaders = [];
+    for (var ii = 0; ii < shaderSources.length; ++ii) {
+      var prepared = prepareShaderSource(shaderSources[ii], gl[defaultShaderType[ii]], errFn, progOptions.defines);
+      if (!prepared) {
+        deleteShaders(gl, shaders.map(function(shaderInfo) {
+          return shaderInfo.shader;
+        }));
+        return null;
+      }
+      shaders.push({
+        shader: compileShader(gl, prepared, gl[defaultShaderType[ii]]),
+        prepared: prepared,
+      });
+    }
+    return {
+      program: linkProgram(gl, shaders.map(function(shaderInfo) {
+        return shaderInfo.shader;
+      }), progOptions),
+      shaders: shaders,
+      shaderSources: shaderSources,
+      progOptions: progOptions,
+      errFn: errFn,
+    };
+  }
+
+  /**
+   * Checks a program started with `startProgram` and makes a ProgramInfo for it.
+   * Compile errors are reported the same as {@link module:twgl.createProgramInfo}.
+   * @param {WebGLRenderingContext} gl The WebGLRenderingContext to use.
+   * @param {Object} pending as returned from `startProgram`
+   * @return {module:twgl.ProgramInfo?} The created ProgramInfo or null if it failed to link or compile
+   */
+  function finishProgram(gl, pending) {
+    var program = pending.program;
+    var shaders = pending.shaders.map(function(shaderInfo) {
+      return shaderInfo.shader;
+    });
+    var linked = gl.getProgramParameter(program, gl.LINK_STATUS);
+    if (!linked) {
+      // Only check the shaders once we know something failed so we don't stall
+      var compiled = true;
+      pending.shaders.forEach(function(shaderInfo) {
+        if (!gl.getShaderParameter(shaderInfo.shader, gl.COMPILE_STATUS)) {
+          compiled = false;
+          reportShaderError(gl, shaderInfo.shader, shaderInfo.prepared, pending.errFn);
+        }
+      });
+      if (compiled) {
+        reportLinkError(gl, program, pending.errFn);
+      }
+      gl.deleteProgram(program);
+      deleteShaders(gl, shaders);
+      return null;
+    }
+
+    var programInfo = createProgramInfoFromProgram(gl, program);
+    contextRestoration.track(gl, programInfo, function() {
+      return createProgramInfo(gl, pending.shaderSources, pending.progOptions);
+    });
+    return programInfo;
+  }
+
+  /**
+   * Returns a Promise that resolves when all the programs have finished linking.
+   * Without `KHR_parallel_shader_compile` there is no way to ask so it resolves right away.
+   * @param {WebGLRenderingContext} gl The WebGLRenderingContext to use.
+   * @param {WebGLProgram[]} programs the programs to wait for
+   * @return {Promise} A Promise that resolves when the programs are ready to check.
+   */
+  function waitForPrograms(gl, programs) {
+    var ext = gl.getExtension("KHR_parallel_shader_compile");
+    return new Promise(function(resolve) {
+      if (!ext) {
+        resolve();
+        return;
+      }
+      function check() {
+        var done = gl.isContextLost() || programs.every(function(program) {
+          return gl.getProgramParameter(program, ext.COMPLETION_STATUS_KHR);
+        });
+        if (done) {
+          resolve();
+        } else {
+          setTimeout(check, 10);
+        }
+      }
+      check();
+    });
+  }
+
+  /**
+   * Compiles and links a batch of programs, waits for all of them and then checks them.
+   * @param {WebGLRenderingContext} gl The WebGLRenderingContext to use.
+   * @param {Array.<{shaderSources: string[], progOptions: module:twgl.ProgramOptions}>} specs the programs to make
+   * @return {Promise<{programInfos: module:twgl.ProgramInfo[], errors: string[]}>} A Promise of the ProgramInfos, null
+   *    for any that failed, and the errors reported for them.
+   */
+  function createProgramInfosAsync(gl, specs) {
+    var errors = [];
+    var pendings = specs.map(function(spec) {
+      var errFn = function(msg, shaderError) {
+        errors.push(msg);
+        spec.progOptions.errorCallback(msg, shaderError);
+      };
+      return startProgram(gl, spec.shaderSources, spec.progOptions, errFn);
+    });
+    var programs = pendings.filter(function(pending) {
+      return pending;
+    }).map(function(pending) {
+      return pending.program;
+    });
+    return waitForPrograms(gl, programs).then(function() {
+      return {
+        programInfos: pendings.map(function(pending) {
+          return pending ? finishProgram(gl, pending) : null;
+        }),
+        errors: errors,
+      };
+    });
+  }
+
+  /**
+   * Same as {@link module:twgl.createProgramInfo} except it doesn't wait for the program to
+   * link and returns a Promise.
+   *
+   * If the `KHR_parallel_shader_compile` extension exists the program is polled until it's
+   * done compiling and linking so the page is not blocked. Errors are still passed to
+   * `errorCallback` as well as rejecting the Promise.
+   *
+   * NOTE: There are 4 signatures for this function
+   *
+   *     twgl.createProgramInfoAsync(gl, [vs, fs], options);
+   *     twgl.createProgramInfoAsync(gl, [vs, fs], opt_errFunc);
+   *     twgl.createProgramInfoAsync(gl, [vs, fs], opt_attribs, opt_errFunc);
+   *     twgl.createProgramInfoAsync(gl, [vs, fs], opt_attribs, opt_locations, opt_errFunc);
+   *
+   * @param {WebGLRenderingContext} gl The WebGLRenderingContext
+   *        to use.
+   * @param {string[]} shaderSources Array of sources for the
+   *        shaders or ids. The first is assumed to be the vertex shader,
+   *        the second the fragment shader.
+   * @param {module:twgl.ProgramOptions|string[]} [opt_attribs] Options for the program or an array of attribs names. Locations will be assigned by index if not passed in
+   * @param {number[]} [opt_locations] The locations for the attributes. A parallel array to opt_attribs letting you assign locations.
+   * @param {module:twgl.ErrorCallback} opt_errorCallback callback for errors. By default it just prints an error to the console
+   *        on error. If you want something else pass an callback. It's passed an error message.
+   * @return {Promise<module:twgl.ProgramInfo>} A Promise of the ProgramInfo. It's rejected with an array of the
+   *        error messages if the program failed to compile or link, the same as {@link module:twgl.createProgramsAsync}.
+   * @memberOf module:twgl/programs
+   */
+  function createProgramInfoAsync(
+      gl, shaderSources, opt_attribs, opt_locations, opt_errorCallback) {
+    var progOptions = getProgramOptions(opt_attribs, opt_locations, opt_errorCallback);
+    return createProgramInfosAsync(gl, [
+      { shaderSources: shaderSources, progOptions: progOptions },
+    ]).then(function(result) {
+      if (!result.programInfos[0]) {
+        throw result.errors;
+      }
+      return result.programInfos[0];
+    });
+  }
+
+  /**
+   * Creates a bunch of ProgramInfos at once.
+   *
+   * All the shaders are compiled and all the programs are linked before any of them
+   * are checked so the driver can work on them in parallel. If the `KHR_parallel_shader_compile`
+   * extension exists they are polled until they are done so the page is not blocked.
+   *
+   * Example:
+   *
+   *     twgl.createProgramsAsync(gl, {
+   *       lambert: [lambertVS, lambertFS],
+   *       phong: [phongVS, phongFS],
+   *       phongFog: {
+   *         shaders: [phongVS, phongFS],
+   *         defines: { USE_FOG: true },
+   *       },
+   *     }).then(function(programInfos) {
+   *       ...
+   *     });
+   *
+   * If any program fails all of them are deleted and the Promise is rejected with
+   * an array of the error messages. The errors are also passed to `errorCallback`.
+   *
+   * @param {WebGLRenderingContext} gl The WebGLRenderingContext
+   *        to use.
+   * @param {Object.<string, (string[]|Object)>} programSpecs An object of arrays of shader sources or ids or
+   *        objects with a `shaders` property plus any {@link module:twgl.ProgramOptions} for that program.
+   * @param {module:twgl.ProgramOptions} [opt_options] options used by all the programs.
+   * @return {Promise<Object.<string, module:twgl.ProgramInfo>>} A Promise of an object of ProgramInfos
+   *        with the same keys as `programSpecs`. It's rejected with an array of the error messages.
+   * @memberOf module:twgl/programs
+   */
+  function createProgramsAsync(gl, programSpecs, opt_options) {
+    var names = Object.keys(programSpecs);
+    var specs = names.map(function(name) {
+      var spec = programSpecs[name];
+      var shaderSources = spec;
+      var options = opt_options ? utils.shallowCopy(opt_options) : {};
+      if (!Array.isArray(spec)) {
+        shaderSources = spec.shaders;
+        Object.keys(spec).forEach(function(key) {
+          if (key !== "shaders") {
+            options[key] = spec[key];
+          }
+        });
+      }
+      return {
+        shaderSources: shaderSources,
+        progOptions: getProgramOptions(options),
+      };
+    });
+    return createProgramInfosAsync(gl, specs).then(function(result) {
+      if (result.programInfos.indexOf(null) >= 0) {
+        result.programInfos.forEach(function(programInfo) {
+          if (programInfo) {
+            deleteProgramInfo(gl, programInfo);
+          }
+        });
+        throw result.errors;
+      }
+      var programInfos = {};
+      names.forEach(function(name, ndx) {
+        programInfos[name] = result.programInfos[ndx];
+      });
+      return programInfos;
+    });
   }
 
   // Using quotes prevents Uglify from changing the names.
@@ -1586,15 +3215,27 @@ define([
   return {
     "createAttributeSetters": createAttributeSetters,
 
+    "registerShaderChunks": registerShaderChunks,
+    "preprocessShaderSource": preprocessShaderSource,
+
     "createProgram": createProgram,
     "createProgramFromScripts": createProgramFromScripts,
     "createProgramFromSources": createProgramFromSources,
     "createProgramInfo": createProgramInfo,
+    "createProgramInfoAsync": createProgramInfoAsync,
+    "createProgramsAsync": createProgramsAsync,
     "createProgramInfoFromProgram": createProgramInfoFromProgram,
     "createUniformSetters": createUniformSetters,
     "createUniformBlockSpecFromProgram": createUniformBlockSpecFromProgram,
     "createUniformBlockInfoFromProgram": createUniformBlockInfoFromProgram,
     "createUniformBlockInfo": createUniformBlockInfo,
+    "createSharedUniformBlockInfo": createSharedUniformBlockInfo,
+    "useSharedUniformBlock": useSharedUniformBlock,
+    "deleteSharedUniformBlockInfo": deleteSharedUniformBlockInfo,
+
+    "deleteProgramInfo": deleteProgramInfo,
+    "updateProgramInfo": updateProgramInfo,
+    "enableProgramCache": enableProgramCache,
 
     "createTransformFeedback": createTransformFeedback,
     "createTransformFeedbackInfo": createTransformFeedbackInfo,
@@ -1606,6 +3247,15 @@ define([
     "setUniformBlock": setUniformBlock,
     "setBlockUniforms": setBlockUniforms,
     "bindUniformBlock": bindUniformBlock,
+
+    "setDefaults_": setDefaults,
+    "validateProgramInputs_": validateProgramInputs,
+    "parseShaderLog_": parseShaderLog,
+    "addLineNumbersNearErrors_": addLineNumbersNearErrors,
+    "getUniformNameParts_": getUniformNameParts,
+    "addUniformTreeSetters_": addUniformTreeSetters,
+    "getBlockUniformByteLength_": getBlockUniformByteLength,
+    "createBlockUniformSetter_": createBlockUniformSetter,
   };
 
 });
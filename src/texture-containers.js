@@ -0,0 +1,618 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of his
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+define([], function() {
+  "use strict";
+
+  /**
+   * Texture container related functions.
+   *
+   * Parses KTX, KTX2 and DDS files into a {@link module:twgl.TextureContainer}
+   * that can be uploaded with {@link module:twgl/textures.setTextureFromContainer}.
+   * You don't normally need to call these directly. {@link module:twgl.createTexture}
+   * will use them if `src` is a url ending in `.ktx`, `.ktx2` or `.dds` or
+   * if `src` is an `ArrayBuffer` or typed array containing one of those files.
+   *
+   * For backward compatibily they are available at both `twgl.textureContainers` and `twgl`
+   * itself
+   *
+   * See {@link module:twgl} for core functions
+   *
+   * @module twgl/textureContainers
+   */
+
+  // make sure we don't see a global gl
+  var gl = undefined;  // eslint-disable-line
+
+  /* Texture Targets */
+  const TEXTURE_2D                          = 0x0DE1;
+  const TEXTURE_CUBE_MAP                    = 0x8513;
+  const TEXTURE_3D                          = 0x806F;
+  const TEXTURE_2D_ARRAY                    = 0x8C1A;
+
+  /* Formats */
+  const RED                                 = 0x1903;
+  const RG                                  = 0x8227;
+  const RGB                                 = 0x1907;
+  const RGBA                                = 0x1908;
+
+  /* Types */
+  const UNSIGNED_BYTE                       = 0x1401;
+  const FLOAT                               = 0x1406;
+  const HALF_FLOAT                          = 0x140B;
+  const UNSIGNED_INT_10F_11F_11F_REV        = 0x8C3B;
+  const UNSIGNED_INT_5_9_9_9_REV            = 0x8C3E;
+
+  /* Internal Formats */
+  const R8                                  = 0x8229;
+  const RG8                                 = 0x822B;
+  const RGB8                                = 0x8051;
+  const SRGB8                               = 0x8C41;
+  const RGBA8                               = 0x8058;
+  const SRGB8_ALPHA8                        = 0x8C43;
+  const R16F                                = 0x822D;
+  const RG16F                               = 0x822F;
+  const RGBA16F                             = 0x881A;
+  const R32F                                = 0x822E;
+  const RG32F                               = 0x8230;
+  const RGBA32F                             = 0x8814;
+  const R11F_G11F_B10F                      = 0x8C3A;
+  const RGB9_E5                             = 0x8C3D;
+
+  /* Compressed Internal Formats */
+  const COMPRESSED_RGB_S3TC_DXT1_EXT        = 0x83F0;
+  const COMPRESSED_RGBA_S3TC_DXT1_EXT       = 0x83F1;
+  const COMPRESSED_RGBA_S3TC_DXT3_EXT       = 0x83F2;
+  const COMPRESSED_RGBA_S3TC_DXT5_EXT       = 0x83F3;
+  const COMPRESSED_SRGB_S3TC_DXT1_EXT       = 0x8C4C;
+  const COMPRESSED_SRGB_ALPHA_S3TC_DXT1_EXT = 0x8C4D;
+  const COMPRESSED_SRGB_ALPHA_S3TC_DXT3_EXT = 0x8C4E;
+  const COMPRESSED_SRGB_ALPHA_S3TC_DXT5_EXT = 0x8C4F;
+  const COMPRESSED_R11_EAC                  = 0x9270;
+  const COMPRESSED_RGB8_ETC2                = 0x9274;
+  const COMPRESSED_RGBA_PVRTC_4BPPV1_IMG    = 0x8C02;
+  const COMPRESSED_RGBA_PVRTC_2BPPV1_IMG    = 0x8C03;
+  const COMPRESSED_RGBA_ASTC_4x4_KHR        = 0x93B0;
+  const COMPRESSED_SRGB8_ALPHA8_ASTC_4x4_KHR = 0x93D0;
+
+  const KTX_IDENTIFIER  = [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x31, 0x31, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A];
+  const KTX2_IDENTIFIER = [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A];
+  const DDS_MAGIC       = 0x20534444;  // "DDS "
+
+  /**
+   * A mip level of a texture container.
+   *
+   * @typedef {Object} TextureContainerLevel
+   * @property {number} width the width of this level
+   * @property {number} height the height of this level
+   * @property {number} depth the depth of this level for `TEXTURE_3D`, the number of layers for `TEXTURE_2D_ARRAY`, otherwise 1
+   * @property {Uint8Array} data the data for this level. For cubemaps it contains all 6 faces in
+   *    `TEXTURE_CUBE_MAP_POSITIVE_X`, `NEGATIVE_X`, `POSITIVE_Y`, `NEGATIVE_Y`, `POSITIVE_Z`, `NEGATIVE_Z` order.
+   *    For `TEXTURE_2D_ARRAY` and `TEXTURE_3D` it contains all layers.
+   * @memberOf module:twgl
+   */
+
+  /**
+   * The description of a texture parsed from a KTX, KTX2 or DDS file.
+   *
+   * @typedef {Object} TextureContainer
+   * @property {number} target the texture target. One of `gl.TEXTURE_2D`, `gl.TEXTURE_CUBE_MAP`, `gl.TEXTURE_2D_ARRAY`
+   *    or `gl.TEXTURE_3D`
+   * @property {number} internalFormat the internal format for `texImage2D` or `compressedTexImage2D`
+   * @property {number} [format] the format for `texImage2D`. Undefined if compressed.
+   * @property {number} [type] the type for `texImage2D`. Undefined if compressed.
+   * @property {boolean} compressed true if `internalFormat` is a compressed format.
+   * @property {number} width the width of level 0
+   * @property {number} height the height of level 0
+   * @property {number} depth the depth of level 0 or number of layers. 1 for 2D textures and cubemaps.
+   * @property {number} faces 6 for cubemaps, otherwise 1
+   * @property {module:twgl.TextureContainerLevel[]} levels the mip levels.
+   * @memberOf module:twgl
+   */
+
+  function toDataView(src) {
+    if (src instanceof ArrayBuffer) {
+      return new DataView(src);
+    }
+    return new DataView(src.buffer, src.byteOffset, src.byteLength);
+  }
+
+  function hasIdentifier(view, identifier) {
+    if (view.byteLength < identifier.length) {
+      return false;
+    }
+    return identifier.every(function(v, ndx) {
+      return view.getUint8(ndx) === v;
+    });
+  }
+
+  function getUint64(view, offset) {
+    return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+  }
+
+  function checkSize(view, offset, length, what) {
+    if (offset + length > view.byteLength) {
+      throw "texture container is truncated: " + what + " needs " + (offset + length) + " bytes but there are only " + view.byteLength;
+    }
+  }
+
+  function getBytes(view, offset, length) {
+    if (offset + length > view.byteLength) {
+      throw "texture container is truncated";
+    }
+    return new Uint8Array(view.buffer, view.byteOffset + offset, length);
+  }
+
+  function getTarget(faces, layers, depth) {
+    if (faces === 6) {
+      if (layers) {
+        throw "cubemap arrays are not supported";
+      }
+      return TEXTURE_CUBE_MAP;
+    }
+    if (layers) {
+      return TEXTURE_2D_ARRAY;
+    }
+    return depth ? TEXTURE_3D : TEXTURE_2D;
+  }
+
+  function getLevelSize(size, level) {
+    return Math.max(1, size >> level);
+  }
+
+  /**
+   * Returns true if `src` is an ArrayBuffer or typed array that contains a KTX, KTX2 or DDS file
+   * @param {*} src thing to check
+   * @return {boolean} true if `src` is a texture container.
+   * @memberOf module:twgl/textureContainers
+   */
+  function isTextureContainer(src) {
+    if (!(src instanceof ArrayBuffer || ArrayBuffer.isView(src))) {
+      return false;
+    }
+    const view = toDataView(src);
+    return hasIdentifier(view, KTX_IDENTIFIER) ||
+           hasIdentifier(view, KTX2_IDENTIFIER) ||
+           (view.byteLength >= 8 && view.getUint32(0, true) === DDS_MAGIC && view.getUint32(4, true) === 124);
+  }
+
+  /**
+   * Returns true if `url` looks like a KTX, KTX2 or DDS file based on its extension
+   * @param {string} url the url to check
+   * @return {boolean} true if `url` ends in `.ktx`, `.ktx2` or `.dds`
+   * @memberOf module:twgl/textureContainers
+   */
+  function isTextureContainerUrl(url) {
+    return /\.(ktx2?|dds)([?#]|$)/i.test(url);
+  }
+
+  function swapBytes(src, size) {
+    const dst = new Uint8Array(src.length);
+    for (let ii = 0; ii < src.length; ii += size) {
+      for (let jj = 0; jj < size; ++jj) {
+        dst[ii + jj] = src[ii + size - 1 - jj];
+      }
+    }
+    return dst;
+  }
+
+  /**
+   * Parses a KTX (version 1) file.
+   * @param {(ArrayBuffer|ArrayBufferView)} src the contents of the file
+   * @return {module:twgl.TextureContainer} the parsed texture.
+   * @memberOf module:twgl/textureContainers
+   */
+  function parseKTX(src) {
+    const view = toDataView(src);
+    if (!hasIdentifier(view, KTX_IDENTIFIER)) {
+      throw "not a KTX file";
+    }
+    checkSize(view, 0, 64, "KTX header");
+    const endianness = view.getUint32(12, true);
+    if (endianness !== 0x04030201 && endianness !== 0x01020304) {
+      throw "bad KTX endianness";
+    }
+    const littleEndian = endianness === 0x04030201;
+    const header = [];
+    for (let ii = 0; ii < 12; ++ii) {
+      header.push(view.getUint32(16 + ii * 4, littleEndian));
+    }
+    const glType             = header[0];
+    const glTypeSize         = header[1];
+    const glFormat           = header[2];
+    const glInternalFormat   = header[3];
+    const pixelWidth         = header[5];
+    const pixelHeight        = header[6];
+    const pixelDepth         = header[7];
+    const numArrayElements   = header[8];
+    const numFaces           = header[9];
+    const numMipmapLevels    = Math.max(1, header[10]);
+    const bytesOfKeyValue    = header[11];
+    const compressed = glType === 0;
+    const target = getTarget(numFaces, numArrayElements, pixelDepth);
+    const depth = numArrayElements || pixelDepth || 1;
+    const height = pixelHeight || 1;
+
+    const levels = [];
+    let offset = 64 + bytesOfKeyValue;
+    for (let level = 0; level < numMipmapLevels; ++level) {
+      checkSize(view, offset, 4, "imageSize of KTX level " + level);
+      const imageSize = view.getUint32(offset, littleEndian);
+      offset += 4;
+      let data;
+      if (target === TEXTURE_CUBE_MAP) {
+        // for non-array cubemaps imageSize is the size of 1 face and each face is padded to 4 bytes.
+        const paddedSize = (imageSize + 3) & ~3;
+        checkSize(view, offset, paddedSize * 5 + imageSize, "KTX level " + level);
+        data = new Uint8Array(imageSize * 6);
+        for (let face = 0; face < 6; ++face) {
+          data.set(getBytes(view, offset, imageSize), face * imageSize);
+          offset += paddedSize;
+        }
+      } else {
+        checkSize(view, offset, imageSize, "KTX level " + level);
+        data = getBytes(view, offset, imageSize);
+        offset += (imageSize + 3) & ~3;
+      }
+      if (!littleEndian && glTypeSize > 1) {
+        data = swapBytes(data, glTypeSize);
+      }
+      levels.push({
+        width: getLevelSize(pixelWidth, level),
+        height: getLevelSize(height, level),
+        depth: target === TEXTURE_3D ? getLevelSize(depth, level) : depth,
+        data: data,
+      });
+    }
+
+    return {
+      target: target,
+      internalFormat: glInternalFormat,
+      format: compressed ? undefined : glFormat,
+      type: compressed ? undefined : glType,
+      compressed: compressed,
+      width: pixelWidth,
+      height: height,
+      depth: depth,
+      faces: numFaces,
+      levels: levels,
+    };
+  }
+
+  // vkFormat to GL format for KTX2
+  const vkFormatInfo = {};
+  {
+    // NOTE: these properties need unique names so we can let Uglify mangle the name.
+    const v = vkFormatInfo;
+    v[9]   = { glInternalFormat: R8,             glFormat: RED,  glType: UNSIGNED_BYTE, };                 // VK_FORMAT_R8_UNORM
+    v[16]  = { glInternalFormat: RG8,            glFormat: RG,   glType: UNSIGNED_BYTE, };                 // VK_FORMAT_R8G8_UNORM
+    v[23]  = { glInternalFormat: RGB8,           glFormat: RGB,  glType: UNSIGNED_BYTE, };                 // VK_FORMAT_R8G8B8_UNORM
+    v[29]  = { glInternalFormat: SRGB8,          glFormat: RGB,  glType: UNSIGNED_BYTE, };                 // VK_FORMAT_R8G8B8_SRGB
+    v[37]  = { glInternalFormat: RGBA8,          glFormat: RGBA, glType: UNSIGNED_BYTE, };                 // VK_FORMAT_R8G8B8A8_UNORM
+    v[43]  = { glInternalFormat: SRGB8_ALPHA8,   glFormat: RGBA, glType: UNSIGNED_BYTE, };                 // VK_FORMAT_R8G8B8A8_SRGB
+    v[76]  = { glInternalFormat: R16F,           glFormat: RED,  glType: HALF_FLOAT, };                    // VK_FORMAT_R16_SFLOAT
+    v[83]  = { glInternalFormat: RG16F,          glFormat: RG,   glType: HALF_FLOAT, };                    // VK_FORMAT_R16G16_SFLOAT
+    v[97]  = { glInternalFormat: RGBA16F,        glFormat: RGBA, glType: HALF_FLOAT, };                    // VK_FORMAT_R16G16B16A16_SFLOAT
+    v[100] = { glInternalFormat: R32F,           glFormat: RED,  glType: FLOAT, };                         // VK_FORMAT_R32_SFLOAT
+    v[103] = { glInternalFormat: RG32F,          glFormat: RG,   glType: FLOAT, };                         // VK_FORMAT_R32G32_SFLOAT
+    v[109] = { glInternalFormat: RGBA32F,        glFormat: RGBA, glType: FLOAT, };                         // VK_FORMAT_R32G32B32A32_SFLOAT
+    v[122] = { glInternalFormat: R11F_G11F_B10F, glFormat: RGB,  glType: UNSIGNED_INT_10F_11F_11F_REV, };  // VK_FORMAT_B10G11R11_UFLOAT_PACK32
+    v[123] = { glInternalFormat: RGB9_E5,        glFormat: RGB,  glType: UNSIGNED_INT_5_9_9_9_REV, };      // VK_FORMAT_E5B9G9R9_UFLOAT_PACK32
+    // VK_FORMAT_BC1_RGB_UNORM_BLOCK to VK_FORMAT_BC3_SRGB_BLOCK
+    v[131] = { glInternalFormat: COMPRESSED_RGB_S3TC_DXT1_EXT, };
+    v[132] = { glInternalFormat: COMPRESSED_SRGB_S3TC_DXT1_EXT, };
+    v[133] = { glInternalFormat: COMPRESSED_RGBA_S3TC_DXT1_EXT, };
+    v[134] = { glInternalFormat: COMPRESSED_SRGB_ALPHA_S3TC_DXT1_EXT, };
+    v[135] = { glInternalFormat: COMPRESSED_RGBA_S3TC_DXT3_EXT, };
+    v[136] = { glInternalFormat: COMPRESSED_SRGB_ALPHA_S3TC_DXT3_EXT, };
+    v[137] = { glInternalFormat: COMPRESSED_RGBA_S3TC_DXT5_EXT, };
+    v[138] = { glInternalFormat: COMPRESSED_SRGB_ALPHA_S3TC_DXT5_EXT, };
+    // VK_FORMAT_ETC2_R8G8B8_UNORM_BLOCK to VK_FORMAT_ETC2_R8G8B8A8_SRGB_BLOCK
+    for (let ii = 0; ii < 6; ++ii) {
+      v[147 + ii] = { glInternalFormat: COMPRESSED_RGB8_ETC2 + ii, };
+    }
+    // VK_FORMAT_EAC_R11_UNORM_BLOCK to VK_FORMAT_EAC_R11G11_SNORM_BLOCK
+    for (let ii = 0; ii < 4; ++ii) {
+      v[153 + ii] = { glInternalFormat: COMPRESSED_R11_EAC + ii, };
+    }
+    // VK_FORMAT_ASTC_4x4_UNORM_BLOCK to VK_FORMAT_ASTC_12x12_SRGB_BLOCK. UNORM and SRGB alternate
+    for (let ii = 0; ii < 14; ++ii) {
+      v[157 + ii * 2]     = { glInternalFormat: COMPRESSED_RGBA_ASTC_4x4_KHR + ii, };
+      v[157 + ii * 2 + 1] = { glInternalFormat: COMPRESSED_SRGB8_ALPHA8_ASTC_4x4_KHR + ii, };
+    }
+    v[1000054000] = { glInternalFormat: COMPRESSED_RGBA_PVRTC_2BPPV1_IMG, };  // VK_FORMAT_PVRTC1_2BPP_UNORM_BLOCK_IMG
+    v[1000054001] = { glInternalFormat: COMPRESSED_RGBA_PVRTC_4BPPV1_IMG, };  // VK_FORMAT_PVRTC1_4BPP_UNORM_BLOCK_IMG
+  }
+
+  /**
+   * Parses a KTX2 file.
+   *
+   * Note: supercompressed files (eg, Basis Universal) are not supported.
+   *
+   * @param {(ArrayBuffer|ArrayBufferView)} src the contents of the file
+   * @return {module:twgl.TextureContainer} the parsed texture.
+   * @memberOf module:twgl/textureContainers
+   */
+  function parseKTX2(src) {
+    const view = toDataView(src);
+    if (!hasIdentifier(view, KTX2_IDENTIFIER)) {
+      throw "not a KTX2 file";
+    }
+    checkSize(view, 0, 80, "KTX2 header");
+    const vkFormat               = view.getUint32(12, true);
+    const pixelWidth             = view.getUint32(20, true);
+    const pixelHeight            = view.getUint32(24, true);
+    const pixelDepth             = view.getUint32(28, true);
+    const layerCount             = view.getUint32(32, true);
+    const faceCount              = view.getUint32(36, true);
+    const levelCount             = Math.max(1, view.getUint32(40, true));
+    const supercompressionScheme = view.getUint32(44, true);
+    if (supercompressionScheme !== 0) {
+      throw "supercompressed KTX2 files are not supported";
+    }
+    const info = vkFormatInfo[vkFormat];
+    if (!info) {
+      throw "unsupported KTX2 vkFormat: " + vkFormat;
+    }
+    const compressed = info.glFormat === undefined;
+    const target = getTarget(faceCount, layerCount, pixelDepth);
+    const depth = layerCount || pixelDepth || 1;
+    const height = pixelHeight || 1;
+
+    checkSize(view, 80, levelCount * 24, "KTX2 level index");
+    const levels = [];
+    for (let level = 0; level < levelCount; ++level) {
+      const indexOffset = 80 + level * 24;
+      const byteOffset = getUint64(view, indexOffset);
+      const byteLength = getUint64(view, indexOffset + 8);
+      checkSize(view, byteOffset, byteLength, "KTX2 level " + level);
+      levels.push({
+        width: getLevelSize(pixelWidth, level),
+        height: getLevelSize(height, level),
+        depth: target === TEXTURE_3D ? getLevelSize(depth, level) : depth,
+        data: getBytes(view, byteOffset, byteLength),
+      });
+    }
+
+    return {
+      target: target,
+      internalFormat: info.glInternalFormat,
+      format: info.glFormat,
+      type: info.glType,
+      compressed: compressed,
+      width: pixelWidth,
+      height: height,
+      depth: depth,
+      faces: faceCount,
+      levels: levels,
+    };
+  }
+
+  const DDSD_MIPMAPCOUNT     = 0x20000;
+  const DDPF_ALPHAPIXELS     = 0x1;
+  const DDPF_FOURCC          = 0x4;
+  const DDPF_RGB             = 0x40;
+  const DDSCAPS2_CUBEMAP     = 0x200;
+  const DDSCAPS2_VOLUME      = 0x200000;
+  const DDS_RESOURCE_MISC_TEXTURECUBE = 0x4;
+
+  function fourCC(str) {
+    return str.charCodeAt(0) | (str.charCodeAt(1) << 8) | (str.charCodeAt(2) << 16) | (str.charCodeAt(3) << 24);
+  }
+
+  const FOURCC_DXT1 = fourCC("DXT1");
+  const FOURCC_DXT3 = fourCC("DXT3");
+  const FOURCC_DXT5 = fourCC("DXT5");
+  const FOURCC_DX10 = fourCC("DX10");
+
+  // DXGI_FORMAT to GL format for DDS files with a DX10 header
+  const dxgiFormatInfo = {};
+  {
+    // NOTE: these properties need unique names so we can let Uglify mangle the name.
+    const d = dxgiFormatInfo;
+    d[2]  = { glInternalFormat: RGBA32F,      glFormat: RGBA, glType: FLOAT,         bytesPerPixel: 16, };  // DXGI_FORMAT_R32G32B32A32_FLOAT
+    d[10] = { glInternalFormat: RGBA16F,      glFormat: RGBA, glType: HALF_FLOAT,    bytesPerPixel:  8, };  // DXGI_FORMAT_R16G16B16A16_FLOAT
+    d[28] = { glInternalFormat: RGBA8,        glFormat: RGBA, glType: UNSIGNED_BYTE, bytesPerPixel:  4, };  // DXGI_FORMAT_R8G8B8A8_UNORM
+    d[29] = { glInternalFormat: SRGB8_ALPHA8, glFormat: RGBA, glType: UNSIGNED_BYTE, bytesPerPixel:  4, };  // DXGI_FORMAT_R8G8B8A8_UNORM_SRGB
+    d[71] = { glInternalFormat: COMPRESSED_RGBA_S3TC_DXT1_EXT,       bytesPerBlock:  8, };  // DXGI_FORMAT_BC1_UNORM
+    d[72] = { glInternalFormat: COMPRESSED_SRGB_ALPHA_S3TC_DXT1_EXT, bytesPerBlock:  8, };  // DXGI_FORMAT_BC1_UNORM_SRGB
+    d[74] = { glInternalFormat: COMPRESSED_RGBA_S3TC_DXT3_EXT,       bytesPerBlock: 16, };  // DXGI_FORMAT_BC2_UNORM
+    d[75] = { glInternalFormat: COMPRESSED_SRGB_ALPHA_S3TC_DXT3_EXT, bytesPerBlock: 16, };  // DXGI_FORMAT_BC2_UNORM_SRGB
+    d[77] = { glInternalFormat: COMPRESSED_RGBA_S3TC_DXT5_EXT,       bytesPerBlock: 16, };  // DXGI_FORMAT_BC3_UNORM
+    d[78] = { glInternalFormat: COMPRESSED_SRGB_ALPHA_S3TC_DXT5_EXT, bytesPerBlock: 16, };  // DXGI_FORMAT_BC3_UNORM_SRGB
+  }
+
+  function getDDSFormatInfo(view) {
+    const pfFlags = view.getUint32(80, true);
+    const pfFourCC = view.getUint32(84, true);
+    if (pfFlags & DDPF_FOURCC) {
+      switch (pfFourCC) {
+        case FOURCC_DXT1:
+          return {
+            glInternalFormat: (pfFlags & DDPF_ALPHAPIXELS) ? COMPRESSED_RGBA_S3TC_DXT1_EXT : COMPRESSED_RGB_S3TC_DXT1_EXT,
+            bytesPerBlock: 8,
+          };
+        case FOURCC_DXT3:
+          return { glInternalFormat: COMPRESSED_RGBA_S3TC_DXT3_EXT, bytesPerBlock: 16, };
+        case FOURCC_DXT5:
+          return { glInternalFormat: COMPRESSED_RGBA_S3TC_DXT5_EXT, bytesPerBlock: 16, };
+        case FOURCC_DX10: {
+          const dxgiFormat = view.getUint32(128, true);
+          const info = dxgiFormatInfo[dxgiFormat];
+          if (!info) {
+            throw "unsupported DDS DXGI format: " + dxgiFormat;
+          }
+          return info;
+        }
+        default:
+          throw "unsupported DDS fourCC: " + pfFourCC.toString(16);
+      }
+    }
+    if ((pfFlags & DDPF_RGB) && view.getUint32(88, true) === 32) {
+      const rMask = view.getUint32(92, true);
+      const bMask = view.getUint32(100, true);
+      if (rMask === 0x000000FF && bMask === 0x00FF0000) {
+        return { glInternalFormat: RGBA8, glFormat: RGBA, glType: UNSIGNED_BYTE, bytesPerPixel: 4, };
+      }
+      if (rMask === 0x00FF0000 && bMask === 0x000000FF) {
+        return { glInternalFormat: RGBA8, glFormat: RGBA, glType: UNSIGNED_BYTE, bytesPerPixel: 4, bgra: true, };
+      }
+    }
+    throw "unsupported DDS pixel format";
+  }
+
+  function getDDSImageSize(info, width, height) {
+    if (info.bytesPerBlock) {
+      return Math.max(1, Math.ceil(width / 4)) * Math.max(1, Math.ceil(height / 4)) * info.bytesPerBlock;
+    }
+    return width * height * info.bytesPerPixel;
+  }
+
+  function bgraToRgba(src) {
+    const dst = new Uint8Array(src);
+    for (let ii = 0; ii < dst.length; ii += 4) {
+      dst[ii    ] = src[ii + 2];
+      dst[ii + 2] = src[ii    ];
+    }
+    return dst;
+  }
+
+  /**
+   * Parses a DDS file.
+   *
+   * Supports DXT1, DXT3, DXT5, 32bit RGBA/BGRA and a few DX10 formats
+   * including cubemaps, volumes and arrays.
+   *
+   * @param {(ArrayBuffer|ArrayBufferView)} src the contents of the file
+   * @return {module:twgl.TextureContainer} the parsed texture.
+   * @memberOf module:twgl/textureContainers
+   */
+  function parseDDS(src) {
+    const view = toDataView(src);
+    if (view.byteLength < 128 || view.getUint32(0, true) !== DDS_MAGIC || view.getUint32(4, true) !== 124) {
+      throw "not a DDS file";
+    }
+    const flags       = view.getUint32(8, true);
+    const height      = view.getUint32(12, true);
+    const width       = view.getUint32(16, true);
+    const volumeDepth = view.getUint32(24, true);
+    const numLevels   = (flags & DDSD_MIPMAPCOUNT) ? Math.max(1, view.getUint32(28, true)) : 1;
+    const caps2       = view.getUint32(112, true);
+    const info = getDDSFormatInfo(view);
+    const hasDX10Header = view.getUint32(84, true) === FOURCC_DX10;
+
+    let faces = (caps2 & DDSCAPS2_CUBEMAP) ? 6 : 1;
+    let layers = 0;
+    if (hasDX10Header) {
+      const miscFlag = view.getUint32(136, true);
+      const arraySize = view.getUint32(140, true);
+      faces = (miscFlag & DDS_RESOURCE_MISC_TEXTURECUBE) ? 6 : 1;
+      layers = arraySize > 1 ? arraySize : 0;
+    }
+    const isVolume = !!(caps2 & DDSCAPS2_VOLUME);
+    const target = getTarget(faces, layers, isVolume ? volumeDepth : 0);
+    const depth = layers || (isVolume ? volumeDepth : 1);
+
+    // DDS stores every mip of a face/layer before the next face/layer.
+    // A TextureContainer stores all faces/layers of a level together.
+    const numImages = faces * (layers || 1);
+    const levelSizes = [];
+    for (let level = 0; level < numLevels; ++level) {
+      const levelDepth = target === TEXTURE_3D ? getLevelSize(depth, level) : 1;
+      levelSizes.push(getDDSImageSize(info, getLevelSize(width, level), getLevelSize(height, level)) * levelDepth);
+    }
+    const levels = levelSizes.map(function(size, level) {
+      return {
+        width: getLevelSize(width, level),
+        height: getLevelSize(height, level),
+        depth: target === TEXTURE_3D ? getLevelSize(depth, level) : depth,
+        data: new Uint8Array(size * numImages),
+      };
+    });
+    let offset = hasDX10Header ? 148 : 128;
+    for (let image = 0; image < numImages; ++image) {
+      for (let level = 0; level < numLevels; ++level) {
+        const size = levelSizes[level];
+        const data = getBytes(view, offset, size);
+        levels[level].data.set(info.bgra ? bgraToRgba(data) : data, image * size);
+        offset += size;
+      }
+    }
+
+    const compressed = info.glFormat === undefined;
+    return {
+      target: target,
+      internalFormat: info.glInternalFormat,
+      format: info.glFormat,
+      type: info.glType,
+      compressed: compressed,
+      width: width,
+      height: height,
+      depth: depth,
+      faces: faces,
+      levels: levels,
+    };
+  }
+
+  /**
+   * Parses a KTX, KTX2 or DDS file.
+   *
+   * Example:
+   *
+   *     var container = twgl.parseTextureContainer(arrayBufferOfKtxFile);
+   *     var tex = gl.createTexture();
+   *     twgl.setTextureFromContainer(gl, tex, container, { target: container.target });
+   *
+   * @param {(ArrayBuffer|ArrayBufferView)} src the contents of the file
+   * @return {module:twgl.TextureContainer} the parsed texture.
+   * @memberOf module:twgl/textureContainers
+   */
+  function parseTextureContainer(src) {
+    const view = toDataView(src);
+    if (hasIdentifier(view, KTX_IDENTIFIER)) {
+      return parseKTX(src);
+    }
+    if (hasIdentifier(view, KTX2_IDENTIFIER)) {
+      return parseKTX2(src);
+    }
+    return parseDDS(src);
+  }
+
+  // Using quotes prevents Uglify from changing the names.
+  // No speed diff AFAICT.
+  return {
+    "isTextureContainer": isTextureContainer,
+    "isTextureContainerUrl": isTextureContainerUrl,
+    "parseTextureContainer": parseTextureContainer,
+    "parseKTX": parseKTX,
+    "parseKTX2": parseKTX2,
+    "parseDDS": parseDDS,
+  };
+});
@@ -30,9 +30,15 @@
  */
 
 define([
+    './context-restoration',
+    './hdr',
+    './texture-containers',
     './typedarrays',
     './utils',
   ], function(
+    contextRestoration,
+    hdr,
+    textureContainers,
     typedArrays,
     utils) {
   "use strict";
@@ -61,8 +67,12 @@ define([
   };
   var isArrayBuffer = typedArrays.isArrayBuffer;
 
-  // Should we make this on demand?
-  var ctx = document.createElement("canvas").getContext("2d");
+  // Made on demand so this module can load without a document.
+  var s_ctx;
+  function getShared2DContext() {
+    s_ctx = s_ctx || document.createElement("canvas").getContext("2d");
+    return s_ctx;
+  }
 
   /* PixelFormat */
   var ALPHA                          = 0x1906;
@@ -273,14 +283,138 @@ define([
     });
   }
 
+  /* WEBGL_compressed_texture_s3tc */
+  const COMPRESSED_RGB_S3TC_DXT1_EXT        = 0x83F0;
+  const COMPRESSED_RGBA_S3TC_DXT1_EXT       = 0x83F1;
+  const COMPRESSED_RGBA_S3TC_DXT3_EXT       = 0x83F2;
+  const COMPRESSED_RGBA_S3TC_DXT5_EXT       = 0x83F3;
+
+  /* WEBGL_compressed_texture_s3tc_srgb */
+  const COMPRESSED_SRGB_S3TC_DXT1_EXT       = 0x8C4C;
+  const COMPRESSED_SRGB_ALPHA_S3TC_DXT1_EXT = 0x8C4D;
+  const COMPRESSED_SRGB_ALPHA_S3TC_DXT3_EXT = 0x8C4E;
+  const COMPRESSED_SRGB_ALPHA_S3TC_DXT5_EXT = 0x8C4F;
+
+  /* WEBGL_compressed_texture_etc1 */
+  const COMPRESSED_RGB_ETC1_WEBGL           = 0x8D64;
+
+  /* WEBGL_compressed_texture_etc */
+  const COMPRESSED_R11_EAC                        = 0x9270;
+  const COMPRESSED_SIGNED_R11_EAC                 = 0x9271;
+  const COMPRESSED_RG11_EAC                       = 0x9272;
+  const COMPRESSED_SIGNED_RG11_EAC                = 0x9273;
+  const COMPRESSED_RGB8_ETC2                      = 0x9274;
+  const COMPRESSED_SRGB8_ETC2                     = 0x9275;
+  const COMPRESSED_RGB8_PUNCHTHROUGH_ALPHA1_ETC2  = 0x9276;
+  const COMPRESSED_SRGB8_PUNCHTHROUGH_ALPHA1_ETC2 = 0x9277;
+  const COMPRESSED_RGBA8_ETC2_EAC                 = 0x9278;
+  const COMPRESSED_SRGB8_ALPHA8_ETC2_EAC          = 0x9279;
+
+  /* WEBGL_compressed_texture_pvrtc */
+  const COMPRESSED_RGB_PVRTC_4BPPV1_IMG     = 0x8C00;
+  const COMPRESSED_RGB_PVRTC_2BPPV1_IMG     = 0x8C01;
+  const COMPRESSED_RGBA_PVRTC_4BPPV1_IMG    = 0x8C02;
+  const COMPRESSED_RGBA_PVRTC_2BPPV1_IMG    = 0x8C03;
+
+  /* WEBGL_compressed_texture_astc */
+  const COMPRESSED_RGBA_ASTC_4x4_KHR        = 0x93B0;
+  const COMPRESSED_SRGB8_ALPHA8_ASTC_4x4_KHR = 0x93D0;
+  // The remaining ASTC formats follow in this order after the 4x4 formats
+  const astcBlockSizes = [
+    [4, 4], [5, 4], [5, 5], [6, 5], [6, 6], [8, 5], [8, 6], [8, 8],
+    [10, 5], [10, 6], [10, 8], [10, 10], [12, 10], [12, 12],
+  ];
+
+  const compressedTextureFormatInfo = {};
+  {
+    // NOTE: these properties need unique names so we can let Uglify mangle the name.
+    const c = compressedTextureFormatInfo;
+    const s3tc     = ["WEBGL_compressed_texture_s3tc", "WEBKIT_WEBGL_compressed_texture_s3tc"];
+    const s3tcSRGB = ["WEBGL_compressed_texture_s3tc_srgb"];
+    const etc1     = ["WEBGL_compressed_texture_etc1"];
+    const etc      = ["WEBGL_compressed_texture_etc"];
+    const pvrtc    = ["WEBGL_compressed_texture_pvrtc", "WEBKIT_WEBGL_compressed_texture_pvrtc"];
+    const astc     = ["WEBGL_compressed_texture_astc"];
+    c[COMPRESSED_RGB_S3TC_DXT1_EXT]                  = { blockWidth: 4, blockHeight: 4, bytesPerBlock:  8, minBlocks: 1, extensions: s3tc,     };
+    c[COMPRESSED_RGBA_S3TC_DXT1_EXT]                 = { blockWidth: 4, blockHeight: 4, bytesPerBlock:  8, minBlocks: 1, extensions: s3tc,     };
+    c[COMPRESSED_RGBA_S3TC_DXT3_EXT]                 = { blockWidth: 4, blockHeight: 4, bytesPerBlock: 16, minBlocks: 1, extensions: s3tc,     };
+    c[COMPRESSED_RGBA_S3TC_DXT5_EXT]                 = { blockWidth: 4, blockHeight: 4, bytesPerBlock: 16, minBlocks: 1, extensions: s3tc,     };
+    c[COMPRESSED_SRGB_S3TC_DXT1_EXT]                 = { blockWidth: 4, blockHeight: 4, bytesPerBlock:  8, minBlocks: 1, extensions: s3tcSRGB, };
+    c[COMPRESSED_SRGB_ALPHA_S3TC_DXT1_EXT]           = { blockWidth: 4, blockHeight: 4, bytesPerBlock:  8, minBlocks: 1, extensions: s3tcSRGB, };
+    c[COMPRESSED_SRGB_ALPHA_S3TC_DXT3_EXT]           = { blockWidth: 4, blockHeight: 4, bytesPerBlock: 16, minBlocks: 1, extensions: s3tcSRGB, };
+    c[COMPRESSED_SRGB_ALPHA_S3TC_DXT5_EXT]           = { blockWidth: 4, blockHeight: 4, bytesPerBlock: 16, minBlocks: 1, extensions: s3tcSRGB, };
+    c[COMPRESSED_RGB_ETC1_WEBGL]                     = { blockWidth: 4, blockHeight: 4, bytesPerBlock:  8, minBlocks: 1, extensions: etc1,     };
+    c[COMPRESSED_R11_EAC]                            = { blockWidth: 4, blockHeight: 4, bytesPerBlock:  8, minBlocks: 1, extensions: etc,      };
+    c[COMPRESSED_SIGNED_R11_EAC]                     = { blockWidth: 4, blockHeight: 4, bytesPerBlock:  8, minBlocks: 1, extensions: etc,      };
+    c[COMPRESSED_RG11_EAC]                           = { blockWidth: 4, blockHeight: 4, bytesPerBlock: 16, minBlocks: 1, extensions: etc,      };
+    c[COMPRESSED_SIGNED_RG11_EAC]                    = { blockWidth: 4, blockHeight: 4, bytesPerBlock: 16, minBlocks: 1, extensions: etc,      };
+    c[COMPRESSED_RGB8_ETC2]                          = { blockWidth: 4, blockHeight: 4, bytesPerBlock:  8, minBlocks: 1, extensions: etc,      };
+    c[COMPRESSED_SRGB8_ETC2]                         = { blockWidth: 4, blockHeight: 4, bytesPerBlock:  8, minBlocks: 1, extensions: etc,      };
+    c[COMPRESSED_RGB8_PUNCHTHROUGH_ALPHA1_ETC2]      = { blockWidth: 4, blockHeight: 4, bytesPerBlock:  8, minBlocks: 1, extensions: etc,      };
+    c[COMPRESSED_SRGB8_PUNCHTHROUGH_ALPHA1_ETC2]     = { blockWidth: 4, blockHeight: 4, bytesPerBlock:  8, minBlocks: 1, extensions: etc,      };
+    c[COMPRESSED_RGBA8_ETC2_EAC]                     = { blockWidth: 4, blockHeight: 4, bytesPerBlock: 16, minBlocks: 1, extensions: etc,      };
+    c[COMPRESSED_SRGB8_ALPHA8_ETC2_EAC]              = { blockWidth: 4, blockHeight: 4, bytesPerBlock: 16, minBlocks: 1, extensions: etc,      };
+    // PVRTC needs at least 2x2 blocks. eg, 4bpp is always at least 8x8 pixels worth of data
+    c[COMPRESSED_RGB_PVRTC_4BPPV1_IMG]               = { blockWidth: 4, blockHeight: 4, bytesPerBlock:  8, minBlocks: 2, extensions: pvrtc,    };
+    c[COMPRESSED_RGB_PVRTC_2BPPV1_IMG]               = { blockWidth: 8, blockHeight: 4, bytesPerBlock:  8, minBlocks: 2, extensions: pvrtc,    };
+    c[COMPRESSED_RGBA_PVRTC_4BPPV1_IMG]              = { blockWidth: 4, blockHeight: 4, bytesPerBlock:  8, minBlocks: 2, extensions: pvrtc,    };
+    c[COMPRESSED_RGBA_PVRTC_2BPPV1_IMG]              = { blockWidth: 8, blockHeight: 4, bytesPerBlock:  8, minBlocks: 2, extensions: pvrtc,    };
+    astcBlockSizes.forEach(function(blockSize, ndx) {
+      const info = { blockWidth: blockSize[0], blockHeight: blockSize[1], bytesPerBlock: 16, minBlocks: 1, extensions: astc, };
+      c[COMPRESSED_RGBA_ASTC_4x4_KHR + ndx] = info;
+      c[COMPRESSED_SRGB8_ALPHA8_ASTC_4x4_KHR + ndx] = info;
+    });
+  }
+
+  /**
+   * Check if an internal format is a compressed format
+   * @param {number} internalFormat The internalFormat parameter from compressedTexImage2D etc..
+   * @return {boolean} true if internalFormat is a compressed format TWGL knows about
+   * @memberOf module:twgl/textures
+   */
+  function isCompressedInternalFormat(internalFormat) {
+    return !!compressedTextureFormatInfo[internalFormat];
+  }
+
+  /**
+   * Gets the number of bytes needed for an image of a compressed format.
+   *
+   * Compressed formats store blocks of pixels (for example 4x4 pixels) so
+   * the size is rounded up to whole blocks.
+   *
+   * @param {number} internalFormat The internalFormat parameter from compressedTexImage2D etc..
+   * @param {number} width the width of the image
+   * @param {number} height the height of the image
+   * @param {number} [depth] the depth of the image. Default = 1
+   * @return {number} the number of bytes for an image of that size.
+   * @memberOf module:twgl/textures
+   */
+  function getCompressedImageSizeForInternalFormat(internalFormat, width, height, depth) {
+    const info = compressedTextureFormatInfo[internalFormat];
+    if (!info) {
+      throw "unknown compressed internal format";
+    }
+    const blocksAcross = Math.max(info.minBlocks, Math.ceil(width  / info.blockWidth));
+    const blocksDown   = Math.max(info.minBlocks, Math.ceil(height / info.blockHeight));
+    return blocksAcross * blocksDown * info.bytesPerBlock * (depth || 1);
+  }
+
   /**
    * Gets the number of bytes per element for a given internalFormat / type
+   *
+   * For compressed formats `type` is ignored and the result is the average number
+   * of bytes per pixel of a block (for example 0.5 for `COMPRESSED_RGB_S3TC_DXT1_EXT`)
+   *
    * @param {number} internalFormat The internalFormat parameter from texImage2D etc..
    * @param {number} type The type parameter for texImage2D etc..
    * @return {number} the number of bytes per element for the given internalFormat, type combo
    * @memberOf module:twgl/textures
    */
   function getBytesPerElementForInternalFormat(internalFormat, type) {
+    const compressedInfo = compressedTextureFormatInfo[internalFormat];
+    if (compressedInfo) {
+      return compressedInfo.bytesPerBlock / (compressedInfo.blockWidth * compressedInfo.blockHeight);
+    }
     const info = textureInternalFormatInfo[internalFormat];
     if (!info) {
       throw "unknown internal format";
@@ -297,6 +431,7 @@ define([
    *
    * @param {number} internalFormat The internal format
    * @return {{format:number, type:number}} the corresponding format and type
+   * @memberOf module:twgl/textures
    */
   function getFormatAndTypeForInternalFormat(internalFormat) {
     const info = textureInternalFormatInfo[internalFormat];
@@ -325,6 +460,9 @@ define([
    * @return {boolean} true if we can generate mips
    */
   function canGenerateMipmap(gl, width, height, internalFormat /*, type */) {
+    if (isCompressedInternalFormat(internalFormat)) {
+      return false;
+    }
     if (!utils.isWebGL2(gl)) {
       return isPowerOf2(width) && isPowerOf2(height);
     }
@@ -342,6 +480,9 @@ define([
    * @return {boolean} true if we can generate mips
    */
   function canFilter(internalFormat /*, type */) {
+    if (isCompressedInternalFormat(internalFormat)) {
+      return true;
+    }
     const info = textureInternalFormatInfo[internalFormat];
     if (!info) {
       throw "unknown internal format";
@@ -438,6 +579,8 @@ define([
    *
    * @param {WebGLRenderingContext} gl A WebGLRenderingContext
    * @param {number} value the value of the enum you want to look up.
+   * @return {string} the name of the enum or its value in hex if unknown.
+   * @memberOf module:twgl/textures
    */
   var glEnumToString = (function() {
     var enums;
@@ -477,11 +620,18 @@ define([
    * @property {number} [width] the width of the texture. Only used if src is an array or typed array or null.
    * @property {number} [height] the height of a texture. Only used if src is an array or typed array or null.
    * @property {number} [depth] the depth of a texture. Only used if src is an array or type array or null and target is `TEXTURE_3D` .
+   *    Also limits the number of layers used when splitting a single image into layers.
+   * @property {number} [slicesAcross] the number of layers across a single image when `target` is `TEXTURE_2D_ARRAY` or `TEXTURE_3D`.
+   * @property {number} [slicesDown] the number of layers down a single image when `target` is `TEXTURE_2D_ARRAY` or `TEXTURE_3D`.
+   *    Layers are taken left to right, top to bottom. If neither `slicesAcross` nor `slicesDown` is set the image
+   *    is assumed to be a horizontal or vertical strip of square layers.
    * @property {number} [min] the min filter setting (eg. `gl.LINEAR`). Defaults to `gl.NEAREST_MIPMAP_LINEAR`
    *     or if texture is not a power of 2 on both dimensions then defaults to `gl.LINEAR`.
    * @property {number} [mag] the mag filter setting (eg. `gl.LINEAR`). Defaults to `gl.LINEAR`
    * @property {number} [minMag] both the min and mag filter settings.
-   * @property {number} [internalFormat] internal format for texture. Defaults to `gl.RGBA`
+   * @property {number} [internalFormat] internal format for texture. Defaults to `gl.RGBA`. Can also be a compressed
+   *    format like `COMPRESSED_RGBA_S3TC_DXT5_EXT` in which case the matching `WEBGL_compressed_texture_xxx` extension
+   *    is enabled automatically and `src` must be compressed data.
    * @property {number} [format] format for texture. Defaults to `gl.RGBA`.
    * @property {number} [type] type for texture. Defaults to `gl.UNSIGNED_BYTE` unless `src` is ArrayBuffer. If `src`
    *     is ArrayBuffer defaults to type that matches ArrayBuffer type.
@@ -517,14 +667,24 @@ define([
    *      gl.TEXTURE_CUBE_MAP_POSITIVE_Z,
    *      gl.TEXTURE_CUBE_MAP_NEGATIVE_Z]
    *
-   * @property {(number[]|ArrayBuffer|HTMLCanvasElement|HTMLImageElement|HTMLVideoElement|string|string[]|module:twgl.TextureFunc)} [src] source for texture
+   * @property {(number[]|ArrayBuffer|HTMLCanvasElement|HTMLImageElement|HTMLVideoElement|HTMLElement[]|string|string[]|module:twgl.TextureFunc)} [src] source for texture
    *
    *    If `string` then it's assumed to be a URL to an image. The image will be downloaded async. A usable
    *    1x1 pixel texture will be returned immediatley. The texture will be updated once the image has downloaded.
    *    If `target` is `gl.TEXTURE_CUBE_MAP` will attempt to divide image into 6 square pieces. 1x6, 6x1, 3x2, 2x3.
    *    The pieces will be uploaded in `cubeFaceOrder`
    *
-   *    If `string[]` then it must have 6 entries, one for each face of a cube map. Target must be `gl.TEXTURE_CUBE_MAP`.
+   *    If `string` ends in `.ktx`, `.ktx2` or `.dds` it's assumed to be a texture container. The file will be downloaded
+   *    async and all of its mips, faces and layers uploaded. See {@link module:twgl/textures.loadTextureContainerFromUrl}.
+   *
+   *    If `string` ends in `.hdr` it's assumed to be a Radiance HDR file. The file will be downloaded
+   *    async and uploaded as a float texture if possible. See {@link module:twgl/textures.setTextureFromHDR}.
+   *
+   *    If `string[]` and `target` is `gl.TEXTURE_CUBE_MAP` then it must have 6 entries, one for each face of a cube map.
+   *    If `target` is `gl.TEXTURE_2D_ARRAY` or `gl.TEXTURE_3D` then there is one entry per layer.
+   *
+   *    If `HTMLElement[]` then target must be `gl.TEXTURE_2D_ARRAY` or `gl.TEXTURE_3D` and there is one element per layer.
+   *    See {@link module:twgl/textures.setTextureFromElements}.
    *
    *    If `HTMLElement` then it wil be used immediately to create the contents of the texture. Examples `HTMLImageElement`,
    *    `HTMLCanvasElement`, `HTMLVideoElement`.
@@ -541,6 +701,17 @@ define([
    *
    * If `number[]` will be converted to `type`.
    *
+   * If `ArrayBuffer` and it contains a KTX, KTX2 or DDS file then it's parsed with
+   * {@link module:twgl/textureContainers.parseTextureContainer} and uploaded with
+   * {@link module:twgl/textures.setTextureFromContainer}. If it contains a Radiance HDR file it's decoded
+   * and uploaded with {@link module:twgl/textures.setTextureFromHDR}.
+   *
+   * If `internalFormat` is a compressed format then `src` must be an `ArrayBuffer` of compressed data
+   * or an array of `ArrayBuffer`s, one per mip level starting at level 0. For cubemaps each level contains
+   * all 6 faces in `cubeFaceOrder`. For `TEXTURE_3D` and `TEXTURE_2D_ARRAY` each level contains all slices.
+   * Sizes are guessed from the first level as above but compressed data is padded to whole blocks so
+   * pass `width` and `height` if they are not multiples of the block size.
+   *
    * If `src` is a function it will be called with a `WebGLRenderingContext` and these options.
    * Whatever it returns is subject to these rules. So it can return a string url, an `HTMLElement`
    * an array etc...
@@ -550,6 +721,9 @@ define([
    * @property {string} [crossOrigin] What to set the crossOrigin property of images when they are downloaded.
    *    default: undefined. Also see {@link module:twgl.setDefaults}.
    *
+   * @property {AbortSignal} [signal] An `AbortSignal` that cancels downloading `src`. If aborted
+   *    before the download finishes the texture keeps its 1x1 pixel color and the callback is called with an error.
+   *
    * @memberOf module:twgl
    */
 
@@ -782,6 +956,30 @@ define([
     }
   }
 
+  /**
+   * Sets filtering for a texture that may have had its mips supplied.
+   * If more than 1 level was supplied uses mip filtering, otherwise
+   * the same as {@link module:twgl/textures.setTextureFilteringForSize}
+   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
+   * @param {WebGLTexture} tex the WebGLTexture to set parameters for
+   * @param {module:twgl.TextureOptions} options A TextureOptions object with whatever parameters you want set.
+   * @param {number} width width of texture
+   * @param {number} height height of texture
+   * @param {number} internalFormat The internalFormat parameter from texImage2D etc..
+   * @param {number} type The type parameter for texImage2D etc..
+   * @param {number} numLevels the number of mip levels supplied.
+   */
+  function setTextureFilteringForLevels(gl, tex, options, width, height, internalFormat, type, numLevels) {
+    if (numLevels > 1) {
+      var target = options.target || gl.TEXTURE_2D;
+      gl.bindTexture(target, tex);
+      gl.texParameteri(target, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+      gl.texParameteri(target, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    } else {
+      setTextureFilteringForSize(gl, tex, options, width, height, internalFormat, type);
+    }
+  }
+
   /**
    * Gets an array of cubemap face enums
    * @param {WebGLRenderingContext} gl the WebGLRenderingContext
@@ -837,6 +1035,9 @@ define([
    * texture filtering or generate mips based on the dimensions of the element
    * unless `options.auto === false`. If `target === gl.TEXTURE_CUBE_MAP` will
    * attempt to slice image into 1x6, 2x3, 3x2, or 6x1 images, one for each face.
+   * If `target` is `gl.TEXTURE_3D` or `gl.TEXTURE_2D_ARRAY` the image is split into
+   * a grid of `options.slicesAcross` by `options.slicesDown` layers. If neither is set
+   * the image is assumed to be a horizontal or vertical strip of square layers.
    * @param {WebGLRenderingContext} gl the WebGLRenderingContext
    * @param {WebGLTexture} tex the WebGLTexture to set parameters for
    * @param {HTMLElement} element a canvas, img, or video element.
@@ -847,6 +1048,7 @@ define([
    */
   function setTextureFromElement(gl, tex, element, options) {
     options = options || defaults.textureOptions;
+    var ctx = getShared2DContext();
     var target = options.target || gl.TEXTURE_2D;
     var width = element.width;
     var height = element.height;
@@ -894,37 +1096,40 @@ define([
       // Free up the canvas memory
       ctx.canvas.width = 1;
       ctx.canvas.height = 1;
-    } else if (target === gl.TEXTURE_3D) {
-      var smallest = Math.min(element.width, element.height);
-      var largest = Math.max(element.width, element.height);
-      var depth = largest / smallest;
-      if (depth % 1 !== 0) {
-        throw "can not compute 3D dimensions of element";
+    } else if (target === gl.TEXTURE_3D || target === gl.TEXTURE_2D_ARRAY) {
+      var slicesAcross = options.slicesAcross;
+      var slicesDown = options.slicesDown;
+      if (!slicesAcross && !slicesDown) {
+        // guess a strip of square slices
+        var smallest = Math.min(element.width, element.height);
+        var largest = Math.max(element.width, element.height);
+        if ((largest / smallest) % 1 !== 0) {
+          throw "can not compute 3D dimensions of element";
+        }
+        slicesAcross = element.width / smallest;
+        slicesDown = element.height / smallest;
       }
-      var xMult = element.width  === largest ? 1 : 0;
-      var yMult = element.height === largest ? 1 : 0;
-      gl.texImage3D(target, 0, internalFormat, smallest, smallest, smallest, 0, format, type, null);
+      slicesAcross = slicesAcross || 1;
+      slicesDown = slicesDown || 1;
+      width = element.width / slicesAcross;
+      height = element.height / slicesDown;
+      if (width % 1 !== 0 || height % 1 !== 0) {
+        throw "element size is not a multiple of slicesAcross, slicesDown";
+      }
+      var depth = options.depth || slicesAcross * slicesDown;
+      gl.texImage3D(target, 0, internalFormat, width, height, depth, 0, format, type, null);
       // remove this is texSubImage3D gets width and height arguments
-      ctx.canvas.width = smallest;
-      ctx.canvas.height = smallest;
+      ctx.canvas.width = width;
+      ctx.canvas.height = height;
       for (var d = 0; d < depth; ++d) {
-//        gl.pixelStorei(gl.UNPACK_SKIP_PIXELS, d * smallest);
-//        gl.texSubImage3D(target, 0, 0, 0, d, format, type, element);
-          var srcX = d * smallest * xMult;
-          var srcY = d * smallest * yMult;
-          var srcW = smallest;
-          var srcH = smallest;
-          var dstX = 0;
-          var dstY = 0;
-          var dstW = smallest;
-          var dstH = smallest;
-          ctx.drawImage(element, srcX, srcY, srcW, srcH, dstX, dstY, dstW, dstH);
-          gl.texSubImage3D(target, 0, 0, 0, d, smallest, smallest, 1, format, type, ctx.canvas);
+        var srcX = (d % slicesAcross) * width;
+        var srcY = Math.floor(d / slicesAcross) * height;
+        ctx.clearRect(0, 0, width, height);
+        ctx.drawImage(element, srcX, srcY, width, height, 0, 0, width, height);
+        gl.texSubImage3D(target, 0, 0, 0, d, width, height, 1, format, type, ctx.canvas);
       }
       ctx.canvas.width = 0;
       ctx.canvas.height = 0;
-// FIX (save state)
-//      gl.pixelStorei(gl.UNPACK_SKIP_PIXELS, 0);
     } else {
       gl.texImage2D(target, 0, internalFormat, format, type, element);
     }
@@ -941,11 +1146,13 @@ define([
   /**
    * Loads an image
    * @param {string} url url to image
+   * @param {string} [crossOrigin] What to set the crossOrigin property of the image to.
+   * @param {AbortSignal} [signal] signal to cancel loading the image.
    * @param {function(err, img)} [callback] a callback that's passed an error and the image. The error will be non-null
    *     if there was an error
    * @return {HTMLImageElement} the image being loaded.
    */
-  function loadImage(url, crossOrigin, callback) {
+  function loadImage(url, crossOrigin, signal, callback) {
     callback = callback || noop;
     var img = new Image();
     crossOrigin = crossOrigin !== undefined ? crossOrigin : defaults.crossOrigin;
@@ -956,9 +1163,20 @@ define([
     function clearEventHandlers() {
       img.removeEventListener('error', onError);  // eslint-disable-line
       img.removeEventListener('load', onLoad);  // eslint-disable-line
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);  // eslint-disable-line
+      }
       img = null;
     }
 
+    function onAbort() {
+      var abortedImg = img;
+      clearEventHandlers();
+      // stop the download
+      abortedImg.src = "";
+      callback("aborted loading image: " + url, abortedImg);
+    }
+
     function onError() {
       var msg = "couldn't load image: " + url;
       utils.error(msg);
@@ -973,10 +1191,78 @@ define([
 
     img.addEventListener('error', onError);
     img.addEventListener('load', onLoad);
+    if (signal) {
+      if (signal.aborted) {
+        // callbacks are always async
+        setTimeout(onAbort);
+        return img;
+      }
+      signal.addEventListener('abort', onAbort);
+    }
     img.src = url;
     return img;
   }
 
+  /**
+   * Loads a file as an ArrayBuffer
+   * @param {string} url url of file
+   * @param {string} [crossOrigin] if "use-credentials" credentials are sent with the request.
+   * @param {AbortSignal} [signal] signal to cancel the request.
+   * @param {function(err, ArrayBuffer)} [callback] a callback that's passed an error and the contents of the file
+   * @return {XMLHttpRequest} the request
+   */
+  function loadArrayBuffer(url, crossOrigin, signal, callback) {
+    callback = callback || noop;
+    var xhr = new XMLHttpRequest();
+    crossOrigin = crossOrigin !== undefined ? crossOrigin : defaults.crossOrigin;
+    xhr.open("GET", url);
+    xhr.responseType = "arraybuffer";
+    xhr.withCredentials = crossOrigin === "use-credentials";
+
+    function clearEventHandlers() {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);  // eslint-disable-line
+      }
+    }
+
+    function onError() {
+      var msg = "couldn't load file: " + url;
+      utils.error(msg);
+      clearEventHandlers();
+      callback(msg);
+    }
+
+    function onLoad() {
+      if (xhr.status >= 400) {
+        onError();
+        return;
+      }
+      clearEventHandlers();
+      callback(null, xhr.response);
+    }
+
+    function onAbort() {
+      xhr.removeEventListener('error', onError);
+      xhr.removeEventListener('load', onLoad);
+      xhr.abort();
+      clearEventHandlers();
+      callback("aborted loading file: " + url);
+    }
+
+    xhr.addEventListener('error', onError);
+    xhr.addEventListener('load', onLoad);
+    if (signal) {
+      if (signal.aborted) {
+        // callbacks are always async
+        setTimeout(onAbort);
+        return xhr;
+      }
+      signal.addEventListener('abort', onAbort);
+    }
+    xhr.send();
+    return xhr;
+  }
+
   /**
    * Sets a texture to a 1x1 pixel color. If `options.color === false` is nothing happens. If it's not set
    * the default texture color is used which can be set by calling `setDefaultTextureColor`.
@@ -1055,6 +1341,148 @@ define([
    * @memberOf module:twgl
    */
 
+  /**
+   * Uploads an element into one layer of a 3D or 2D array texture. The texture must already be bound.
+   * The element is scaled to `width`, `height` if it's a different size.
+   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
+   * @param {number} target `gl.TEXTURE_3D` or `gl.TEXTURE_2D_ARRAY`
+   * @param {number} layer the layer to upload to
+   * @param {HTMLElement} element a canvas, img, or video element.
+   * @param {number} width the width of a layer
+   * @param {number} height the height of a layer
+   * @param {number} format the format for texSubImage3D
+   * @param {number} type the type for texSubImage3D
+   */
+  function setLayerFromElement(gl, target, layer, element, width, height, format, type) {
+    var ctx = getShared2DContext();
+    var src = element;
+    if (element.width !== width || element.height !== height) {
+      // Size the image to fit
+      src = ctx.canvas;
+      ctx.canvas.width = width;
+      ctx.canvas.height = height;
+      ctx.drawImage(element, 0, 0, width, height);
+    }
+    gl.texSubImage3D(target, 0, 0, 0, layer, width, height, 1, format, type, src);
+    // free the canvas memory
+    if (src === ctx.canvas) {
+      ctx.canvas.width = 0;
+      ctx.canvas.height = 0;
+    }
+  }
+
+  function checkLayeredTarget(gl, target) {
+    if (target !== gl.TEXTURE_3D && target !== gl.TEXTURE_2D_ARRAY) {
+      throw "target must be TEXTURE_3D or TEXTURE_2D_ARRAY";
+    }
+  }
+
+  /**
+   * Sets a 3D or 2D array texture from an array of elements, one per layer.
+   *
+   * The size of a layer is `options.width` by `options.height` or if not set
+   * the size of the first element. Elements of a different size are scaled to fit.
+   * Missing (undefined) elements are skipped and their layer is left empty.
+   *
+   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
+   * @param {WebGLTexture} tex the WebGLTexture to set parameters for
+   * @param {HTMLElement[]} elements canvas, img, or video elements. One per layer.
+   * @param {module:twgl.TextureOptions} [options] A TextureOptions object with whatever parameters you want set.
+   *   `target` must be `gl.TEXTURE_3D` or `gl.TEXTURE_2D_ARRAY`. Defaults to `gl.TEXTURE_2D_ARRAY`.
+   * @return {{width: number, height: number, depth: number}} the size of the texture.
+   * @memberOf module:twgl/textures
+   */
+  function setTextureFromElements(gl, tex, elements, options) {
+    options = options || defaults.textureOptions;
+    var target = options.target || gl.TEXTURE_2D_ARRAY;
+    checkLayeredTarget(gl, target);
+    var internalFormat = options.internalFormat || options.format || gl.RGBA;
+    var formatType = getFormatAndTypeForInternalFormat(internalFormat);
+    var format = options.format || formatType.format;
+    var type = options.type || formatType.type;
+    var first = elements.filter(function(element) {
+      return element;
+    })[0];
+    var width = options.width || first.width;
+    var height = options.height || first.height;
+    var depth = elements.length;
+    gl.bindTexture(target, tex);
+    savePackState(gl, options);
+    gl.texImage3D(target, 0, internalFormat, width, height, depth, 0, format, type, null);
+    elements.forEach(function(element, layer) {
+      if (element) {
+        setLayerFromElement(gl, target, layer, element, width, height, format, type);
+      }
+    });
+    restorePackState(gl, options);
+    if (options.auto !== false) {
+      setTextureFilteringForSize(gl, tex, options, width, height, internalFormat, type);
+    }
+    setTextureParameters(gl, tex, options);
+    return {
+      width: width,
+      height: height,
+      depth: depth,
+    };
+  }
+
+  /**
+   * Sets one layer of a 3D or 2D array texture.
+   *
+   * Example:
+   *
+   *     var options = { target: gl.TEXTURE_2D_ARRAY, width: 64, height: 64, depth: 8 };
+   *     var tex = twgl.createTexture(gl, options);
+   *     ...
+   *     twgl.setTextureLayer(gl, tex, 3, someCanvas, options);
+   *
+   * If `src` is an element and `options.width` and `options.height` are set the element is scaled
+   * to that size. If `src` is an array or typed array `width` and `height` are guessed
+   * the same as {@link module:twgl.setTextureFromArray}.
+   *
+   * Unless `options.auto === false` mips are regenerated if the texture's `TEXTURE_MIN_FILTER` uses mips.
+   *
+   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
+   * @param {WebGLTexture} tex the WebGLTexture to update
+   * @param {number} layer the layer to set
+   * @param {(HTMLElement|number[]|ArrayBuffer)} src the contents of the layer.
+   * @param {module:twgl.TextureOptions} [options] A TextureOptions object with whatever parameters you want set.
+   *   `target` must be `gl.TEXTURE_3D` or `gl.TEXTURE_2D_ARRAY`. Defaults to `gl.TEXTURE_2D_ARRAY`.
+   *   This is often the same options you passed in when you created the texture.
+   * @memberOf module:twgl/textures
+   */
+  function setTextureLayer(gl, tex, layer, src, options) {
+    options = options || defaults.textureOptions;
+    var target = options.target || gl.TEXTURE_2D_ARRAY;
+    checkLayeredTarget(gl, target);
+    var internalFormat = options.internalFormat || options.format || gl.RGBA;
+    var formatType = getFormatAndTypeForInternalFormat(internalFormat);
+    var format = options.format || formatType.format;
+    var type = options.type || formatType.type;
+    gl.bindTexture(target, tex);
+    savePackState(gl, options);
+    if (isArrayBuffer(src) || Array.isArray(src)) {
+      type = options.type || getTextureTypeForArrayType(gl, src, formatType.type);
+      if (!isArrayBuffer(src)) {
+        var Type = typedArrays.getTypedArrayTypeForGLType(type);
+        src = new Type(src);
+      }
+      var numElements = src.byteLength / getBytesPerElementForInternalFormat(internalFormat, type);
+      var dimensions = guessDimensions(gl, gl.TEXTURE_2D, options.width, options.height, numElements);
+      gl.pixelStorei(gl.UNPACK_ALIGNMENT, options.unpackAlignment || 1);
+      gl.texSubImage3D(target, 0, 0, 0, layer, dimensions.width, dimensions.height, 1, format, type, src);
+    } else {
+      setLayerFromElement(gl, target, layer, src, options.width || src.width, options.height || src.height, format, type);
+    }
+    restorePackState(gl, options);
+    if (options.auto !== false) {
+      var minFilter = gl.getTexParameter(target, gl.TEXTURE_MIN_FILTER);
+      if (minFilter !== gl.NEAREST && minFilter !== gl.LINEAR) {
+        gl.generateMipmap(target);
+      }
+    }
+  }
+
   /**
    * Loads a texture from an image from a Url as specified in `options.src`
    * If `options.color !== false` will set the texture to a 1x1 pixel color so that the texture is
@@ -1074,7 +1502,7 @@ define([
     setTextureTo1PixelColor(gl, tex, options);
     // Because it's async we need to copy the options.
     options = utils.shallowCopy(options);
-    var img = loadImage(options.src, options.crossOrigin, function(err, img) {
+    var img = loadImage(options.src, options.crossOrigin, options.signal, function(err, img) {
       if (err) {
         callback(err, tex, img);
       } else {
@@ -1153,7 +1581,7 @@ define([
     }
 
     imgs = urls.map(function(url, ndx) {
-      return loadImage(url, options.crossOrigin, uploadImg(faces[ndx]));
+      return loadImage(url, options.crossOrigin, options.signal, uploadImg(faces[ndx]));
     });
   }
 
@@ -1162,12 +1590,11 @@ define([
    * Will set the texture to a 1x1 pixel color
    * so that it is usable immediately unless `option.color === false`.
    *
-   * If the width and height is not specified the width and height of the first
-   * image loaded will be used. Note that since images are loaded async
-   * which image downloads first is unknown.
+   * The images are uploaded once they have all loaded. If the width and height
+   * are not specified the width and height of the first image will be used.
    *
    * If an image is not the same size as the width and height it will be scaled
-   * to that width and height.
+   * to that width and height. Layers whose image failed to load are left empty.
    *
    * @param {WebGLRenderingContext} gl the WebGLRenderingContext
    * @param {WebGLTexture} tex the WebGLTexture to set parameters for
@@ -1179,75 +1606,395 @@ define([
   function loadSlicesFromUrls(gl, tex, options, callback) {
     callback = callback || noop;
     var urls = options.src;
-    var internalFormat = options.internalFormat || options.format || gl.RGBA;
-    var formatType = getFormatAndTypeForInternalFormat(internalFormat);
-    var format = options.format || formatType.format;
-    var type = options.type || gl.UNSIGNED_BYTE;
     var target = options.target || gl.TEXTURE_2D_ARRAY;
-    if (target !== gl.TEXTURE_3D && target !== gl.TEXTURE_2D_ARRAY) {
-      throw "target must be TEXTURE_3D or TEXTURE_2D_ARRAY";
-    }
+    checkLayeredTarget(gl, target);
     setTextureTo1PixelColor(gl, tex, options);
     // Because it's async we need to copy the options.
     options = utils.shallowCopy(options);
+    options.target = target;
     var numToLoad = urls.length;
     var errors = [];
+    var failed = [];
     var imgs;
-    var width = options.width;
-    var height = options.height;
-    var depth = urls.length;
-    var firstImage = true;
 
+    // Wait for all the images so the size doesn't depend on which image loads first
     function uploadImg(slice) {
-      return function(err, img) {
+      return function(err) {
         --numToLoad;
         if (err) {
           errors.push(err);
-        } else {
-          savePackState(gl, options);
-          gl.bindTexture(target, tex);
-
-          if (firstImage) {
-            firstImage = false;
-            width = options.width || img.width;
-            height = options.height || img.height;
-            gl.texImage3D(target, 0, internalFormat, width, height, depth, 0, format, type, null);
-
-            // put it in every slice otherwise some slices will be 0,0,0,0
-            for (var s = 0; s < depth; ++s) {
-              gl.texSubImage3D(target, 0, 0, 0, s, width, height, 1, format, type, img);
-            }
-          } else {
-            var src = img;
-            if (img.width !== width || img.height !== height) {
-              // Size the image to fix
-              src = ctx.canvas;
-              ctx.canvas.width = width;
-              ctx.canvas.height = height;
-              ctx.drawImage(img, 0, 0, width, height);
-            }
-
-            gl.texSubImage3D(target, 0, 0, 0, slice, width, height, 1, format, type, src);
-
-            // free the canvas memory
-            if (src === ctx.canvas) {
-              ctx.canvas.width = 0;
-              ctx.canvas.height = 0;
-            }
-          }
-
-          restorePackState(gl, options);
-          gl.generateMipmap(target);
+          failed[slice] = true;
         }
 
         if (numToLoad === 0) {
+          var loaded = imgs.map(function(img, ndx) {
+            return failed[ndx] ? undefined : img;
+          });
+          if (errors.length < urls.length) {
+            setTextureFromElements(gl, tex, loaded, options);
+          }
           callback(errors.length ? errors : undefined, imgs, tex);
         }
       };
     }
 
     imgs = urls.map(function(url, ndx) {
-      return loadImage(url, options.crossOrigin, uploadImg(ndx));
+      return loadImage(url, options.crossOrigin, options.signal, uploadImg(ndx));
+    });
+  }
+
+  /**
+   * Enables the extension needed to use a compressed internal format.
+   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
+   * @param {number} internalFormat a compressed internal format.
+   */
+  function enableCompressedTextureExtension(gl, internalFormat) {
+    const info = compressedTextureFormatInfo[internalFormat];
+    const supported = info.extensions.some(function(name) {
+      return gl.getExtension(name);
+    });
+    if (!supported) {
+      throw "compressed internal format " + glEnumToString(gl, internalFormat) + " requires " + info.extensions[0];
+    }
+  }
+
+  /**
+   * Uploads one mip level of a compressed texture. The texture must already be bound.
+   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
+   * @param {number} target the texture target
+   * @param {number} level the mip level
+   * @param {number} internalFormat a compressed internal format.
+   * @param {number} width the width of this level
+   * @param {number} height the height of this level
+   * @param {number} depth the depth of this level. Only used for `TEXTURE_3D` and `TEXTURE_2D_ARRAY`
+   * @param {ArrayBuffer} [data] the compressed data. If not passed in the level is cleared to 0
+   * @param {module:twgl.TextureOptions} options A TextureOptions object with whatever parameters you want set.
+   */
+  function setCompressedTextureLevel(gl, target, level, internalFormat, width, height, depth, data, options) {
+    const is3D = target === gl.TEXTURE_3D || target === gl.TEXTURE_2D_ARRAY;
+    if (!(width > 0 && height > 0 && (!is3D || depth > 0))) {
+      throw "compressed texture level " + level + " needs a width, height" + (is3D ? " and depth" : "");
+    }
+    const numFaces = target === gl.TEXTURE_CUBE_MAP ? 6 : 1;
+    const faceSize = getCompressedImageSizeForInternalFormat(internalFormat, width, height, is3D ? depth : 1);
+    if (!data) {
+      data = new Uint8Array(faceSize * numFaces);
+    } else {
+      data = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+      if (data.byteLength !== faceSize * numFaces) {
+        throw "data for level " + level + " is wrong size for format: " + glEnumToString(gl, internalFormat);
+      }
+    }
+    if (target === gl.TEXTURE_CUBE_MAP) {
+      getCubeFacesWithNdx(gl, options).forEach(f => {
+        const offset = faceSize * f.ndx;
+        gl.compressedTexImage2D(f.face, level, internalFormat, width, height, 0, data.subarray(offset, offset + faceSize));
+      });
+    } else if (is3D) {
+      gl.compressedTexImage3D(target, level, internalFormat, width, height, depth, 0, data);
+    } else {
+      gl.compressedTexImage2D(target, level, internalFormat, width, height, 0, data);
+    }
+  }
+
+  /**
+   * Limits a texture to the mip levels supplied. WebGL1 has no `TEXTURE_MAX_LEVEL`
+   * so there a partial mip chain leaves the texture incomplete and we can only warn.
+   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
+   * @param {number} target the texture target. The texture must already be bound.
+   * @param {number} numLevels the number of mip levels supplied.
+   * @param {number} width the width of level 0
+   * @param {number} height the height of level 0
+   */
+  function setMaxLevelForLevels(gl, target, numLevels, width, height) {
+    if (numLevels < 2) {
+      return;
+    }
+    if (utils.isWebGL2(gl)) {
+      // so a partial mip chain is still complete
+      gl.texParameteri(target, gl.TEXTURE_MAX_LEVEL, numLevels - 1);
+      return;
+    }
+    var fullNumLevels = Math.floor(Math.log2(Math.max(width, height))) + 1;
+    if (numLevels < fullNumLevels) {
+      utils.warn("texture has " + numLevels + " of " + fullNumLevels + " mip levels. WebGL1 needs all of them for the texture to be complete");
+    }
+  }
+
+  /**
+   * Sets a texture from compressed data.
+   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
+   * @param {WebGLTexture} tex the WebGLTexture to set parameters for
+   * @param {(ArrayBuffer|ArrayBuffer[])} src compressed data or an array of compressed data, one per mip level.
+   * @param {module:twgl.TextureOptions} options A TextureOptions object with whatever parameters you want set.
+   * @return {{width: number, height: number, depth: number, numLevels: number}} the size of level 0 and the number of levels
+   */
+  function setCompressedTextureFromArray(gl, tex, src, options) {
+    var target = options.target || gl.TEXTURE_2D;
+    var internalFormat = options.internalFormat;
+    enableCompressedTextureExtension(gl, internalFormat);
+    var levels = isArrayBuffer(src) ? [src] : src;
+    var is3D = target === gl.TEXTURE_3D || target === gl.TEXTURE_2D_ARRAY;
+    var width = options.width;
+    var height = options.height;
+    var depth = is3D ? (options.depth || 1) : 1;
+    if (!width || !height) {
+      var numFaces = target === gl.TEXTURE_CUBE_MAP ? 6 : 1;
+      var numElements = levels[0].byteLength / getBytesPerElementForInternalFormat(internalFormat) / numFaces / depth;
+      var dimensions = guessDimensions(gl, gl.TEXTURE_2D, width, height, numElements);
+      width = dimensions.width;
+      height = dimensions.height;
+    }
+    gl.bindTexture(target, tex);
+    levels.forEach(function(data, level) {
+      var levelWidth = Math.max(1, width >> level);
+      var levelHeight = Math.max(1, height >> level);
+      var levelDepth = target === gl.TEXTURE_3D ? Math.max(1, depth >> level) : depth;
+      setCompressedTextureLevel(gl, target, level, internalFormat, levelWidth, levelHeight, levelDepth, data, options);
+    });
+    setMaxLevelForLevels(gl, target, levels.length, width, height);
+    return {
+      width: width,
+      height: height,
+      depth: depth,
+      numLevels: levels.length,
+    };
+  }
+
+  /**
+   * Returns the bytes as the typed array WebGL requires for `type`.
+   * Copies them if they are not aligned for that type.
+   * @param {Uint8Array} bytes the bytes
+   * @param {number} type the GL type
+   * @return {ArrayBufferView} a view of the bytes
+   */
+  function getViewForType(bytes, type) {
+    var Type = typedArrays.getTypedArrayTypeForGLType(type);
+    if (bytes instanceof Type) {
+      return bytes;
+    }
+    if (bytes.byteOffset % Type.BYTES_PER_ELEMENT) {
+      bytes = bytes.slice();
+    }
+    return new Type(bytes.buffer, bytes.byteOffset, bytes.byteLength / Type.BYTES_PER_ELEMENT);
+  }
+
+  /**
+   * Sets a texture from a {@link module:twgl.TextureContainer} as returned by
+   * {@link module:twgl/textureContainers.parseTextureContainer}. All the levels
+   * in the container are uploaded.
+   *
+   * Because a texture's target can not be changed `options.target` must match
+   * the container's target.
+   *
+   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
+   * @param {WebGLTexture} tex the WebGLTexture to set parameters for
+   * @param {module:twgl.TextureContainer} container the parsed texture container.
+   * @param {module:twgl.TextureOptions} [options] A TextureOptions object with whatever parameters you want set.
+   *   This is often the same options you passed in when you created the texture.
+   * @memberOf module:twgl/textures
+   */
+  function setTextureFromContainer(gl, tex, container, options) {
+    options = options || defaults.textureOptions;
+    var target = options.target || gl.TEXTURE_2D;
+    if (container.target !== target) {
+      throw "texture container target " + glEnumToString(gl, container.target) +
+            " does not match options.target " + glEnumToString(gl, target);
+    }
+    var internalFormat = container.internalFormat;
+    gl.bindTexture(target, tex);
+    if (container.compressed) {
+      enableCompressedTextureExtension(gl, internalFormat);
+    } else {
+      gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    }
+    savePackState(gl, options);
+    container.levels.forEach(function(level, ndx) {
+      if (container.compressed) {
+        // containers always store cube faces in the default order
+        setCompressedTextureLevel(gl, target, ndx, internalFormat, level.width, level.height, level.depth, level.data, {});
+      } else if (target === gl.TEXTURE_CUBE_MAP) {
+        var faceSize = level.data.length / 6;
+        for (var ii = 0; ii < 6; ++ii) {
+          var data = getViewForType(level.data.subarray(faceSize * ii, faceSize * (ii + 1)), container.type);
+          gl.texImage2D(gl.TEXTURE_CUBE_MAP_POSITIVE_X + ii, ndx, internalFormat, level.width, level.height, 0, container.format, container.type, data);
+        }
+      } else if (target === gl.TEXTURE_3D || target === gl.TEXTURE_2D_ARRAY) {
+        gl.texImage3D(target, ndx, internalFormat, level.width, level.height, level.depth, 0, container.format, container.type, getViewForType(level.data, container.type));
+      } else {
+        gl.texImage2D(target, ndx, internalFormat, level.width, level.height, 0, container.format, container.type, getViewForType(level.data, container.type));
+      }
+    });
+    restorePackState(gl, options);
+    setMaxLevelForLevels(gl, target, container.levels.length, container.width, container.height);
+  }
+
+  /**
+   * Loads a KTX, KTX2 or DDS file into a texture.
+   *
+   * The texture is set to `options.color` until the file has loaded.
+   * Cubemaps, arrays and 3D textures must have `options.target` set to match
+   * the file.
+   *
+   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
+   * @param {WebGLTexture} tex the WebGLTexture to set parameters for
+   * @param {module:twgl.TextureOptions} [options] A TextureOptions object with whatever parameters you want set.
+   *   This is often the same options you passed in when you created the texture.
+   * @param {module:twgl.TextureReadyCallback} [callback] A function to be called when the file has finished loading. err will
+   *    be non null if there was an error. The third argument is the parsed {@link module:twgl.TextureContainer}.
+   * @return {XMLHttpRequest} the request used to download the file.
+   * @memberOf module:twgl/textures
+   */
+  function loadTextureContainerFromUrl(gl, tex, options, callback) {
+    callback = callback || noop;
+    options = options || defaults.textureOptions;
+    setTextureTo1PixelColor(gl, tex, options);
+    // Because it's async we need to copy the options.
+    options = utils.shallowCopy(options);
+    return loadArrayBuffer(options.src, options.crossOrigin, options.signal, function(err, buffer) {
+      if (err) {
+        callback(err, tex);
+        return;
+      }
+      var container;
+      try {
+        container = textureContainers.parseTextureContainer(buffer);
+        setTextureFromContainer(gl, tex, container, options);
+      } catch (e) {
+        var msg = "couldn't use texture container " + options.src + ": " + e;
+        utils.error(msg);
+        callback(msg, tex);
+        return;
+      }
+      if (options.auto !== false) {
+        setTextureFilteringForLevels(gl, tex, options, container.width, container.height, container.internalFormat, container.type, container.levels.length);
+      }
+      callback(null, tex, container);
+    });
+  }
+
+  /**
+   * Gets the internalFormat, format and type that will be used to upload an HDR image.
+   *
+   * *   WebGL2: `RGBA16F`/`HALF_FLOAT` unless `options.internalFormat` is `RGBA32F` in which case `RGBA32F`/`FLOAT`.
+   * *   WebGL1 with `OES_texture_float`: `RGBA`/`FLOAT`.
+   * *   Otherwise `RGBA`/`UNSIGNED_BYTE` with the RGBE values stored as is. Your shader must
+   *     decode them with `rgb * exp2(a * 255.0 - 136.0) * 255.0` and should use `NEAREST` filtering.
+   *
+   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
+   * @param {module:twgl.TextureOptions} [options] A TextureOptions object with whatever parameters you want set.
+   * @return {{internalFormat: number, format: number, type: number}} the formats to use.
+   * @memberOf module:twgl/textures
+   */
+  function getHDRTextureFormat(gl, options) {
+    options = options || defaults.textureOptions;
+    if (utils.isWebGL2(gl)) {
+      var is32F = options.internalFormat === RGBA32F;
+      return {
+        internalFormat: is32F ? RGBA32F : RGBA16F,
+        format: gl.RGBA,
+        type: is32F ? gl.FLOAT : HALF_FLOAT,
+      };
+    }
+    return {
+      internalFormat: gl.RGBA,
+      format: gl.RGBA,
+      type: gl.getExtension("OES_texture_float") ? gl.FLOAT : gl.UNSIGNED_BYTE,
+    };
+  }
+
+  /**
+   * Sets a texture from a decoded HDR image as returned by {@link module:twgl/hdr.parseHDR}.
+   * See {@link module:twgl/textures.getHDRTextureFormat} for the format used.
+   *
+   * Unless `options.auto === false` filtering is set to `LINEAR` if the format can be filtered,
+   * otherwise `NEAREST`, and wrapping is set to `CLAMP_TO_EDGE`. Filtering and wrapping passed in
+   * `options` are left as is. No mips are generated.
+   *
+   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
+   * @param {WebGLTexture} tex the WebGLTexture to set parameters for
+   * @param {module:twgl.HDRImage} hdrImage the decoded image.
+   * @param {module:twgl.TextureOptions} [options] A TextureOptions object with whatever parameters you want set.
+   *   This is often the same options you passed in when you created the texture.
+   * @return {{internalFormat: number, format: number, type: number}} the formats used.
+   * @memberOf module:twgl/textures
+   */
+  function setTextureFromHDR(gl, tex, hdrImage, options) {
+    options = options || defaults.textureOptions;
+    var target = options.target || gl.TEXTURE_2D;
+    var formats = getHDRTextureFormat(gl, options);
+    var data = hdrImage.data;
+    var filterable = true;
+    if (formats.type === gl.FLOAT) {
+      data = hdr.rgbeToFloat32(data);
+      filterable = !!gl.getExtension("OES_texture_float_linear");
+    } else if (formats.type === HALF_FLOAT) {
+      data = hdr.rgbeToHalfFloat(data);
+    } else {
+      // RGBE can not be interpolated
+      filterable = false;
+    }
+    gl.bindTexture(target, tex);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    savePackState(gl, options);
+    gl.texImage2D(target, 0, formats.internalFormat, hdrImage.width, hdrImage.height, 0, formats.format, formats.type, data);
+    restorePackState(gl, options);
+    if (options.auto !== false) {
+      // only set what the user didn't ask for
+      var filtering = filterable ? gl.LINEAR : gl.NEAREST;
+      if (!options.min && !options.minMag) {
+        gl.texParameteri(target, gl.TEXTURE_MIN_FILTER, filtering);
+      }
+      if (!options.mag && !options.minMag) {
+        gl.texParameteri(target, gl.TEXTURE_MAG_FILTER, filtering);
+      }
+      if (!options.wrapS && !options.wrap) {
+        gl.texParameteri(target, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      }
+      if (!options.wrapT && !options.wrap) {
+        gl.texParameteri(target, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      }
+    }
+    return formats;
+  }
+
+  /**
+   * Loads a Radiance HDR (`.hdr`) file into a texture.
+   *
+   * The texture is set to `options.color` until the file has loaded.
+   * See {@link module:twgl/textures.setTextureFromHDR}.
+   *
+   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
+   * @param {WebGLTexture} tex the WebGLTexture to set parameters for
+   * @param {module:twgl.TextureOptions} [options] A TextureOptions object with whatever parameters you want set.
+   *   This is often the same options you passed in when you created the texture.
+   * @param {module:twgl.TextureReadyCallback} [callback] A function to be called when the file has finished loading. err will
+   *    be non null if there was an error. The third argument is the decoded {@link module:twgl.HDRImage}.
+   * @return {XMLHttpRequest} the request used to download the file.
+   * @memberOf module:twgl/textures
+   */
+  function loadHDRTextureFromUrl(gl, tex, options, callback) {
+    callback = callback || noop;
+    options = options || defaults.textureOptions;
+    setTextureTo1PixelColor(gl, tex, options);
+    // Because it's async we need to copy the options.
+    options = utils.shallowCopy(options);
+    return loadArrayBuffer(options.src, options.crossOrigin, options.signal, function(err, buffer) {
+      if (err) {
+        callback(err, tex);
+        return;
+      }
+      var hdrImage;
+      try {
+        hdrImage = hdr.parseHDR(buffer);
+      } catch (e) {
+        var msg = "couldn't decode HDR image " + options.src + ": " + e;
+        utils.error(msg);
+        callback(msg, tex);
+        return;
+      }
+      setTextureFromHDR(gl, tex, hdrImage, options);
+      callback(null, tex, hdrImage);
     });
   }
 
@@ -1256,13 +2003,17 @@ define([
    * guess the size. See {@link module:twgl.TextureOptions}.
    * @param {WebGLRenderingContext} gl the WebGLRenderingContext
    * @param {WebGLTexture} tex the WebGLTexture to set parameters for
-   * @param {(number[]|ArrayBuffer)} src An array or typed arry with texture data.
+   * @param {(number[]|ArrayBuffer|ArrayBuffer[])} src An array or typed arry with texture data. If `options.internalFormat`
+   *   is a compressed format then compressed data or an array of compressed data, one per mip level.
    * @param {module:twgl.TextureOptions} [options] A TextureOptions object with whatever parameters you want set.
    *   This is often the same options you passed in when you created the texture.
    * @memberOf module:twgl/textures
    */
   function setTextureFromArray(gl, tex, src, options) {
     options = options || defaults.textureOptions;
+    if (isCompressedInternalFormat(options.internalFormat)) {
+      return setCompressedTextureFromArray(gl, tex, src, options);
+    }
     var target = options.target || gl.TEXTURE_2D;
     gl.bindTexture(target, tex);
     var width = options.width;
@@ -1338,6 +2089,10 @@ define([
     };
   }
 
+  function isElement(element) {
+    return element instanceof HTMLElement;
+  }
+
   /**
    * Sets a texture with no contents of a certain size. In other words calls `gl.texImage2D` with `null`.
    * You must set `options.width` and `options.height`.
@@ -1350,6 +2105,11 @@ define([
     var target = options.target || gl.TEXTURE_2D;
     gl.bindTexture(target, tex);
     var internalFormat = options.internalFormat || options.format || gl.RGBA;
+    if (isCompressedInternalFormat(internalFormat)) {
+      enableCompressedTextureExtension(gl, internalFormat);
+      setCompressedTextureLevel(gl, target, 0, internalFormat, options.width, options.height, options.depth, null, options);
+      return;
+    }
     var formatType = getFormatAndTypeForInternalFormat(internalFormat);
     var format = options.format || formatType.format;
     var type = options.type || formatType.type;
@@ -1358,7 +2118,7 @@ define([
       for (var ii = 0; ii < 6; ++ii) {
         gl.texImage2D(gl.TEXTURE_CUBE_MAP_POSITIVE_X + ii, 0, internalFormat, options.width, options.height, 0, format, type, null);
       }
-    } else if (target === gl.TEXTURE_3D) {
+    } else if (target === gl.TEXTURE_3D || target === gl.TEXTURE_2D_ARRAY) {
       gl.texImage3D(target, 0, internalFormat, options.width, options.height, options.depth, 0, format, type, null);
     } else {
       gl.texImage2D(target, 0, internalFormat, options.width, options.height, 0, format, type, null);
@@ -1382,8 +2142,10 @@ define([
     var width  = options.width  || 1;
     var height = options.height || 1;
     var internalFormat = options.internalFormat || gl.RGBA;
-    var formatType = getFormatAndTypeForInternalFormat(internalFormat);
+    var formatType = isCompressedInternalFormat(internalFormat) ? {} : getFormatAndTypeForInternalFormat(internalFormat);
     var type = options.type || formatType.type;
+    var numLevels = 1;
+    var auto = options.auto !== false;
     gl.bindTexture(target, tex);
     if (target === gl.TEXTURE_CUBE_MAP) {
       // this should have been the default for CUBEMAPS :(
@@ -1396,7 +2158,25 @@ define([
         src = src(gl, options);
       }
       if (typeof (src) === "string") {
-        loadTextureFromUrl(gl, tex, options, callback);
+        if (textureContainers.isTextureContainerUrl(src)) {
+          loadTextureContainerFromUrl(gl, tex, options, callback);
+        } else if (hdr.isHDRUrl(src)) {
+          loadHDRTextureFromUrl(gl, tex, options, callback);
+        } else {
+          loadTextureFromUrl(gl, tex, options, callback);
+        }
+      } else if (textureContainers.isTextureContainer(src)) {
+        var container = textureContainers.parseTextureContainer(src);
+        setTextureFromContainer(gl, tex, container, options);
+        width  = container.width;
+        height = container.height;
+        type   = container.type;
+        internalFormat = container.internalFormat;
+        numLevels = container.levels.length;
+      } else if (hdr.isHDR(src)) {
+        setTextureFromHDR(gl, tex, hdr.parseHDR(src), options);
+        // setTextureFromHDR already set the filtering
+        auto = false;
       } else if (isArrayBuffer(src) ||
                  (Array.isArray(src) && (
                       typeof src[0] === 'number' ||
@@ -1408,12 +2188,17 @@ define([
         width  = dimensions.width;
         height = dimensions.height;
         type   = dimensions.type;
+        numLevels = dimensions.numLevels || 1;
       } else if (Array.isArray(src) && typeof (src[0]) === 'string') {
         if (target === gl.TEXTURE_CUBE_MAP) {
           loadCubemapFromUrls(gl, tex, options, callback);
         } else {
           loadSlicesFromUrls(gl, tex, options, callback);
         }
+      } else if (Array.isArray(src) && src.some(isElement)) {
+        var layerDimensions = setTextureFromElements(gl, tex, src, options);
+        width  = layerDimensions.width;
+        height = layerDimensions.height;
       } else if (src instanceof HTMLElement) {
         setTextureFromElement(gl, tex, src, options);
         width  = src.width;
@@ -1424,8 +2209,8 @@ define([
     } else {
       setEmptyTexture(gl, tex, options);
     }
-    if (options.auto !== false) {
-      setTextureFilteringForSize(gl, tex, options, width, height, internalFormat, type);
+    if (auto) {
+      setTextureFilteringForLevels(gl, tex, options, width, height, internalFormat, type, numLevels);
     }
     setTextureParameters(gl, tex, options);
     return tex;
@@ -1438,7 +2223,8 @@ define([
    * It's mostly used by {@link module:twgl.resizeFramebufferInfo}
    * It will use `options.src` if it exists to try to determine a `type`
    * otherwise it will assume `gl.UNSIGNED_BYTE`. No data is provided
-   * for the texture. Texture parameters will be set accordingly
+   * for the texture. Texture parameters will be set accordingly.
+   * 3D and 2D array textures keep `options.depth` layers.
    *
    * @param {WebGLRenderingContext} gl the WebGLRenderingContext
    * @param {WebGLTexture} tex the texture to resize
@@ -1453,6 +2239,10 @@ define([
     var target = options.target || gl.TEXTURE_2D;
     gl.bindTexture(target, tex);
     var internalFormat = options.internalFormat || options.format || gl.RGBA;
+    if (isCompressedInternalFormat(internalFormat)) {
+      setCompressedTextureLevel(gl, target, 0, internalFormat, width, height, options.depth, null, options);
+      return;
+    }
     var formatType = getFormatAndTypeForInternalFormat(internalFormat);
     var format = options.format || formatType.format;
     var type;
@@ -1466,10 +2256,12 @@ define([
     }
     if (target === gl.TEXTURE_CUBE_MAP) {
       for (var ii = 0; ii < 6; ++ii) {
-        gl.texImage2D(gl.TEXTURE_CUBE_MAP_POSITIVE_X + ii, 0, format, width, height, 0, format, type, null);
+        gl.texImage2D(gl.TEXTURE_CUBE_MAP_POSITIVE_X + ii, 0, internalFormat, width, height, 0, format, type, null);
       }
+    } else if (target === gl.TEXTURE_3D || target === gl.TEXTURE_2D_ARRAY) {
+      gl.texImage3D(target, 0, internalFormat, width, height, options.depth, 0, format, type, null);
     } else {
-      gl.texImage2D(target, 0, format, width, height, 0, format, type, null);
+      gl.texImage2D(target, 0, internalFormat, width, height, 0, format, type, null);
     }
   }
 
@@ -1598,9 +2390,159 @@ define([
     // images your code would break.
     callCallbackIfReady();
 
+    contextRestoration.track(gl, textures, function() {
+      return createTextures(gl, textureOptions);
+    });
+
     return textures;
   }
 
+  /**
+   * Returns a copy of options with `signal` added if options don't already have a signal.
+   * @param {module:twgl.TextureOptions} [options] A TextureOptions object
+   * @param {AbortSignal} [signal] signal to add.
+   * @return {module:twgl.TextureOptions} options with signal
+   */
+  function addSignal(options, signal) {
+    options = options || defaults.textureOptions;
+    if (!signal || options.signal) {
+      return options;
+    }
+    options = utils.shallowCopy(options);
+    options.signal = signal;
+    return options;
+  }
+
+  /**
+   * Same as {@link module:twgl.loadTextureFromUrl} except returns a Promise.
+   *
+   * Example:
+   *
+   *     var tex = gl.createTexture();
+   *     var result = await twgl.loadTextureFromUrlAsync(gl, tex, { src: "images/foo.png" });
+   *     // result.texture === tex, result.image is the image
+   *
+   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
+   * @param {WebGLTexture} tex the WebGLTexture to set parameters for
+   * @param {module:twgl.TextureOptions} [options] A TextureOptions object with whatever parameters you want set.
+   * @param {AbortSignal} [signal] signal to cancel the download. Same as setting `options.signal`.
+   * @return {Promise<{texture: WebGLTexture, image: HTMLImageElement}>} A Promise that resolves when the image
+   *    has been uploaded or rejects with the error.
+   * @memberOf module:twgl/textures
+   */
+  function loadTextureFromUrlAsync(gl, tex, options, signal) {
+    return new Promise(function(resolve, reject) {
+      loadTextureFromUrl(gl, tex, addSignal(options, signal), function(err, texture, image) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ texture: texture, image: image });
+        }
+      });
+    });
+  }
+
+  /**
+   * Same as {@link module:twgl.createTexture} except returns a Promise.
+   *
+   * Example:
+   *
+   *     var result = await twgl.createTextureAsync(gl, { src: "images/foo.png" });
+   *     gl.bindTexture(gl.TEXTURE_2D, result.texture);
+   *
+   * If `src` is not async (an array, an element, etc..) the Promise resolves immediately.
+   *
+   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
+   * @param {module:twgl.TextureOptions} [options] A TextureOptions object with whatever parameters you want set.
+   * @param {AbortSignal} [signal] signal to cancel the download. Same as setting `options.signal`.
+   * @return {Promise<{texture: WebGLTexture, image: module:twgl.TextureSrc}>} A Promise that resolves when
+   *    the texture has been uploaded or rejects with the error.
+   * @memberOf module:twgl/textures
+   */
+  function createTextureAsync(gl, options, signal) {
+    return new Promise(function(resolve, reject) {
+      options = addSignal(options, signal);
+      var texture = createTexture(gl, options, function(err, tex, image) {
+        if (Array.isArray(options.src)) {
+          // cubemaps and slices call back with (err, imgs, tex)
+          image = tex;
+        }
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ texture: texture, image: image });
+        }
+      });
+      if (!isAsyncSrc(options.src)) {
+        resolve({ texture: texture });
+      }
+    });
+  }
+
+  /**
+   * Same as {@link module:twgl.createTextures} except returns a Promise.
+   *
+   * Example:
+   *
+   *     var controller = new AbortController();
+   *     try {
+   *       var result = await twgl.createTexturesAsync(gl, {
+   *         clover: { src: "images/clover.jpg" },
+   *         hftIcon: { src: "images/hft-icon-16.png", mag: gl.NEAREST },
+   *       }, controller.signal);
+   *       // use result.textures.clover, result.images.clover etc..
+   *     } catch (errors) {
+   *       ...
+   *     }
+   *
+   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
+   * @param {Object.<string,module:twgl.TextureOptions>} options A object of TextureOptions one per texture.
+   * @param {AbortSignal} [signal] signal to cancel all the downloads. Options with their own `signal` use that instead.
+   * @return {Promise<{textures: Object.<string,WebGLTexture>, images: Object.<string,module:twgl.TextureSrc>}>} A Promise that
+   *    resolves when all textures have been uploaded or rejects with an array of the errors.
+   * @memberOf module:twgl/textures
+   */
+  function createTexturesAsync(gl, textureOptions, signal) {
+    return new Promise(function(resolve, reject) {
+      var optionsWithSignal = {};
+      Object.keys(textureOptions).forEach(function(name) {
+        optionsWithSignal[name] = addSignal(textureOptions[name], signal);
+      });
+      createTextures(gl, optionsWithSignal, function(errors, textures, images) {
+        if (errors) {
+          reject(errors);
+        } else {
+          resolve({ textures: textures, images: images });
+        }
+      });
+    });
+  }
+
+  /**
+   * Deletes a bunch of textures
+   *
+   * This is the counterpart to {@link module:twgl.createTextures}.
+   *
+   * Example:
+   *
+   *     var textures = twgl.createTextures(gl, { ... });
+   *
+   *     ...
+   *
+   *     twgl.deleteTextures(gl, textures);
+   *
+   * @param {WebGLRenderingContext} gl the WebGLRenderingContext
+   * @param {(Object.<string,WebGLTexture>|WebGLTexture[])} textures the textures to delete. Either an object of
+   *    textures by name as returned by {@link module:twgl.createTextures} or an array of textures.
+   * @memberOf module:twgl/textures
+   */
+  function deleteTextures(gl, textures) {
+    contextRestoration.untrack(gl, textures);
+    Object.keys(textures).forEach(function(name) {
+      gl.deleteTexture(textures[name]);
+    });
+  }
+
   // Using quotes prevents Uglify from changing the names.
   // No speed diff AFAICT.
   return {
@@ -1614,14 +2556,29 @@ define([
     "setEmptyTexture": setEmptyTexture,
     "setTextureFromArray": setTextureFromArray,
     "loadTextureFromUrl": loadTextureFromUrl,
+    "loadTextureContainerFromUrl": loadTextureContainerFromUrl,
+    "setTextureFromContainer": setTextureFromContainer,
+    "loadHDRTextureFromUrl": loadHDRTextureFromUrl,
+    "setTextureFromHDR": setTextureFromHDR,
+    "getHDRTextureFormat": getHDRTextureFormat,
     "setTextureFromElement": setTextureFromElement,
+    "setTextureFromElements": setTextureFromElements,
+    "setTextureLayer": setTextureLayer,
     "setTextureFilteringForSize": setTextureFilteringForSize,
     "setTextureParameters": setTextureParameters,
     "setDefaultTextureColor": setDefaultTextureColor,
     "createTextures": createTextures,
+    "createTextureAsync": createTextureAsync,
+    "createTexturesAsync": createTexturesAsync,
+    "loadTextureFromUrlAsync": loadTextureFromUrlAsync,
+    "deleteTextures": deleteTextures,
     "resizeTexture": resizeTexture,
     "getNumComponentsForFormat": getNumComponentsForFormat,
     "getBytesPerElementForInternalFormat": getBytesPerElementForInternalFormat,
+    "getFormatAndTypeForInternalFormat": getFormatAndTypeForInternalFormat,
+    "glEnumToString": glEnumToString,
+    "getCompressedImageSizeForInternalFormat": getCompressedImageSizeForInternalFormat,
+    "isCompressedInternalFormat": isCompressedInternalFormat,
   };
 });
 
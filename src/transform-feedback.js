@@ -0,0 +1,206 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of his
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+define([
+    './attributes',
+    './programs',
+    './vertex-arrays',
+  ], function(
+    attributes,
+    programs,
+    vertexArrays) {
+  "use strict";
+
+  /**
+   * Transform feedback related functions
+   *
+   * For backward compatibily they are available at both `twgl.transformFeedback` and `twgl`
+   * itself
+   *
+   * See {@link module:twgl} for core functions
+   *
+   * @module twgl/transformFeedback
+   */
+
+  /**
+   * Double buffered state for updating data with transform feedback, for example
+   * GPU particles. See {@link module:twgl.createTransformFeedbackPingPong}.
+   *
+   * @typedef {Object} TransformFeedbackPingPong
+   * @property {function(Object.<string, ?>=)} step Runs the update program once with `RASTERIZER_DISCARD` enabled,
+   *    reading the current state and writing the next state, then swaps so the next state is current. The uniforms
+   *    passed in are set with {@link module:twgl.setUniforms}.
+   * @property {function(): module:twgl.BufferInfo} current Gets the BufferInfo with the current state. Use it to
+   *    draw the results.
+   * @property {module:twgl.BufferInfo[]} bufferInfos The 2 BufferInfos.
+   * @property {WebGLTransformFeedback[]} transformFeedbacks The 2 transform feedbacks. `transformFeedbacks[i]`
+   *    writes into `bufferInfos[i]`.
+   * @property {module:twgl.VertexArrayInfo[]} vertexArrayInfos The 2 VertexArrayInfos for the update program.
+   *    `vertexArrayInfos[i]` reads from `bufferInfos[i]`.
+   * @memberOf module:twgl
+   */
+
+  function getDefaultVaryingName(name) {
+    return "new" + name.substr(0, 1).toUpperCase() + name.substr(1);
+  }
+
+  /**
+   * Creates 2 sets of buffers, 2 transform feedbacks and 2 vertex arrays for running
+   * a transform feedback program over and over, each time reading the results of the
+   * last time.
+   *
+   * Example:
+   *
+   *     var updateProgramInfo = twgl.createProgramInfo(gl, [updateVS, updateFS], {
+   *       transformFeedbackVaryings: ["newPosition", "newVelocity"],
+   *     });
+   *
+   *     var particles = twgl.createTransformFeedbackPingPong(gl, updateProgramInfo, {
+   *       position: { numComponents: 2, data: positions, },
+   *       velocity: { numComponents: 2, data: velocities, },
+   *     });
+   *
+   *     function render(time) {
+   *       particles.step({ deltaTime: 0.016 });
+   *
+   *       gl.useProgram(drawProgramInfo.program);
+   *       twgl.setBuffersAndAttributes(gl, drawProgramInfo, particles.current());
+   *       twgl.setUniforms(drawProgramInfo, { matrix: matrix });
+   *       twgl.drawBufferInfo(gl, particles.current(), gl.POINTS);
+   *       ...
+   *
+   * Each attribute is paired with the varying that writes its next value. By default
+   * attribute `foo` is paired with varying `newFoo`. Attributes with no varying, for example
+   * per particle constants, are read but never written. Both sets of buffers start with the data in `arrays`.
+   *
+   * Note: The transform feedbacks and vertex arrays are not restored if the context is lost.
+   *
+   * @param {WebGL2RenderingContext} gl A WebGL2RenderingContext
+   * @param {module:twgl.ProgramInfo} programInfo A ProgramInfo for the update program made with `transformFeedbackVaryings`.
+   * @param {module:twgl.Arrays} arrays The initial state. See {@link module:twgl.createBufferInfoFromArrays}.
+   * @param {Object} [options]
+   * @param {Object.<string, string>} [options.varyings] A map of attribute names to the varying names that write them
+   *    if they don't follow the `newFoo` naming.
+   * @param {number} [options.count] The number of vertices to process each step. Defaults to the number of elements in `arrays`.
+   * @return {module:twgl.TransformFeedbackPingPong} The created TransformFeedbackPingPong
+   * @memberOf module:twgl/transformFeedback
+   */
+  function createTransformFeedbackPingPong(gl, programInfo, arrays, options) {
+    options = options || {};
+    var varyingNames = options.varyings || {};
+    var varyingInfos = programInfo.transformFeedbackInfo || {};
+    var bufferInfos = [
+      attributes.createBufferInfoFromArrays(gl, arrays),
+      attributes.createBufferInfoFromArrays(gl, arrays),
+    ];
+
+    var transformFeedbacks = bufferInfos.map(function(bufferInfo) {
+      // bindTransformFeedbackInfo matches buffers to varyings by name
+      var outputs = {};
+      Object.keys(bufferInfo.attribs).forEach(function(name) {
+        var varyingName = varyingNames[name] || getDefaultVaryingName(name);
+        if (varyingInfos[varyingName]) {
+          outputs[varyingName] = bufferInfo.attribs[name];
+        }
+      });
+      if (!Object.keys(outputs).length) {
+        throw "no transform feedback varyings match the attributes";
+      }
+      return programs.createTransformFeedback(gl, programInfo, outputs);
+    });
+
+    var vertexArrayInfos = bufferInfos.map(function(bufferInfo) {
+      return vertexArrays.createVertexArrayInfo(gl, programInfo, bufferInfo);
+    });
+
+    var count = options.count || bufferInfos[0].numElements;
+    var currentNdx = 0;
+
+    function step(uniforms) {
+      var nextNdx = 1 - currentNdx;
+      gl.useProgram(programInfo.program);
+      programs.setBuffersAndAttributes(gl, programInfo, vertexArrayInfos[currentNdx]);
+      if (uniforms) {
+        programs.setUniforms(programInfo, uniforms);
+      }
+      gl.enable(gl.RASTERIZER_DISCARD);
+      gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, transformFeedbacks[nextNdx]);
+      gl.beginTransformFeedback(gl.POINTS);
+      gl.drawArrays(gl.POINTS, 0, count);
+      gl.endTransformFeedback();
+      gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, null);
+      gl.disable(gl.RASTERIZER_DISCARD);
+      gl.bindVertexArray(null);
+      currentNdx = nextNdx;
+    }
+
+    function current() {
+      return bufferInfos[currentNdx];
+    }
+
+    return {
+      step: step,
+      current: current,
+      bufferInfos: bufferInfos,
+      transformFeedbacks: transformFeedbacks,
+      vertexArrayInfos: vertexArrayInfos,
+    };
+  }
+
+  /**
+   * Deletes the buffers, transform feedbacks and vertex arrays of a TransformFeedbackPingPong
+   *
+   * @param {WebGL2RenderingContext} gl A WebGL2RenderingContext
+   * @param {module:twgl.TransformFeedbackPingPong} pingPong A TransformFeedbackPingPong as returned from
+   *    {@link module:twgl.createTransformFeedbackPingPong}
+   * @memberOf module:twgl/transformFeedback
+   */
+  function deleteTransformFeedbackPingPong(gl, pingPong) {
+    pingPong.vertexArrayInfos.forEach(function(vertexArrayInfo) {
+      vertexArrays.deleteVertexArrayInfo(gl, vertexArrayInfo);
+    });
+    pingPong.transformFeedbacks.forEach(function(tf) {
+      gl.deleteTransformFeedback(tf);
+    });
+    pingPong.bufferInfos.forEach(function(bufferInfo) {
+      attributes.deleteBufferInfo(gl, bufferInfo);
+    });
+  }
+
+  // Using quotes prevents Uglify from changing the names.
+  // No speed diff AFAICT.
+  return {
+    "createTransformFeedbackPingPong": createTransformFeedbackPingPong,
+    "deleteTransformFeedbackPingPong": deleteTransformFeedbackPingPong,
+  };
+
+});
+
@@ -31,19 +31,29 @@
 
 define([
     './attributes',
+    './context-restoration',
     './draw',
     './framebuffers',
+    './hdr',
+    './picking',
     './programs',
+    './texture-containers',
     './textures',
+    './transform-feedback',
     './typedarrays',
     './vertex-arrays',
     './utils',
   ], function(
     attributes,
+    contextRestoration,
     draw,
     framebuffers,
+    hdr,
+    picking,
     programs,
+    textureContainers,
     textures,
+    transformFeedback,
     typedArrays,
     vertexArrays,
     utils) {
@@ -59,28 +69,58 @@ define([
    * @borrows module:twgl/attributes.setAttribInfoBufferFromArray as setAttribInfoBufferFromArray
    * @borrows module:twgl/attributes.createBufferInfoFromArrays as createBufferInfoFromArrays
    * @borrows module:twgl/attributes.createVertexArrayInfo as createVertexArrayInfo
+   * @borrows module:twgl/attributes.deleteBufferInfo as deleteBufferInfo
+   * @borrows module:twgl/vertexArrays.deleteVertexArrayInfo as deleteVertexArrayInfo
    * @borrows module:twgl/draw.drawBufferInfo as drawBufferInfo
    * @borrows module:twgl/draw.drawObjectList as drawObjectList
    * @borrows module:twgl/framebuffers.createFramebufferInfo as createFramebufferInfo
    * @borrows module:twgl/framebuffers.resizeFramebufferInfo as resizeFramebufferInfo
+   * @borrows module:twgl/framebuffers.resolveFramebufferInfo as resolveFramebufferInfo
+   * @borrows module:twgl/framebuffers.readFramebufferInfoPixels as readFramebufferInfoPixels
+   * @borrows module:twgl/framebuffers.readFramebufferInfoPixelsAsync as readFramebufferInfoPixelsAsync
+   * @borrows module:twgl/framebuffers.retargetFramebufferInfo as retargetFramebufferInfo
    * @borrows module:twgl/framebuffers.bindFramebufferInfo as bindFramebufferInfo
+   * @borrows module:twgl/framebuffers.clearFramebufferInfo as clearFramebufferInfo
+   * @borrows module:twgl/framebuffers.clearFramebufferInfoAttachment as clearFramebufferInfoAttachment
+   * @borrows module:twgl/framebuffers.deleteFramebufferInfo as deleteFramebufferInfo
+   * @borrows module:twgl/framebuffers.checkFramebufferInfo as checkFramebufferInfo
    * @borrows module:twgl/programs.createProgramInfo as createProgramInfo
+   * @borrows module:twgl/programs.createProgramInfoAsync as createProgramInfoAsync
+   * @borrows module:twgl/programs.createProgramsAsync as createProgramsAsync
+   * @borrows module:twgl/programs.deleteProgramInfo as deleteProgramInfo
+   * @borrows module:twgl/programs.updateProgramInfo as updateProgramInfo
+   * @borrows module:twgl/programs.enableProgramCache as enableProgramCache
+   * @borrows module:twgl/programs.registerShaderChunks as registerShaderChunks
    * @borrows module:twgl/programs.createUniformBlockInfo as createUniformBlockInfo
    * @borrows module:twgl/programs.bindUniformBlock as bindUniformBlock
    * @borrows module:twgl/programs.setUniformBlock as setUniformBlock
    * @borrows module:twgl/programs.setBlockUniforms as setBlockUniforms
+   * @borrows module:twgl/programs.createSharedUniformBlockInfo as createSharedUniformBlockInfo
+   * @borrows module:twgl/programs.useSharedUniformBlock as useSharedUniformBlock
+   * @borrows module:twgl/programs.deleteSharedUniformBlockInfo as deleteSharedUniformBlockInfo
    * @borrows module:twgl/programs.setUniforms as setUniforms
    * @borrows module:twgl/programs.setBuffersAndAttributes as setBuffersAndAttributes
+   * @borrows module:twgl/transformFeedback.createTransformFeedbackPingPong as createTransformFeedbackPingPong
+   * @borrows module:twgl/transformFeedback.deleteTransformFeedbackPingPong as deleteTransformFeedbackPingPong
+   * @borrows module:twgl/picking.createPicker as createPicker
+   * @borrows module:twgl/picking.deletePicker as deletePicker
    * @borrows module:twgl/textures.setTextureFromArray as setTextureFromArray
    * @borrows module:twgl/textures.createTexture as createTexture
    * @borrows module:twgl/textures.resizeTexture as resizeTexture
    * @borrows module:twgl/textures.createTextures as createTextures
+   * @borrows module:twgl/textures.createTextureAsync as createTextureAsync
+   * @borrows module:twgl/textures.createTexturesAsync as createTexturesAsync
+   * @borrows module:twgl/textures.deleteTextures as deleteTextures
+   * @borrows module:twgl/textures.glEnumToString as glEnumToString
+   * @borrows module:twgl/textureContainers.parseTextureContainer as parseTextureContainer
+   * @borrows module:twgl/hdr.parseHDR as parseHDR
    */
 
   // make sure we don't see a global gl
   var gl = undefined;  // eslint-disable-line
   var defaults = {
     enableVertexArrayObjects: true,
+    enableContextRestoration: false,
   };
 
   /**
@@ -147,6 +187,63 @@ define([
    *
    *   Default: `true`
    *
+   * @property {bool} enableContextRestoration
+   *
+   *   If true then contexts created by {@link module:twgl.getContext} and {@link module:twgl.getWebGLContext}
+   *   will be restored after they are lost. TWGL remembers how the resources made by
+   *   {@link module:twgl.createBufferInfoFromArrays}, {@link module:twgl.createProgramInfo},
+   *   {@link module:twgl.createTextures}, {@link module:twgl.createFramebufferInfo} and
+   *   {@link module:twgl.createVertexArrayInfo} were created and when the browser fires
+   *   `webglcontextrestored` it creates them again putting the new WebGL objects into
+   *   the same BufferInfo, ProgramInfo, etc. objects. Textures loaded from urls are downloaded again.
+   *
+   *   TWGL's `webglcontextrestored` handler is added in `getContext` so it runs before any
+   *   handler you add after that. All you have to do in your handler is set up any
+   *   state you had set (blending, depth testing, etc...) and render.
+   *
+   *   Notes:
+   *
+   *   *  Only the things listed above are restored. A texture made with {@link module:twgl.createTexture}
+   *      is a `WebGLTexture` and can't be updated in place so use {@link module:twgl.createTextures} instead.
+   *
+   *   *  Resources are recreated from the arguments originally passed so any changes you made
+   *      later, for example with {@link module:twgl.setAttribInfoBufferFromArray}, are lost.
+
+   *   *  Resources made from WebGL objects you made yourself, for example a FramebufferInfo with an
+   *      `attachment` you passed in or arrays whose data is a `WebGLBuffer`, are not restored because those
+   *      objects are lost with the context. TWGL warns when you make one. Make them again in your own handler:
+   *
+   *          canvas.addEventListener('webglcontextrestored', function() {
+   *            depthBuffer = gl.createRenderbuffer();
+   *            gl.bindRenderbuffer(gl.RENDERBUFFER, depthBuffer);
+   *            gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
+   *            fbi = twgl.createFramebufferInfo(gl, [{}, { attachment: depthBuffer }], width, height);
+   *          });
+   *
+   *   *  TWGL keeps every BufferInfo, ProgramInfo, etc. it made and the data you passed in until you delete
+   *      them, even if you no longer reference them, so delete resources you are done with by calling
+   *      {@link module:twgl.deleteBufferInfo}, {@link module:twgl.deleteProgramInfo}, etc...
+   *
+   *   Default: `false`
+   *
+   * @property {bool} validateUniformsAndAttributes
+   *
+   *   If true TWGL warns about uniforms and attributes that don't match the program.
+   *   Meant for debugging. Each warning is only given once per program.
+   *
+   *   *  {@link module:twgl.setUniforms} warns about values for uniforms the program doesn't have and
+   *      about values of the wrong type or size, for example a `vec3` given 4 floats.
+   *
+   *   *  {@link module:twgl.setBuffersAndAttributes} warns about attributes the program doesn't have and
+   *      about attributes with more components than the program's attribute.
+   *
+   *   *  {@link module:twgl.drawObjectList} warns about active uniforms that were never set and
+   *      attributes the program uses that are not in the BufferInfo.
+   *
+   *   When off the checks are skipped entirely.
+   *
+   *   Default: `false`
+   *
    * @memberOf module:twgl
    */
 
@@ -163,6 +260,8 @@ define([
     utils.copyExistingProperties(newDefaults, defaults);
     attributes.setDefaults_(newDefaults);  // eslint-disable-line
     textures.setDefaults_(newDefaults);  // eslint-disable-line
+    programs.setDefaults_(newDefaults);  // eslint-disable-line
+    draw.setDefaults_(newDefaults);  // eslint-disable-line
   }
 
   /**
@@ -193,6 +292,51 @@ define([
     }
   }
 
+  /**
+   * Adds instanced drawing to WebGL 1 GL contexts if available
+   *
+   * If successful it will copy drawArraysInstanced/drawElementsInstanced/vertexAttribDivisor
+   * from the `ANGLE_instanced_arrays` extension to the WebGLRenderingContext removing the ANGLE
+   * at the end which is the standard entry point for WebGL 2.
+   *
+   * @param {WebGLRenderingContext} gl A WebGLRenderingContext
+   */
+  function addInstancedArraysSupport(gl) {
+    if (!gl) {
+      return;
+    }
+    if (utils.isWebGL1(gl)) {
+      var ext = gl.getExtension("ANGLE_instanced_arrays");
+      if (ext) {
+        gl.drawArraysInstanced = function(mode, first, count, instanceCount) {
+          ext.drawArraysInstancedANGLE(mode, first, count, instanceCount);
+        };
+        gl.drawElementsInstanced = function(mode, count, type, offset, instanceCount) {
+          ext.drawElementsInstancedANGLE(mode, count, type, offset, instanceCount);
+        };
+        gl.vertexAttribDivisor = function(index, divisor) {
+          ext.vertexAttribDivisorANGLE(index, divisor);
+        };
+        gl.VERTEX_ATTRIB_ARRAY_DIVISOR = ext.VERTEX_ATTRIB_ARRAY_DIVISOR_ANGLE;
+      }
+    }
+  }
+
+  /**
+   * Enables context restoration if `defaults.enableContextRestoration` is true
+   * @param {WebGLRenderingContext} gl A WebGLRenderingContext
+   */
+  function addContextRestorationSupport(gl) {
+    if (!gl || !defaults.enableContextRestoration) {
+      return;
+    }
+    contextRestoration.enableContextRestoration(gl, function(gl) {
+      // extensions are lost with the context so they need to be enabled again
+      addVertexArrayObjectSupport(gl);
+      addInstancedArraysSupport(gl);
+    });
+  }
+
   /**
    * Creates a webgl context.
    * @param {HTMLCanvasElement} canvas The canvas tag to get
@@ -219,6 +363,12 @@ define([
    * and add WebGL2 entry points. (unless you first set defaults with
    * `twgl.setDefaults({enableVertexArrayObjects: false})`;
    *
+   * Will also attempt to enable `ANGLE_instanced_arrays` and add the
+   * WebGL2 entry points for instanced drawing.
+   *
+   * If you first set defaults with `twgl.setDefaults({enableContextRestoration: true})`
+   * TWGL will recreate its resources if the context is lost and restored.
+   *
    * @param {HTMLCanvasElement} canvas a canvas element.
    * @param {WebGLContextCreationAttirbutes} [opt_attribs] optional webgl context creation attributes
    * @memberOf module:twgl
@@ -226,6 +376,8 @@ define([
   function getWebGLContext(canvas, opt_attribs) {
     var gl = create3DContext(canvas, opt_attribs);
     addVertexArrayObjectSupport(gl);
+    addInstancedArraysSupport(gl);
+    addContextRestorationSupport(gl);
     return gl;
   }
 
@@ -268,6 +420,12 @@ define([
    * and add WebGL2 entry points. (unless you first set defaults with
    * `twgl.setDefaults({enableVertexArrayObjects: false})`;
    *
+   * It will also attempt to enable `ANGLE_instanced_arrays` and add the
+   * WebGL2 entry points for instanced drawing.
+   *
+   * If you first set defaults with `twgl.setDefaults({enableContextRestoration: true})`
+   * TWGL will recreate its resources if the context is lost and restored.
+   *
    * @param {HTMLCanvasElement} canvas a canvas element.
    * @param {WebGLContextCreationAttirbutes} [opt_attribs] optional webgl context creation attributes
    * @return {WebGLRenderingContext} The created context.
@@ -276,6 +434,8 @@ define([
   function getContext(canvas, opt_attribs) {
     var gl = createContext(canvas, opt_attribs);
     addVertexArrayObjectSupport(gl);
+    addInstancedArraysSupport(gl);
+    addContextRestorationSupport(gl);
     return gl;
   }
 
@@ -326,8 +486,12 @@ define([
     attributes: attributes,
     draw: draw,
     framebuffers: framebuffers,
+    hdr: hdr,
+    picking: picking,
     programs: programs,
+    textureContainers: textureContainers,
     textures: textures,
+    transformFeedback: transformFeedback,
     typedArrays: typedArrays,
     vertexArrays: vertexArrays,
   };
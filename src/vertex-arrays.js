@@ -30,8 +30,10 @@
  */
 
 define([
+    './context-restoration',
     './programs',
   ], function(
+    contextRestoration,
     programs) {
   "use strict";
 
@@ -79,6 +81,8 @@ define([
    *
    * > Call `gl.bindVertexArray(null)` to get back manipulating the global attributes and ELEMENT_ARRAY_BUFFER.
    *
+   * Any `divisor` set on the AttribInfos of the BufferInfo is also recorded in the Vertex Array Object.
+   *
    * @param {WebGLRenderingContext} gl A WebGLRenderingContext
    * @param {module:twgl.ProgramInfo|module:twgl.ProgramInfo[]} programInfo a programInfo or array of programInfos
    * @param {module:twgl.BufferInfo} bufferInfo BufferInfo as returned from createBufferInfoFromArrays etc...
@@ -104,11 +108,15 @@ define([
       programs.setBuffersAndAttributes(gl, programInfo, bufferInfo);
     });
     gl.bindVertexArray(null);
-    return {
+    var vertexArrayInfo = {
       numElements: bufferInfo.numElements,
       elementType: bufferInfo.elementType,
       vertexArrayObject: vao,
     };
+    contextRestoration.track(gl, vertexArrayInfo, function() {
+      return createVertexArrayInfo(gl, programInfos, bufferInfo);
+    });
+    return vertexArrayInfo;
   }
 
   /**
@@ -148,12 +156,28 @@ define([
     return createVAOAndSetAttributes(gl, programInfo.attribSetters || programInfo, bufferInfo.attribs, bufferInfo.indices);
   }
 
+  /**
+   * Deletes the vertex array object of a VertexArrayInfo
+   *
+   * Note: The buffers used by the vertex array object are not deleted. They belong to
+   * the BufferInfo that was used to create the VertexArrayInfo. See {@link module:twgl.deleteBufferInfo}.
+   *
+   * @param {WebGLRenderingContext} gl A WebGLRenderingContext
+   * @param {module:twgl.VertexArrayInfo} vertexArrayInfo A VertexArrayInfo as returned from {@link module:twgl.createVertexArrayInfo}
+   * @memberOf module:twgl/vertexArrays
+   */
+  function deleteVertexArrayInfo(gl, vertexArrayInfo) {
+    contextRestoration.untrack(gl, vertexArrayInfo);
+    gl.deleteVertexArray(vertexArrayInfo.vertexArrayObject);
+  }
+
   // Using quotes prevents Uglify from changing the names.
   // No speed diff AFAICT.
   return {
     "createVertexArrayInfo": createVertexArrayInfo,
     "createVAOAndSetAttributes": createVAOAndSetAttributes,
     "createVAOFromBufferInfo": createVAOFromBufferInfo,
+    "deleteVertexArrayInfo": deleteVertexArrayInfo,
   };
 
 });
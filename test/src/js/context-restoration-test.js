@@ -0,0 +1,272 @@
+var path      = require('path');
+var requirejs = require('requirejs');
+var should    = require('should');
+var helpers   = require('./test-helpers');
+
+requirejs.config({
+  nodeRequire: require,
+  baseUrl: path.normalize(path.join(__dirname, '../../../src')),
+});
+
+var attributes = requirejs('./attributes');
+var contextRestoration = requirejs('./context-restoration');
+var framebuffers = requirejs('./framebuffers');
+var programs = requirejs('./programs');
+var textures = requirejs('./textures');
+var vertexArrays = requirejs('./vertex-arrays');
+
+var RGBA = helpers.glConstants.RGBA;
+var DEPTH_STENCIL = 0x84F9;
+
+var vs = "void main() {\n  gl_Position = vec4(0);\n}";
+var fs = "void main() {\n  gl_FragColor = vec4(1);\n}";
+
+// A context on a canvas with context restoration enabled that records
+// the names of the WebGL objects it creates in `gl.created`.
+function createRestorableGL(onRestored) {
+  var created = [];
+  var boundBuffer;
+  function recordCreate(name, create) {
+    return function() {
+      created.push(name);
+      return create.apply(null, arguments);
+    };
+  }
+  var program = helpers.createProgramGL();
+  var gl = helpers.createProgramGL({
+    canvas: helpers.createCanvas(),
+    created: created,
+    createBuffer: recordCreate("buffer", function() {
+      return new WebGLBuffer();
+    }),
+    // BufferInfos without indices get numElements from the buffer size
+    bindBuffer: function(target, buffer) {
+      boundBuffer = buffer;
+    },
+    bufferData: function(target, data) {
+      boundBuffer.size = data.byteLength;
+    },
+    getBufferParameter: function() {
+      return boundBuffer.size;
+    },
+    createShader: recordCreate("shader", program.createShader),
+    createProgram: recordCreate("program", program.createProgram),
+    createTexture: recordCreate("texture", function() {
+      return new WebGLTexture();
+    }),
+    createFramebuffer: recordCreate("framebuffer", function() {
+      return {};
+    }),
+    createVertexArray: recordCreate("vertexArray", function() {
+      return {};
+    }),
+  });
+  contextRestoration.enableContextRestoration(gl, onRestored);
+  return gl;
+}
+
+function loseAndRestoreContext(gl) {
+  gl.canvas.dispatchEvent("webglcontextlost").should.be.true();
+  gl.created.length = 0;
+  gl.canvas.dispatchEvent("webglcontextrestored");
+}
+
+// Node's console writes to process.stderr so capture that to see what utils.warn printed
+function captureWarnings(fn) {
+  var write = process.stderr.write;
+  var output = [];
+  process.stderr.write = function(str) {
+    output.push(String(str));
+    return true;
+  };
+  try {
+    fn();
+  } finally {
+    process.stderr.write = write;
+  }
+  return output.join("");
+}
+
+describe('context-restoration', function() {
+
+  it('should report if restoration is enabled', function() {
+    var gl = helpers.createProgramGL({ canvas: helpers.createCanvas() });
+    contextRestoration.isContextRestorationEnabled(gl).should.be.false();
+    contextRestoration.enableContextRestoration(gl);
+    contextRestoration.isContextRestorationEnabled(gl).should.be.true();
+  });
+
+  it('should refill the same info objects with new WebGL objects', function() {
+    var gl = createRestorableGL();
+    var bufferInfo = attributes.createBufferInfoFromArrays(gl, {
+      position: [0, 0, 0, 1, 0, 0, 0, 1, 0],
+      indices: [0, 1, 2],
+    });
+    var programInfo = programs.createProgramInfo(gl, [vs, fs]);
+    var texs = textures.createTextures(gl, { red: { src: [255, 0, 0, 255] } });
+    var fbi = framebuffers.createFramebufferInfo(gl, [{ format: RGBA }], 2, 2);
+    var vai = vertexArrays.createVertexArrayInfo(gl, programInfo, bufferInfo);
+
+    var oldPosition = bufferInfo.attribs.position.buffer;
+    var oldIndices = bufferInfo.indices;
+    var oldProgram = programInfo.program;
+    var oldTexture = texs.red;
+    var oldFramebuffer = fbi.framebuffer;
+    var oldAttachment = fbi.attachments[0];
+    var oldVertexArray = vai.vertexArrayObject;
+
+    loseAndRestoreContext(gl);
+
+    bufferInfo.attribs.position.buffer.should.be.instanceOf(WebGLBuffer);
+    bufferInfo.attribs.position.buffer.should.not.equal(oldPosition);
+    bufferInfo.indices.should.be.instanceOf(WebGLBuffer);
+    bufferInfo.indices.should.not.equal(oldIndices);
+    bufferInfo.numElements.should.equal(3);
+    programInfo.program.should.not.equal(oldProgram);
+    programInfo.program.shaders.length.should.equal(2);
+    texs.red.should.be.instanceOf(WebGLTexture);
+    texs.red.should.not.equal(oldTexture);
+    fbi.framebuffer.should.not.equal(oldFramebuffer);
+    fbi.attachments[0].should.be.instanceOf(WebGLTexture);
+    fbi.attachments[0].should.not.equal(oldAttachment);
+    vai.vertexArrayObject.should.not.equal(oldVertexArray);
+  });
+
+  it('should restore resources in the order they were created', function() {
+    var restoredFns = [];
+    var gl = createRestorableGL(function() {
+      restoredFns.push("first");
+    });
+    contextRestoration.enableContextRestoration(gl, function(restoredGL) {
+      (restoredGL === gl).should.be.true();
+      // called before any resources are recreated
+      gl.created.length.should.equal(0);
+      restoredFns.push("second");
+    });
+    textures.createTextures(gl, { red: { src: [255, 0, 0, 255] } });
+    var programInfo = programs.createProgramInfo(gl, [vs, fs]);
+    var bufferInfo = attributes.createBufferInfoFromArrays(gl, { position: [0, 0, 0] });
+    vertexArrays.createVertexArrayInfo(gl, programInfo, bufferInfo);
+
+    loseAndRestoreContext(gl);
+
+    restoredFns.should.eql(["first", "second"]);
+    gl.created.should.eql(["texture", "shader", "shader", "program", "buffer", "vertexArray"]);
+  });
+
+  it('should not track resources again while restoring', function() {
+    var gl = createRestorableGL();
+    var bufferInfo = attributes.createBufferInfoFromArrays(gl, { position: [0, 0, 0] });
+    vertexArrays.createVertexArrayInfo(gl, programs.createProgramInfo(gl, [vs, fs]), bufferInfo);
+
+    loseAndRestoreContext(gl);
+    var firstRestore = gl.created.slice();
+    loseAndRestoreContext(gl);
+
+    firstRestore.should.eql(["buffer", "shader", "shader", "program", "vertexArray"]);
+    gl.created.should.eql(firstRestore);
+  });
+
+  it('should replace the create function of an info tracked again and keep its place', function() {
+    var gl = createRestorableGL();
+    var calls = [];
+    var first = {};
+    var second = {};
+    contextRestoration.track(gl, first, function() {
+      calls.push("old first");
+      return { name: "old first" };
+    });
+    contextRestoration.track(gl, second, function() {
+      calls.push("second");
+      return { name: "second" };
+    });
+    contextRestoration.track(gl, first, function() {
+      calls.push("new first");
+      return { name: "new first" };
+    });
+
+    loseAndRestoreContext(gl);
+
+    calls.should.eql(["new first", "second"]);
+    first.name.should.equal("new first");
+    second.name.should.equal("second");
+  });
+
+  it('should keep restoring the other resources if one fails', function() {
+    var gl = createRestorableGL();
+    var failed = {};
+    var restored = {};
+    contextRestoration.track(gl, failed, function() {
+      throw "lost again";
+    });
+    contextRestoration.track(gl, restored, function() {
+      return { ok: true };
+    });
+
+    var output = captureWarnings(function() {
+      loseAndRestoreContext(gl);
+    });
+
+    output.should.match(/could not restore resource after context restored/);
+    output.should.match(/lost again/);
+    restored.ok.should.be.true();
+  });
+
+  it('should not restore deleted resources', function() {
+    var gl = createRestorableGL();
+    var bufferInfo = attributes.createBufferInfoFromArrays(gl, { position: [0, 0, 0] });
+    var programInfo = programs.createProgramInfo(gl, [vs, fs]);
+    var texs = textures.createTextures(gl, { red: { src: [255, 0, 0, 255] } });
+    var fbi = framebuffers.createFramebufferInfo(gl, [{ format: RGBA }], 2, 2);
+    var vai = vertexArrays.createVertexArrayInfo(gl, programInfo, bufferInfo);
+    var oldPosition = bufferInfo.attribs.position.buffer;
+
+    attributes.deleteBufferInfo(gl, bufferInfo);
+    programs.deleteProgramInfo(gl, programInfo);
+    textures.deleteTextures(gl, texs);
+    framebuffers.deleteFramebufferInfo(gl, fbi);
+    vertexArrays.deleteVertexArrayInfo(gl, vai);
+    loseAndRestoreContext(gl);
+
+    gl.created.should.eql([]);
+    bufferInfo.attribs.position.buffer.should.equal(oldPosition);
+  });
+
+  it('should warn about and not restore infos made from WebGL objects you passed in', function() {
+    var gl = createRestorableGL();
+    var bufferInfo;
+    var fbi;
+    var output = captureWarnings(function() {
+      bufferInfo = attributes.createBufferInfoFromArrays(gl, {
+        position: { numComponents: 3, data: gl.createBuffer() },
+        indices: [0],
+      });
+      fbi = framebuffers.createFramebufferInfo(gl, [
+        { format: RGBA },
+        { format: DEPTH_STENCIL, attachment: new WebGLRenderbuffer() },
+      ], 2, 2);
+    });
+    output.should.match(/a BufferInfo made from a WebGLBuffer you passed in will not be restored/);
+    output.should.match(/a FramebufferInfo with an attachment you passed in will not be restored/);
+    var oldPosition = bufferInfo.attribs.position.buffer;
+    var oldFramebuffer = fbi.framebuffer;
+
+    loseAndRestoreContext(gl);
+
+    gl.created.should.eql([]);
+    bufferInfo.attribs.position.buffer.should.equal(oldPosition);
+    fbi.framebuffer.should.equal(oldFramebuffer);
+  });
+
+  it('should not warn about WebGL objects you passed in when restoration is not enabled', function() {
+    var gl = helpers.createProgramGL({ canvas: helpers.createCanvas() });
+    var output = captureWarnings(function() {
+      attributes.createBufferInfoFromArrays(gl, {
+        position: { numComponents: 3, data: new WebGLBuffer() },
+        indices: [0],
+      });
+    });
+    output.should.equal("");
+  });
+
+});
@@ -0,0 +1,296 @@
+var path      = require('path');
+var requirejs = require('requirejs');
+var should    = require('should');
+var helpers   = require('./test-helpers');
+
+requirejs.config({
+  nodeRequire: require,
+  baseUrl: path.normalize(path.join(__dirname, '../../../src')),
+});
+
+var framebuffers = requirejs('./framebuffers');
+
+var createRecordingGL = helpers.createRecordingGL;
+var callsTo = helpers.callsTo;
+var getThrown = helpers.getThrown;
+var glConstants = helpers.glConstants;
+
+var RGBA8        = 0x8058;
+var RGBA16F      = 0x881A;
+var R8           = 0x8229;
+var R8I          = 0x8231;
+var R32UI        = 0x8236;
+var RGBA16I      = 0x8D88;
+var RG8UI        = 0x8238;
+var DEPTH_STENCIL = 0x84F9;
+var DEPTH_COMPONENT     = 0x1902;
+var DEPTH_COMPONENT24   = 0x81A6;
+var DEPTH_COMPONENT32F  = 0x8CAC;
+var DEPTH24_STENCIL8    = 0x88F0;
+var DEPTH32F_STENCIL8   = 0x8CAD;
+var FLOAT               = 0x1406;
+var COLOR_ATTACHMENT0   = 0x8CE0;
+var COLOR_ATTACHMENT1   = 0x8CE1;
+var BACK                = 0x0405;
+var RGBA                = 0x1908;
+var RGBA_INTEGER        = 0x8D99;
+var UNSIGNED_BYTE       = 0x1401;
+var INT                 = 0x1404;
+var UNSIGNED_INT        = 0x1405;
+var HALF_FLOAT          = 0x140B;
+var R16F                = 0x822D;
+var RG32I               = 0x823B;
+var DEPTH_ATTACHMENT    = 0x8D00;
+var DEPTH_STENCIL_ATTACHMENT = 0x821A;
+var TEXTURE_2D_ARRAY    = 0x8C1A;
+var TEXTURE_CUBE_MAP    = 0x8513;
+var TEXTURE_CUBE_MAP_NEGATIVE_Z = 0x851A;
+
+describe('framebuffers', function() {
+
+  describe('getClearBufferSuffixForInternalFormat', function() {
+
+    it('should use fv for normalized and float formats', function() {
+      framebuffers.getClearBufferSuffixForInternalFormat_(RGBA8).should.equal("fv");
+      framebuffers.getClearBufferSuffixForInternalFormat_(R8).should.equal("fv");
+      framebuffers.getClearBufferSuffixForInternalFormat_(RGBA16F).should.equal("fv");
+    });
+
+    it('should use iv for signed integer formats', function() {
+      framebuffers.getClearBufferSuffixForInternalFormat_(R8I).should.equal("iv");
+      framebuffers.getClearBufferSuffixForInternalFormat_(RGBA16I).should.equal("iv");
+    });
+
+    it('should use uiv for unsigned integer formats', function() {
+      framebuffers.getClearBufferSuffixForInternalFormat_(R32UI).should.equal("uiv");
+      framebuffers.getClearBufferSuffixForInternalFormat_(RG8UI).should.equal("uiv");
+    });
+
+  });
+
+  describe('createFramebufferInfo', function() {
+
+    it('should not create anything for multiple color attachments without WEBGL_draw_buffers', function() {
+      var gl = {
+        drawingBufferWidth: 4,
+        drawingBufferHeight: 4,
+        getExtension: function() {
+          return null;
+        },
+        createFramebuffer: function() {
+          throw "should not create a framebuffer";
+        },
+      };
+      var err = getThrown(function() {
+        framebuffers.createFramebufferInfo(gl, [
+          [ {}, {}, { format: DEPTH_STENCIL } ],
+          [ {}, {}, {} ],
+        ]);
+      });
+      err.should.equal([
+        "framebuffer unsupported: 2 color attachments require WebGL2 or WEBGL_draw_buffers",
+        "framebuffer unsupported: 3 color attachments require WebGL2 or WEBGL_draw_buffers",
+      ].join("\n"));
+    });
+
+  });
+
+  describe('checkFramebufferInfo', function() {
+
+    it('should only change the draw binding in WebGL2 and prefix resolve problems', function() {
+      var fb = { name: "fb" };
+      var resolveFb = { name: "resolveFb" };
+      var oldDrawFb = { name: "oldDrawFb" };
+      var calls = [];
+      var gl = {
+        FRAMEBUFFER: 0x8D40,
+        DRAW_FRAMEBUFFER: 0x8CA9,
+        FRAMEBUFFER_BINDING: 0x8CA6,
+        DRAW_FRAMEBUFFER_BINDING: 0x8CA6,
+        FRAMEBUFFER_COMPLETE: 0x8CD5,
+        FRAMEBUFFER_INCOMPLETE_ATTACHMENT: 0x8CD6,
+        texStorage2D: function() {},
+        getParameter: function(pname) {
+          pname.should.equal(gl.DRAW_FRAMEBUFFER_BINDING);
+          return oldDrawFb;
+        },
+        bindFramebuffer: function(target, framebuffer) {
+          calls.push([target, framebuffer]);
+        },
+        checkFramebufferStatus: function() {
+          var bound = calls[calls.length - 1][1];
+          return bound === resolveFb ? gl.FRAMEBUFFER_INCOMPLETE_ATTACHMENT : gl.FRAMEBUFFER_COMPLETE;
+        },
+      };
+      var problem = framebuffers.checkFramebufferInfo(gl, {
+        framebuffer: fb,
+        attachments: [],
+        attachmentPoints: [],
+        resolveFramebufferInfo: {
+          framebuffer: resolveFb,
+          attachments: [],
+          attachmentPoints: [],
+        },
+      });
+      problem.should.equal("resolveFramebufferInfo framebuffer incomplete: FRAMEBUFFER_INCOMPLETE_ATTACHMENT");
+      calls.should.eql([
+        [gl.DRAW_FRAMEBUFFER, fb],
+        [gl.DRAW_FRAMEBUFFER, oldDrawFb],
+        [gl.DRAW_FRAMEBUFFER, resolveFb],
+        [gl.DRAW_FRAMEBUFFER, oldDrawFb],
+      ]);
+    });
+
+  });
+
+  describe('attachments', function() {
+
+    it('should pick depth attachment points from the internal format', function() {
+      var gl = createRecordingGL();
+      var fbi = framebuffers.createFramebufferInfo(gl, [
+        { internalFormat: RGBA8, },
+        { internalFormat: DEPTH_COMPONENT24, },
+      ]);
+      fbi.attachmentPoints.should.eql([COLOR_ATTACHMENT0, DEPTH_ATTACHMENT]);
+      [
+        [DEPTH_COMPONENT32F, DEPTH_ATTACHMENT],
+        [DEPTH24_STENCIL8, DEPTH_STENCIL_ATTACHMENT],
+        [DEPTH32F_STENCIL8, DEPTH_STENCIL_ATTACHMENT],
+      ].forEach(function(formatAndPoint) {
+        var depthFbi = framebuffers.createFramebufferInfo(gl, [{ internalFormat: formatAndPoint[0], }]);
+        depthFbi.attachmentPoints.should.eql([formatAndPoint[1]]);
+        depthFbi.drawBuffers.should.eql([]);
+      });
+    });
+
+    it('should resize layered textures and re-attach the current layer', function() {
+      var gl = createRecordingGL();
+      var fbi = framebuffers.createFramebufferInfo(gl, [
+        { target: TEXTURE_2D_ARRAY, internalFormat: DEPTH_COMPONENT32F, depth: 4, layer: 0, },
+      ], 16, 16);
+      fbi.attachmentPoints.should.eql([DEPTH_ATTACHMENT]);
+      callsTo(gl, "texImage3D").should.eql([
+        ["texImage3D", TEXTURE_2D_ARRAY, 0, DEPTH_COMPONENT32F, 16, 16, 4, 0, DEPTH_COMPONENT, FLOAT, null],
+      ]);
+      framebuffers.retargetFramebufferInfo(gl, fbi, { layer: 2 });
+      gl.calls.length = 0;
+      framebuffers.resizeFramebufferInfo(gl, fbi, undefined, 32, 8);
+      callsTo(gl, "texImage3D").should.eql([
+        ["texImage3D", TEXTURE_2D_ARRAY, 0, DEPTH_COMPONENT32F, 32, 8, 4, 0, DEPTH_COMPONENT, FLOAT, null],
+      ]);
+      callsTo(gl, "framebufferTextureLayer").should.eql([
+        ["framebufferTextureLayer", gl.DRAW_FRAMEBUFFER, DEPTH_ATTACHMENT, fbi.attachments[0], 0, 2],
+      ]);
+    });
+
+    it('should re-attach the current cube map face after a resize', function() {
+      var gl = createRecordingGL();
+      var fbi = framebuffers.createFramebufferInfo(gl, [
+        { target: TEXTURE_CUBE_MAP, },
+      ], 16, 16);
+      framebuffers.retargetFramebufferInfo(gl, fbi, { texTarget: TEXTURE_CUBE_MAP_NEGATIVE_Z });
+      gl.calls.length = 0;
+      framebuffers.resizeFramebufferInfo(gl, fbi, undefined, 8, 8);
+      callsTo(gl, "texImage2D").length.should.equal(6);
+      callsTo(gl, "framebufferTexture2D").should.eql([
+        ["framebufferTexture2D", gl.DRAW_FRAMEBUFFER, COLOR_ATTACHMENT0, TEXTURE_CUBE_MAP_NEGATIVE_Z, fbi.attachments[0], 0],
+      ]);
+    });
+
+  });
+
+  describe('reading pixels', function() {
+
+    it('should pick a read format and type for the internal format', function() {
+      framebuffers.getReadFormatAndType_({}).should.eql({ format: RGBA, type: UNSIGNED_BYTE, ArrayType: Uint8Array });
+      framebuffers.getReadFormatAndType_({ internalFormat: RGBA8 }).should.eql({ format: RGBA, type: UNSIGNED_BYTE, ArrayType: Uint8Array });
+      framebuffers.getReadFormatAndType_({ internalFormat: R16F }).should.eql({ format: RGBA, type: FLOAT, ArrayType: Float32Array });
+      framebuffers.getReadFormatAndType_({ format: RGBA, type: HALF_FLOAT }).should.eql({ format: RGBA, type: FLOAT, ArrayType: Float32Array });
+      framebuffers.getReadFormatAndType_({ internalFormat: RG32I }).should.eql({ format: RGBA_INTEGER, type: INT, ArrayType: Int32Array });
+      framebuffers.getReadFormatAndType_({ internalFormat: R32UI }).should.eql({ format: RGBA_INTEGER, type: UNSIGNED_INT, ArrayType: Uint32Array });
+    });
+
+    it('should flip rows', function() {
+      // 1 pixel wide, 3 rows
+      var data = new Uint8Array([1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3]);
+      framebuffers.flipRows_(data, 1, 3);
+      Array.prototype.slice.call(data).should.eql([3, 3, 3, 3, 2, 2, 2, 2, 1, 1, 1, 1]);
+      // 2 pixels wide, 2 rows
+      var floats = new Float32Array([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16]);
+      framebuffers.flipRows_(floats, 2, 2);
+      Array.prototype.slice.call(floats).should.eql([9, 10, 11, 12, 13, 14, 15, 16, 1, 2, 3, 4, 5, 6, 7, 8]);
+    });
+
+    it('should default the size to the rest of the framebuffer and restore the read buffer', function() {
+      var gl = createRecordingGL({
+        getParameter: function(pname) {
+          return pname === glConstants.READ_BUFFER ? BACK : null;
+        },
+      });
+      var fbi = framebuffers.createFramebufferInfo(gl, [{ internalFormat: RGBA8 }, { internalFormat: RGBA8 }], 8, 4);
+      gl.calls.length = 0;
+      var pixels = framebuffers.readFramebufferInfoPixels(gl, fbi, { attachment: 1, x: 2, y: 1 });
+      pixels.length.should.equal(6 * 3 * 4);
+      callsTo(gl, "readPixels").should.eql([["readPixels", 2, 1, 6, 3, RGBA, UNSIGNED_BYTE, pixels]]);
+      callsTo(gl, "readBuffer").should.eql([["readBuffer", COLOR_ATTACHMENT1], ["readBuffer", BACK]]);
+    });
+
+    it('should restore the pixel pack buffer when reading async', function() {
+      var PIXEL_PACK_BUFFER = 0x88EB;
+      var PIXEL_PACK_BUFFER_BINDING = 0x88ED;
+      var oldBuffer = { name: "old" };
+      var readBuffer = { name: "read" };
+      var gl = createRecordingGL({
+        PIXEL_PACK_BUFFER: PIXEL_PACK_BUFFER,
+        PIXEL_PACK_BUFFER_BINDING: PIXEL_PACK_BUFFER_BINDING,
+        WAIT_FAILED: 0x911D,
+        TIMEOUT_EXPIRED: 0x911B,
+        getParameter: function(pname) {
+          return pname === PIXEL_PACK_BUFFER_BINDING ? oldBuffer : null;
+        },
+        createBuffer: function() {
+          return readBuffer;
+        },
+        clientWaitSync: function() {
+          return 0x911C;  // CONDITION_SATISFIED
+        },
+        isContextLost: function() {
+          return false;
+        },
+      });
+      var fbi = framebuffers.createFramebufferInfo(gl, [{ internalFormat: RGBA8 }], 2, 2);
+      gl.calls.length = 0;
+      return framebuffers.readFramebufferInfoPixelsAsync(gl, fbi).then(function(pixels) {
+        pixels.length.should.equal(16);
+        callsTo(gl, "bindBuffer").should.eql([
+          ["bindBuffer", PIXEL_PACK_BUFFER, readBuffer],
+          ["bindBuffer", PIXEL_PACK_BUFFER, oldBuffer],
+          ["bindBuffer", PIXEL_PACK_BUFFER, readBuffer],
+          ["bindBuffer", PIXEL_PACK_BUFFER, oldBuffer],
+        ]);
+        callsTo(gl, "deleteBuffer").should.eql([["deleteBuffer", readBuffer]]);
+      });
+    });
+
+    it('should reject instead of throwing', function() {
+      var webgl1 = { getExtension: function() {} };
+      var gl = createRecordingGL();
+      var fbi = framebuffers.createFramebufferInfo(gl, [{ internalFormat: RGBA8 }, { format: DEPTH_STENCIL }], 8, 4);
+      return Promise.all([
+        framebuffers.readFramebufferInfoPixelsAsync(webgl1, fbi).then(function() {
+          throw "should have rejected";
+        }, function(err) {
+          err.should.equal("readFramebufferInfoPixelsAsync requires WebGL2");
+        }),
+        framebuffers.readFramebufferInfoPixelsAsync(gl, fbi, { attachment: 1 }).then(function() {
+          throw "should have rejected";
+        }, function(err) {
+          err.should.equal("attachment 1 is not a color attachment");
+          callsTo(gl, "createBuffer").length.should.equal(0);
+        }),
+      ]);
+    });
+
+  });
+
+});
@@ -0,0 +1,106 @@
+var fs        = require('fs');
+var path      = require('path');
+var requirejs = require('requirejs');
+var should    = require('should');
+var helpers   = require('./test-helpers');
+
+requirejs.config({
+  nodeRequire: require,
+  baseUrl: path.normalize(path.join(__dirname, '../../../src')),
+});
+
+var hdr = requirejs('./hdr');
+
+var getThrown = helpers.getThrown;
+
+function loadFixture(name) {
+  var buffer = fs.readFileSync(path.join(__dirname, '../fixtures', name));
+  return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+}
+
+function pixel(image, x, y) {
+  var offset = (y * image.width + x) * 4;
+  return Array.prototype.slice.call(image.data, offset, offset + 4);
+}
+
+describe('hdr', function() {
+
+  it('should detect hdr files', function() {
+    hdr.isHDR(loadFixture('flat-2x2.hdr')).should.be.true();
+    hdr.isHDR(loadFixture('rle-8x2.hdr')).should.be.true();
+    hdr.isHDR(loadFixture('rgba8-mips.ktx')).should.be.false();
+    hdr.isHDR("foo.hdr").should.be.false();
+    hdr.isHDRUrl("images/foo.hdr").should.be.true();
+    hdr.isHDRUrl("images/foo.HDR?v=2").should.be.true();
+    hdr.isHDRUrl("images/hdr.png").should.be.false();
+  });
+
+  it('should parse flat scanlines', function() {
+    var image = hdr.parseHDR(loadFixture('flat-2x2.hdr'));
+    image.width.should.equal(2);
+    image.height.should.equal(2);
+    image.exposure.should.equal(2);
+    pixel(image, 0, 0).should.eql([128, 64, 32, 129]);
+    pixel(image, 1, 1).should.eql([10, 20, 30, 130]);
+  });
+
+  it('should parse RLE scanlines bottom to top', function() {
+    var image = hdr.parseHDR(loadFixture('rle-8x2.hdr'));
+    image.width.should.equal(8);
+    image.height.should.equal(2);
+    image.exposure.should.equal(1);
+    pixel(image, 0, 0).should.eql([128, 128, 128, 129]);
+    pixel(image, 7, 0).should.eql([64, 32, 16, 130]);
+    pixel(image, 3, 1).should.eql([10, 11, 12, 128]);
+    pixel(image, 5, 1).should.eql([0, 0, 0, 0]);
+  });
+
+  it('should convert RGBE to floats', function() {
+    var floats = hdr.rgbeToFloat32(hdr.parseHDR(loadFixture('flat-2x2.hdr')).data);
+    Array.prototype.slice.call(floats).should.eql([
+      1, 0.5, 0.25, 1,
+      0, 0, 0, 1,
+      255, 0, 0, 1,
+      0.15625, 0.3125, 0.46875, 1,
+    ]);
+  });
+
+  it('should convert floats to half floats', function() {
+    hdr.floatToHalfBits(1).should.equal(0x3C00);
+    hdr.floatToHalfBits(0.5).should.equal(0x3800);
+    hdr.floatToHalfBits(-2).should.equal(0xC000);
+    hdr.floatToHalfBits(65504).should.equal(0x7BFF);
+    hdr.floatToHalfBits(1e6).should.equal(0x7C00);
+    hdr.floatToHalfBits(NaN).should.equal(0x7E00);
+    hdr.floatToHalfBits(Math.pow(2, -15)).should.equal(0x0200);
+    hdr.floatToHalfBits(Math.pow(2, -24)).should.equal(0x0001);
+    hdr.floatToHalfBits(Math.pow(2, -30)).should.equal(0);
+  });
+
+  it('should convert RGBE to half floats', function() {
+    var halfs = hdr.rgbeToHalfFloat(new Uint8Array([128, 64, 32, 129]));
+    Array.prototype.slice.call(halfs).should.eql([0x3C00, 0x3800, 0x3400, 0x3C00]);
+  });
+
+  it('should throw on bad data', function() {
+    (function() {
+      hdr.parseHDR(new Uint8Array(16));
+    }).should.throw();
+    (function() {
+      hdr.parseHDR(loadFixture('flat-2x2.hdr').subarray(0, 70));
+    }).should.throw();
+  });
+
+  it('should throw on truncated RLE scanlines', function() {
+    var data = loadFixture('rle-8x2.hdr');
+    // the last run is missing its value
+    getThrown(function() {
+      hdr.parseHDR(data.subarray(0, data.length - 1));
+    }).should.equal("HDR data is truncated");
+    // the last literal is missing its last values
+    getThrown(function() {
+      hdr.parseHDR(data.subarray(0, data.length - 4));
+    }).should.equal("HDR data is truncated");
+  });
+
+});
@@ -0,0 +1,154 @@
+var path      = require('path');
+var requirejs = require('requirejs');
+var should    = require('should');
+var helpers   = require('./test-helpers');
+
+requirejs.config({
+  nodeRequire: require,
+  baseUrl: path.normalize(path.join(__dirname, '../../../src')),
+});
+
+var picking = requirejs('./picking');
+
+var createRecordingGL = helpers.createRecordingGL;
+var callsTo = helpers.callsTo;
+
+var R32UI        = 0x8236;
+var RED_INTEGER  = 0x8D94;
+var UNSIGNED_INT = 0x1405;
+var BLEND        = helpers.glConstants.BLEND;
+var SCISSOR_TEST = helpers.glConstants.SCISSOR_TEST;
+var DITHER       = helpers.glConstants.DITHER;
+var RGBA         = helpers.glConstants.RGBA;
+var UNSIGNED_BYTE = helpers.glConstants.UNSIGNED_BYTE;
+
+// A recording context with the given capabilities enabled
+function createPickingGL(enabled, overrides) {
+  var gl = createRecordingGL({
+    isEnabled: function(cap) {
+      return !!enabled[cap];
+    },
+    getParameter: function() {
+      return [0, 0, 0, 0];
+    },
+  });
+  Object.keys(overrides || {}).forEach(function(name) {
+    gl[name] = overrides[name];
+  });
+  return gl;
+}
+
+function createPickerAndObjects(gl) {
+  var ids = [];
+  var programInfo = {
+    program: {},
+    attribSetters: {},
+    uniformSetters: {
+      u_pickId: function(id) {
+        ids.push(id);
+      },
+    },
+  };
+  return {
+    picker: picking.createPicker(gl, { programInfo: programInfo }),
+    drawObjects: [
+      { bufferInfo: { numElements: 3, attribs: {} } },
+      { bufferInfo: { numElements: 3, attribs: {} } },
+    ],
+    ids: ids,
+  };
+}
+
+describe('picking', function() {
+
+  it('should encode and decode ids as colors', function() {
+    [1, 2, 255, 256, 65535, 0x123456, 0x7FFFFFFF, 0xFFFFFFFF].forEach(function(id) {
+      var color = picking.encodeIdAsColor_(id);
+      color.length.should.equal(4);
+      color.forEach(function(v) {
+        v.should.be.within(0, 1);
+      });
+      // what an RGBA8 framebuffer would store
+      var pixel = new Uint8Array(color.map(function(v) {
+        return Math.round(v * 255);
+      }));
+      picking.decodeIdFromColor_(pixel).should.equal(id);
+    });
+  });
+
+  it('should draw ids with blending and dithering off and restore them', function() {
+    var enabled = {};
+    enabled[BLEND] = true;
+    enabled[DITHER] = true;
+    var gl = createPickingGL(enabled);
+    var p = createPickerAndObjects(gl);
+    gl.calls.length = 0;
+    should(p.picker.pick(p.drawObjects, 1, 2)).be.undefined();
+    p.ids.should.eql([1, 2]);
+    callsTo(gl, ["enable", "disable", "drawArrays"]).should.eql([
+      ["disable", BLEND],
+      ["disable", DITHER],
+      ["enable", SCISSOR_TEST],
+      ["drawArrays", gl.TRIANGLES, 0, 3],
+      ["drawArrays", gl.TRIANGLES, 0, 3],
+      ["disable", SCISSOR_TEST],
+      ["enable", BLEND],
+      ["enable", DITHER],
+    ]);
+  });
+
+  it('should pick with ids encoded as RGBA8 colors in WebGL1', function() {
+    var oldClearColor = [0.1, 0.2, 0.3, 0.4];
+    var enabled = {};
+    enabled[DITHER] = true;
+    var gl = createPickingGL(enabled, {
+      texStorage2D: undefined,
+      getParameter: function(pname) {
+        return pname === gl.COLOR_CLEAR_VALUE ? oldClearColor : [0, 0, 0, 0];
+      },
+      readPixels: function(x, y, width, height, format, type, dst) {
+        gl.calls.push(["readPixels", x, y, width, height, format, type]);
+        dst.set([2, 0, 0, 0]);
+      },
+    });
+    var p = createPickerAndObjects(gl);
+    callsTo(gl, ["texImage2D"]).should.eql([
+      ["texImage2D", gl.TEXTURE_2D, 0, RGBA, 4, 4, 0, RGBA, UNSIGNED_BYTE, null],
+    ]);
+    gl.calls.length = 0;
+    p.picker.pick(p.drawObjects, 1, 2).should.equal(p.drawObjects[1]);
+    p.ids.should.eql([picking.encodeIdAsColor_(1), picking.encodeIdAsColor_(2)]);
+    callsTo(gl, ["clearColor"]).should.eql([
+      ["clearColor", 0, 0, 0, 0],
+      ["clearColor", 0.1, 0.2, 0.3, 0.4],
+    ]);
+    callsTo(gl, ["readPixels"]).should.eql([
+      ["readPixels", 1, 2, 1, 1, RGBA, UNSIGNED_BYTE],
+    ]);
+    callsTo(gl, ["enable", "disable"]).should.eql([
+      ["disable", BLEND],
+      ["disable", DITHER],
+      ["enable", SCISSOR_TEST],
+      ["disable", SCISSOR_TEST],
+      ["enable", DITHER],
+    ]);
+  });
+
+  it('should keep an R32UI id texture when resized', function() {
+    var gl = createPickingGL({});
+    var p = createPickerAndObjects(gl);
+    callsTo(gl, ["texImage2D"]).should.eql([
+      ["texImage2D", gl.TEXTURE_2D, 0, R32UI, 4, 4, 0, RED_INTEGER, UNSIGNED_INT, null],
+    ]);
+    gl.calls.length = 0;
+    gl.drawingBufferWidth = 6;
+    gl.drawingBufferHeight = 3;
+    p.picker.pick(p.drawObjects, 1, 2);
+    p.picker.framebufferInfo.width.should.equal(6);
+    p.picker.framebufferInfo.height.should.equal(3);
+    callsTo(gl, ["texImage2D"]).should.eql([
+      ["texImage2D", gl.TEXTURE_2D, 0, R32UI, 6, 3, 0, RED_INTEGER, UNSIGNED_INT, null],
+    ]);
+  });
+
+});
@@ -0,0 +1,568 @@
+var path      = require('path');
+var requirejs = require('requirejs');
+var should    = require('should');
+var helpers   = require('./test-helpers');
+
+requirejs.config({
+  nodeRequire: require,
+  baseUrl: path.normalize(path.join(__dirname, '../../../src')),
+});
+
+var programs = requirejs('./programs');
+
+var getThrown = helpers.getThrown;
+
+describe('programs', function() {
+
+  describe('preprocessShaderSource', function() {
+
+    beforeEach(function() {
+      programs.registerShaderChunks({
+        common: "float common() {\n  return 1.0;\n}",
+        lighting: "#include \"common\"\nfloat lighting() {\n  return common();\n}",
+        shadows: "#include \"common\"\nfloat shadows() {\n  return common();\n}",
+        loopA: "#include \"loopB\"",
+        loopB: "#include \"loopA\"",
+        self: "#include <self>",
+        missing: "#include \"notRegistered\"",
+      });
+    });
+
+    afterEach(function() {
+      programs.registerShaderChunks({
+        common: undefined,
+        lighting: undefined,
+        shadows: undefined,
+        loopA: undefined,
+        loopB: undefined,
+        self: undefined,
+        missing: undefined,
+      });
+    });
+
+    it('should leave source without includes or defines alone', function() {
+      var src = "void main() {\n}";
+      var result = programs.preprocessShaderSource(src);
+      result.source.should.equal(src);
+      result.lineMap.should.eql([
+        { name: "", line: 1 },
+        { name: "", line: 2 },
+      ]);
+    });
+
+    it('should resolve includes', function() {
+      var result = programs.preprocessShaderSource("#include \"common\"\nvoid main() {}");
+      result.source.should.equal("float common() {\n  return 1.0;\n}\nvoid main() {}");
+    });
+
+    it('should resolve nested includes once', function() {
+      var result = programs.preprocessShaderSource("#include \"lighting\"\n  #  include <shadows>\nvoid main() {}");
+      result.source.split("\n").filter(function(line) {
+        return line === "float common() {";
+      }).length.should.equal(1);
+      result.source.should.equal([
+        "float common() {",
+        "  return 1.0;",
+        "}",
+        "float lighting() {",
+        "  return common();",
+        "}",
+        "float shadows() {",
+        "  return common();",
+        "}",
+        "void main() {}",
+      ].join("\n"));
+    });
+
+    it('should map lines back to where they came from', function() {
+      var result = programs.preprocessShaderSource("precision mediump float;\n#include \"lighting\"\nvoid main() {}");
+      result.lineMap.should.eql([
+        { name: "", line: 1 },
+        { name: "common", line: 1 },
+        { name: "common", line: 2 },
+        { name: "common", line: 3 },
+        { name: "lighting", line: 2 },
+        { name: "lighting", line: 3 },
+        { name: "lighting", line: 4 },
+        { name: "", line: 3 },
+      ]);
+    });
+
+    it('should add lineOffset to lines of the source but not of chunks', function() {
+      var result = programs.preprocessShaderSource("#include \"common\"\nvoid main() {}", undefined, 1);
+      result.lineMap[0].should.eql({ name: "common", line: 1 });
+      result.lineMap[3].should.eql({ name: "", line: 3 });
+    });
+
+    it('should report cycles', function() {
+      getThrown(function() {
+        programs.preprocessShaderSource("#include \"loopA\"");
+      }).should.equal("circular #include \"loopA\" at loopB:1");
+      getThrown(function() {
+        programs.preprocessShaderSource("#include \"self\"");
+      }).should.equal("circular #include \"self\" at self:1");
+    });
+
+    it('should report unknown includes', function() {
+      getThrown(function() {
+        programs.preprocessShaderSource("\n#include \"foo\"");
+      }).should.match(/unknown #include "foo"/);
+      getThrown(function() {
+        programs.preprocessShaderSource("#include \"missing\"");
+      }).should.match(/unknown #include "notRegistered"/);
+    });
+
+    it('should insert defines after #version', function() {
+      var result = programs.preprocessShaderSource("#version 300 es\nvoid main() {}", {
+        USE_FOG: true,
+        NUM_LIGHTS: 3,
+        USE_SHADOWS: false,
+        USE_SKIN: undefined,
+      });
+      result.source.should.equal("#version 300 es\n#define USE_FOG\n#define NUM_LIGHTS 3\nvoid main() {}");
+      result.lineMap.should.eql([
+        { name: "", line: 1 },
+        { name: "defines", line: 1 },
+        { name: "defines", line: 2 },
+        { name: "", line: 2 },
+      ]);
+    });
+
+    it('should insert defines at the top without #version', function() {
+      var result = programs.preprocessShaderSource("void main() {}", { FOO: "vec3(1)" });
+      result.source.should.equal("#define FOO vec3(1)\nvoid main() {}");
+      result.lineMap[1].should.eql({ name: "", line: 1 });
+    });
+
+  });
+
+  describe('parseShaderLog', function() {
+
+    it('should parse ANGLE style logs', function() {
+      programs.parseShaderLog_("ERROR: 0:12: 'foo' : undeclared identifier\nWARNING: 0:3: 'bar' : unused\n2 compilation errors.  No code generated.").should.eql([
+        { sourceLine: 12, column: undefined, message: "'foo' : undeclared identifier", severity: "error" },
+        { sourceLine: 3, column: undefined, message: "'bar' : unused", severity: "warning" },
+      ]);
+    });
+
+    it('should parse Mesa style logs', function() {
+      programs.parseShaderLog_("0:7(15): error: `foo' undeclared").should.eql([
+        { sourceLine: 7, column: 15, message: "`foo' undeclared", severity: "error" },
+      ]);
+    });
+
+    it('should parse NVIDIA style logs', function() {
+      programs.parseShaderLog_("0(4) : error C1008: undefined variable \"foo\"").should.eql([
+        { sourceLine: 4, column: undefined, message: "undefined variable \"foo\"", severity: "error" },
+      ]);
+    });
+
+    it('should keep lines it does not understand', function() {
+      programs.parseShaderLog_("\nsomething broke\n  a warning of some kind  \n").should.eql([
+        { message: "something broke", severity: "error" },
+        { message: "a warning of some kind", severity: "warning" },
+      ]);
+      programs.parseShaderLog_(null).should.eql([]);
+    });
+
+  });
+
+  describe('addLineNumbersNearErrors', function() {
+
+    function label(lineNo) {
+      return "L" + lineNo;
+    }
+
+    it('should show lines near errors', function() {
+      var src = ["a", "b", "c", "d", "e", "f", "g", "h", "i", "j"].join("\n");
+      programs.addLineNumbersNearErrors_(src, [3], label).should.equal([
+        "  L1: a",
+        "  L2: b",
+        "> L3: c",
+        "  L4: d",
+        "  L5: e",
+      ].join("\n"));
+    });
+
+    it('should separate lines that are not next to each other', function() {
+      var src = ["a", "b", "c", "d", "e", "f", "g", "h", "i", "j"].join("\n");
+      programs.addLineNumbersNearErrors_(src, [1, 10], label).should.equal([
+        "> L1: a",
+        "  L2: b",
+        "  L3: c",
+        "...",
+        "  L8: h",
+        "  L9: i",
+        "> L10: j",
+      ].join("\n"));
+    });
+
+    it('should merge overlapping ranges', function() {
+      var src = ["a", "b", "c", "d", "e", "f"].join("\n");
+      programs.addLineNumbersNearErrors_(src, [2, 5], label).should.equal([
+        "  L1: a",
+        "> L2: b",
+        "  L3: c",
+        "  L4: d",
+        "> L5: e",
+        "  L6: f",
+      ].join("\n"));
+    });
+
+  });
+
+  describe('getUniformNameParts', function() {
+
+    it('should split names', function() {
+      programs.getUniformNameParts_("u_color").should.eql(["u_color"]);
+      programs.getUniformNameParts_("u_colors[0]").should.eql(["u_colors", 0]);
+      programs.getUniformNameParts_("u_lights[1].color").should.eql(["u_lights", 1, "color"]);
+      programs.getUniformNameParts_("a.b[2].c").should.eql(["a", "b", 2, "c"]);
+    });
+
+    it('should split nested arrays', function() {
+      programs.getUniformNameParts_("u_grid[1][23]").should.eql(["u_grid", 1, 23]);
+      programs.getUniformNameParts_("u_s[3].arr[12].v[0]").should.eql(["u_s", 3, "arr", 12, "v", 0]);
+    });
+
+  });
+
+  describe('addUniformTreeSetters', function() {
+
+    function makeSetters(names) {
+      var calls = [];
+      var setters = {};
+      names.forEach(function(name) {
+        setters[name] = function(v) {
+          calls.push([name, v]);
+        };
+      });
+      return {
+        setters: setters,
+        calls: calls,
+      };
+    }
+
+    it('should add setters for structs in arrays in structs', function() {
+      var s = makeSetters(["a.b[0].c", "a.b[2].c", "a.d"]);
+      programs.addUniformTreeSetters_(s.setters);
+      Object.keys(s.setters).sort().should.eql(["a", "a.b[0].c", "a.b[2].c", "a.d"]);
+      s.setters.a({ b: [{ c: 1 }, { c: 2 }, { c: 3 }], d: 4 });
+      s.calls.should.eql([["a.b[0].c", 1], ["a.b[2].c", 3], ["a.d", 4]]);
+    });
+
+    it('should add setters for arrays of structs and their elements', function() {
+      var s = makeSetters([
+        "u_lights[0].color",
+        "u_lights[0].pos",
+        "u_lights[1].color",
+        "u_lights[1].pos",
+      ]);
+      programs.addUniformTreeSetters_(s.setters);
+      s.setters.should.have.properties("u_lights", "u_lights[0]", "u_lights[1]");
+      s.setters.u_lights([{ color: "red" }, { pos: "here" }]);
+      s.calls.should.eql([["u_lights[0].color", "red"], ["u_lights[1].pos", "here"]]);
+      s.calls.length = 0;
+      s.setters["u_lights[1]"]({ color: "blue", pos: "there", notAField: 1 });
+      s.calls.should.eql([["u_lights[1].color", "blue"], ["u_lights[1].pos", "there"]]);
+    });
+
+    it('should handle nested arrays of structs', function() {
+      var s = makeSetters([
+        "u_s[0].arr[0].v",
+        "u_s[0].arr[1].v",
+        "u_s[1].arr[0].v",
+        "u_s[1].arr[1].v",
+      ]);
+      programs.addUniformTreeSetters_(s.setters);
+      s.setters.u_s([{ arr: [{ v: 1 }, { v: 2 }] }, { arr: [{ v: 3 }, { v: 4 }, { v: 5 }] }]);
+      s.calls.should.eql([
+        ["u_s[0].arr[0].v", 1],
+        ["u_s[0].arr[1].v", 2],
+        ["u_s[1].arr[0].v", 3],
+        ["u_s[1].arr[1].v", 4],
+      ]);
+    });
+
+    it('should not replace existing setters', function() {
+      var s = makeSetters(["u_colors", "u_colors[0]", "u_colors[1]"]);
+      var colorsSetter = s.setters.u_colors;
+      programs.addUniformTreeSetters_(s.setters);
+      s.setters.u_colors.should.equal(colorsSetter);
+      Object.keys(s.setters).sort().should.eql(["u_colors", "u_colors[0]", "u_colors[1]"]);
+    });
+
+  });
+
+  describe('std140 block uniforms', function() {
+
+    var FLOAT        = 0x1406;
+    var FLOAT_VEC3   = 0x8B51;
+    var INT_VEC2     = 0x8B53;
+    var FLOAT_MAT3   = 0x8B5B;
+    var FLOAT_MAT2x3 = 0x8B65;
+
+    function makeState(size) {
+      return {
+        array: new ArrayBuffer(size),
+        dirtyStart: Infinity,
+        dirtyEnd: 0,
+      };
+    }
+
+    it('should compute byte lengths with padding', function() {
+      programs.getBlockUniformByteLength_({ type: FLOAT, size: 1, arrayStride: 0, matrixStride: 0 }).should.equal(4);
+      programs.getBlockUniformByteLength_({ type: FLOAT, size: 3, arrayStride: 16, matrixStride: 0 }).should.equal(36);
+      programs.getBlockUniformByteLength_({ type: FLOAT_VEC3, size: 1, arrayStride: 0, matrixStride: 0 }).should.equal(12);
+      programs.getBlockUniformByteLength_({ type: FLOAT_VEC3, size: 2, arrayStride: 16, matrixStride: 0 }).should.equal(28);
+      programs.getBlockUniformByteLength_({ type: FLOAT_MAT3, size: 1, arrayStride: 0, matrixStride: 16 }).should.equal(44);
+      programs.getBlockUniformByteLength_({ type: FLOAT_MAT3, size: 2, arrayStride: 48, matrixStride: 16 }).should.equal(92);
+      // 2 columns of 3 rows
+      programs.getBlockUniformByteLength_({ type: FLOAT_MAT2x3, size: 1, arrayStride: 0, matrixStride: 16 }).should.equal(28);
+    });
+
+    it('should write arrays following the array stride', function() {
+      var state = makeState(48);
+      var f = new Float32Array(state.array);
+      var setter = programs.createBlockUniformSetter_(state, { type: FLOAT, size: 3, offset: 0, arrayStride: 16, matrixStride: 0 });
+      setter([1, 2, 3]);
+      Array.prototype.slice.call(f, 0, 9).should.eql([1, 0, 0, 0, 2, 0, 0, 0, 3]);
+      state.dirtyStart.should.equal(0);
+      state.dirtyEnd.should.equal(36);
+    });
+
+    it('should write arrays of vectors given flat or nested values', function() {
+      var expected = [0, 0, 0, 0, 1, 2, 3, 0, 4, 5, 6, 0];
+      [[1, 2, 3, 4, 5, 6], [[1, 2, 3], [4, 5, 6]]].forEach(function(value) {
+        var state = makeState(48);
+        var setter = programs.createBlockUniformSetter_(state, { type: FLOAT_VEC3, size: 2, offset: 16, arrayStride: 16, matrixStride: 0 });
+        setter(value);
+        Array.prototype.slice.call(new Float32Array(state.array), 0, 12).should.eql(expected);
+        state.dirtyStart.should.equal(16);
+        state.dirtyEnd.should.equal(44);
+      });
+    });
+
+    it('should only mark the elements written as dirty', function() {
+      var state = makeState(48);
+      var setter = programs.createBlockUniformSetter_(state, { type: FLOAT_VEC3, size: 2, offset: 16, arrayStride: 16, matrixStride: 0 });
+      setter([[7, 8, 9]]);
+      Array.prototype.slice.call(new Float32Array(state.array), 4, 12).should.eql([7, 8, 9, 0, 0, 0, 0, 0]);
+      state.dirtyStart.should.equal(16);
+      state.dirtyEnd.should.equal(28);
+    });
+
+    it('should write matrices following the matrix stride', function() {
+      var state = makeState(48);
+      var setter = programs.createBlockUniformSetter_(state, { type: FLOAT_MAT3, size: 1, offset: 0, arrayStride: 0, matrixStride: 16 });
+      setter([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+      Array.prototype.slice.call(new Float32Array(state.array), 0, 12).should.eql([1, 2, 3, 0, 4, 5, 6, 0, 7, 8, 9, 0]);
+      state.dirtyEnd.should.equal(44);
+    });
+
+    it('should write non-square matrices', function() {
+      var state = makeState(32);
+      var setter = programs.createBlockUniformSetter_(state, { type: FLOAT_MAT2x3, size: 1, offset: 0, arrayStride: 0, matrixStride: 16 });
+      setter([1, 2, 3, 4, 5, 6]);
+      Array.prototype.slice.call(new Float32Array(state.array), 0, 8).should.eql([1, 2, 3, 0, 4, 5, 6, 0]);
+    });
+
+    it('should write ints and single values', function() {
+      var state = makeState(16);
+      var setter = programs.createBlockUniformSetter_(state, { type: INT_VEC2, size: 1, offset: 8, arrayStride: 0, matrixStride: 0 });
+      setter([-1, 2]);
+      Array.prototype.slice.call(new Int32Array(state.array)).should.eql([0, 0, -1, 2]);
+      var floatSetter = programs.createBlockUniformSetter_(state, { type: FLOAT, size: 1, offset: 4, arrayStride: 0, matrixStride: 0 });
+      floatSetter(0.5);
+      new Float32Array(state.array)[1].should.equal(0.5);
+      state.dirtyStart.should.equal(4);
+      state.dirtyEnd.should.equal(16);
+    });
+
+  });
+
+  describe('program cache', function() {
+
+    var vs = "void main() {\n  gl_Position = vec4(0);\n}";
+    var fs = "void main() {\n  gl_FragColor = vec4(1);\n}";
+    var fs2 = "void main() {\n  gl_FragColor = vec4(0);\n}";
+    var badFs = "#error\nvoid main() {\n}";
+
+    function createCachedGL() {
+      var gl = helpers.createProgramGL({ canvas: helpers.createCanvas() });
+      programs.enableProgramCache(gl);
+      return gl;
+    }
+
+    function createProgramInfo(gl, sources, errors) {
+      return programs.createProgramInfo(gl, sources, {
+        errorCallback: function(msg) {
+          (errors || []).push(msg);
+        },
+      });
+    }
+
+    function sourcesOf(gl, name) {
+      return helpers.callsTo(gl, name).map(function(call) {
+        return call[1].source;
+      });
+    }
+
+    it('should return the same ProgramInfo for the same sources', function() {
+      var gl = createCachedGL();
+      var programInfo = createProgramInfo(gl, [vs, fs]);
+      createProgramInfo(gl, [vs, fs]).should.equal(programInfo);
+      helpers.callsTo(gl, "compileShader").length.should.equal(2);
+      helpers.callsTo(gl, "linkProgram").length.should.equal(1);
+    });
+
+    it('should share shaders between programs', function() {
+      var gl = createCachedGL();
+      var programInfo1 = createProgramInfo(gl, [vs, fs]);
+      var programInfo2 = createProgramInfo(gl, [vs, fs2]);
+      programInfo2.should.not.equal(programInfo1);
+      sourcesOf(gl, "compileShader").should.eql([vs, fs, fs2]);
+      programInfo2.program.shaders[0].should.equal(programInfo1.program.shaders[0]);
+      programs.deleteProgramInfo(gl, programInfo1);
+      sourcesOf(gl, "deleteShader").should.eql([fs]);
+      programs.deleteProgramInfo(gl, programInfo2);
+      sourcesOf(gl, "deleteShader").should.eql([fs, vs, fs2]);
+    });
+
+    it('should only delete when the last user deletes it', function() {
+      var gl = createCachedGL();
+      var programInfo = createProgramInfo(gl, [vs, fs]);
+      createProgramInfo(gl, [vs, fs]);
+      programs.deleteProgramInfo(gl, programInfo);
+      helpers.callsTo(gl, "deleteProgram").should.eql([]);
+      helpers.callsTo(gl, "deleteShader").should.eql([]);
+      programs.deleteProgramInfo(gl, programInfo);
+      helpers.callsTo(gl, "deleteProgram").should.eql([["deleteProgram", programInfo.program]]);
+      sourcesOf(gl, "deleteShader").should.eql([vs, fs]);
+      // it's no longer cached
+      createProgramInfo(gl, [vs, fs]).should.not.equal(programInfo);
+    });
+
+    it('should release the shaders it compiled when a later shader fails', function() {
+      var gl = createCachedGL();
+      var errors = [];
+      should(createProgramInfo(gl, [vs, badFs], errors)).be.null();
+      errors.length.should.equal(1);
+      sourcesOf(gl, "deleteShader").should.eql([badFs, vs]);
+      helpers.callsTo(gl, "createProgram").length.should.equal(0);
+      gl.calls.length = 0;
+      createProgramInfo(gl, [vs, fs]).should.be.an.Object();
+      sourcesOf(gl, "compileShader").should.eql([vs, fs]);
+    });
+
+    it('should keep shaders other programs use when a later shader fails', function() {
+      var gl = createCachedGL();
+      var programInfo = createProgramInfo(gl, [vs, fs]);
+      should(createProgramInfo(gl, [vs, badFs])).be.null();
+      sourcesOf(gl, "deleteShader").should.eql([badFs]);
+      programs.deleteProgramInfo(gl, programInfo);
+      sourcesOf(gl, "deleteShader").should.eql([badFs, vs, fs]);
+    });
+
+    it('should update the program for every holder and take it out of the cache', function() {
+      var gl = createCachedGL();
+      var programInfo = createProgramInfo(gl, [vs, fs]);
+      var oldProgram = programInfo.program;
+      createProgramInfo(gl, [vs, fs]).should.equal(programInfo);
+      programs.updateProgramInfo(gl, programInfo, [vs, fs2]).should.be.true();
+      programInfo.program.should.not.equal(oldProgram);
+      helpers.callsTo(gl, "deleteProgram").should.eql([["deleteProgram", oldProgram]]);
+      createProgramInfo(gl, [vs, fs]).should.not.equal(programInfo);
+    });
+
+    it('should empty the cache when the context is lost', function() {
+      var gl = createCachedGL();
+      var programInfo = createProgramInfo(gl, [vs, fs]);
+      gl.canvas.dispatchEvent('webglcontextlost');
+      gl.calls.length = 0;
+      createProgramInfo(gl, [vs, fs]).should.not.equal(programInfo);
+      sourcesOf(gl, "compileShader").should.eql([vs, fs]);
+    });
+
+  });
+
+  describe('shared uniform block binding points', function() {
+
+    var MAX_UNIFORM_BUFFER_BINDINGS = 0x8A2F;
+    var MAX_COMBINED_UNIFORM_BLOCKS = 0x8A2E;
+
+    var uniformBlockSpec = {
+      blockSpecs: {
+        Camera: { index: 0, size: 16, uniformIndices: [0] },
+      },
+      uniformData: [
+        { name: "u_time", type: 0x1406, size: 1, offset: 0, arrayStride: 0, matrixStride: 0 },
+      ],
+    };
+
+    // 28 binding points of which the bottom 24 can be block indices
+    function createGL() {
+      return helpers.createRecordingGL({
+        MAX_UNIFORM_BUFFER_BINDINGS: MAX_UNIFORM_BUFFER_BINDINGS,
+        MAX_COMBINED_UNIFORM_BLOCKS: MAX_COMBINED_UNIFORM_BLOCKS,
+        UNIFORM_BUFFER: 0x8A11,
+        DYNAMIC_DRAW: 0x88E8,
+        getParameter: function(pname) {
+          return pname === MAX_UNIFORM_BUFFER_BINDINGS ? 28 : 24;
+        },
+        createBuffer: function() {
+          return {};
+        },
+      });
+    }
+
+    function create(gl, bindingPoint) {
+      return programs.createSharedUniformBlockInfo(gl, uniformBlockSpec, "Camera", bindingPoint);
+    }
+
+    it('should allocate from the top down and throw before reaching block indices', function() {
+      var gl = createGL();
+      [create(gl), create(gl), create(gl), create(gl)].map(function(info) {
+        return info.bindingPoint;
+      }).should.eql([27, 26, 25, 24]);
+      getThrown(function() {
+        create(gl);
+      }).should.match(/^createSharedUniformBlockInfo: out of binding points for shared blocks/);
+    });
+
+    it('should reuse binding points of deleted blocks', function() {
+      var gl = createGL();
+      var infos = [create(gl), create(gl), create(gl), create(gl)];
+      programs.deleteSharedUniformBlockInfo(gl, infos[1]);
+      helpers.callsTo(gl, "deleteBuffer").should.eql([["deleteBuffer", infos[1].buffer]]);
+      create(gl).bindingPoint.should.equal(26);
+      // deleting twice does not free it twice
+      programs.deleteSharedUniformBlockInfo(gl, infos[2]);
+      programs.deleteSharedUniformBlockInfo(gl, infos[2]);
+      create(gl).bindingPoint.should.equal(25);
+      should(getThrown(function() {
+        create(gl);
+      })).be.a.String();
+    });
+
+    it('should not hand out binding points that were passed in', function() {
+      var gl = createGL();
+      var info = create(gl, 3);
+      info.bindingPoint.should.equal(3);
+      programs.deleteSharedUniformBlockInfo(gl, info);
+      create(gl).bindingPoint.should.equal(27);
+    });
+
+  });
+
+  describe('useSharedUniformBlock', function() {
+
+    it('should report a programInfo without a uniformBlockSpec', function() {
+      getThrown(function() {
+        programs.useSharedUniformBlock({}, { program: {} }, { name: "Lights", bindingPoint: 0 });
+      }).should.match(/^useSharedUniformBlock: programInfo has no uniformBlockSpec for block 'Lights'/);
+    });
+
+  });
+
+});
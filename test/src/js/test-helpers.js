@@ -0,0 +1,217 @@
+// Helpers shared by the tests. Requiring this also sets up the globals
+// the twgl modules expect to find in a browser.
+
+// utils looks for window.console when it loads
+global.window = global.window || { console: console };
+global.WebGLTexture = global.WebGLTexture || function WebGLTexture() {};
+global.WebGLRenderbuffer = global.WebGLRenderbuffer || function WebGLRenderbuffer() {};
+global.WebGLShader = global.WebGLShader || function WebGLShader() {};
+global.WebGLBuffer = global.WebGLBuffer || function WebGLBuffer() {};
+
+var glConstants = {
+  RGBA: 0x1908,
+  UNSIGNED_BYTE: 0x1401,
+  FLOAT: 0x1406,
+  TEXTURE_2D: 0x0DE1,
+  TEXTURE_3D: 0x806F,
+  TEXTURE_2D_ARRAY: 0x8C1A,
+  TEXTURE_CUBE_MAP: 0x8513,
+  TEXTURE_CUBE_MAP_POSITIVE_X: 0x8515,
+  TEXTURE_CUBE_MAP_NEGATIVE_X: 0x8516,
+  TEXTURE_CUBE_MAP_POSITIVE_Y: 0x8517,
+  TEXTURE_CUBE_MAP_NEGATIVE_Y: 0x8518,
+  TEXTURE_CUBE_MAP_POSITIVE_Z: 0x8519,
+  TEXTURE_CUBE_MAP_NEGATIVE_Z: 0x851A,
+  TEXTURE_MAX_LEVEL: 0x813D,
+  TEXTURE_MIN_FILTER: 0x2801,
+  TEXTURE_MAG_FILTER: 0x2800,
+  TEXTURE_WRAP_S: 0x2802,
+  TEXTURE_WRAP_T: 0x2803,
+  LINEAR: 0x2601,
+  CLAMP_TO_EDGE: 0x812F,
+  RENDERBUFFER: 0x8D41,
+  FRAMEBUFFER: 0x8D40,
+  DRAW_FRAMEBUFFER: 0x8CA9,
+  FRAMEBUFFER_BINDING: 0x8CA6,
+  DRAW_FRAMEBUFFER_BINDING: 0x8CA6,
+  READ_FRAMEBUFFER: 0x8CA8,
+  READ_FRAMEBUFFER_BINDING: 0x8CAA,
+  READ_BUFFER: 0x0C02,
+  FRAMEBUFFER_COMPLETE: 0x8CD5,
+  UNPACK_COLORSPACE_CONVERSION_WEBGL: 0x9243,
+  UNPACK_PREMULTIPLY_ALPHA_WEBGL: 0x9241,
+  UNPACK_FLIP_Y_WEBGL: 0x9240,
+  TRIANGLES: 0x0004,
+  BLEND: 0x0BE2,
+  DITHER: 0x0BD0,
+  SCISSOR_TEST: 0x0C11,
+  SCISSOR_BOX: 0x0C10,
+  COLOR_CLEAR_VALUE: 0x0C22,
+  COLOR_BUFFER_BIT: 0x4000,
+  DEPTH_BUFFER_BIT: 0x0100,
+  STENCIL_BUFFER_BIT: 0x0400,
+};
+
+/**
+ * Makes a WebGL2 context that records calls to the functions it doesn't
+ * implement in `gl.calls` as `[name, arg0, arg1, ...]`.
+ * @param {Object} [overrides] properties to add to or replace on the context.
+ *    Set `texStorage2D: undefined` to make it look like WebGL1.
+ * @return {Object} the recording context
+ */
+function createRecordingGL(overrides) {
+  var calls = [];
+  var target = {
+    drawingBufferWidth: 4,
+    drawingBufferHeight: 4,
+    calls: calls,
+    createTexture: function() {
+      return new WebGLTexture();
+    },
+    createRenderbuffer: function() {
+      return new WebGLRenderbuffer();
+    },
+    createFramebuffer: function() {
+      return {};
+    },
+    checkFramebufferStatus: function() {
+      return glConstants.FRAMEBUFFER_COMPLETE;
+    },
+    getParameter: function() {
+      return null;
+    },
+    getExtension: function() {
+      return null;
+    },
+    isEnabled: function() {
+      return false;
+    },
+  };
+  Object.keys(glConstants).forEach(function(name) {
+    target[name] = glConstants[name];
+  });
+  Object.keys(overrides || {}).forEach(function(name) {
+    target[name] = overrides[name];
+  });
+  return new Proxy(target, {
+    get: function(obj, name) {
+      if (name in obj) {
+        return obj[name];
+      }
+      return function() {
+        calls.push([name].concat(Array.prototype.slice.call(arguments)));
+      };
+    },
+  });
+}
+
+/**
+ * Makes a WebGL1 recording context that can make programs. Shaders whose source
+ * contains `#error` fail to compile. Programs have no uniforms or attributes.
+ * Shaders remember their `source` and programs their attached `shaders`.
+ * @param {Object} [overrides] properties to add to or replace on the context.
+ * @return {Object} the recording context
+ */
+function createProgramGL(overrides) {
+  var props = {
+    texStorage2D: undefined,
+    VERTEX_SHADER: 0x8B31,
+    FRAGMENT_SHADER: 0x8B30,
+    COMPILE_STATUS: 0x8B81,
+    LINK_STATUS: 0x8B82,
+    createShader: function(type) {
+      var shader = new WebGLShader();
+      shader.type = type;
+      return shader;
+    },
+    shaderSource: function(shader, source) {
+      shader.source = source;
+    },
+    getShaderParameter: function(shader) {
+      return shader.source.indexOf("#error") < 0;
+    },
+    getShaderInfoLog: function() {
+      return "ERROR: 0:1: '#error' : compilation error";
+    },
+    createProgram: function() {
+      return { shaders: [] };
+    },
+    attachShader: function(program, shader) {
+      program.shaders.push(shader);
+    },
+    getAttachedShaders: function(program) {
+      return program.shaders.slice();
+    },
+    getProgramParameter: function(program, pname) {
+      return pname === props.LINK_STATUS ? true : 0;
+    },
+  };
+  Object.keys(overrides || {}).forEach(function(name) {
+    props[name] = overrides[name];
+  });
+  return createRecordingGL(props);
+}
+
+/**
+ * Makes a canvas that only handles events. Call `canvas.dispatchEvent(type)` to
+ * fire an event. It returns true if a listener called `preventDefault`.
+ * @return {Object} the canvas
+ */
+function createCanvas() {
+  var listeners = {};
+  return {
+    addEventListener: function(type, listener) {
+      (listeners[type] = listeners[type] || []).push(listener);
+    },
+    dispatchEvent: function(type) {
+      var defaultPrevented = false;
+      var event = {
+        type: type,
+        preventDefault: function() {
+          defaultPrevented = true;
+        },
+      };
+      (listeners[type] || []).forEach(function(listener) {
+        listener(event);
+      });
+      return defaultPrevented;
+    },
+  };
+}
+
+/**
+ * Returns the recorded calls to the named function or functions.
+ * @param {Object} gl a context from createRecordingGL
+ * @param {string|string[]} names the function name or names
+ * @return {Array[]} the calls in the order they were made
+ */
+function callsTo(gl, names) {
+  names = Array.isArray(names) ? names : [names];
+  return gl.calls.filter(function(call) {
+    return names.indexOf(call[0]) >= 0;
+  });
+}
+
+/**
+ * twgl throws strings, which should.throw can't match, so this returns
+ * what `fn` threw or undefined.
+ * @param {function} fn the function to call
+ * @return {*} what was thrown
+ */
+function getThrown(fn) {
+  try {
+    fn();
+  } catch (e) {
+    return e;
+  }
+  return undefined;
+}
+
+module.exports = {
+  glConstants: glConstants,
+  createRecordingGL: createRecordingGL,
+  createProgramGL: createProgramGL,
+  createCanvas: createCanvas,
+  callsTo: callsTo,
+  getThrown: getThrown,
+};
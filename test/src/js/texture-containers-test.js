@@ -0,0 +1,173 @@
+var fs        = require('fs');
+var path      = require('path');
+var requirejs = require('requirejs');
+var should    = require('should');
+var helpers   = require('./test-helpers');
+
+requirejs.config({
+  nodeRequire: require,
+  baseUrl: path.normalize(path.join(__dirname, '../../../src')),
+});
+
+var textureContainers = requirejs('./texture-containers');
+
+var getThrown = helpers.getThrown;
+
+var TEXTURE_2D       = 0x0DE1;
+var TEXTURE_CUBE_MAP = 0x8513;
+var TEXTURE_2D_ARRAY = 0x8C1A;
+var RGBA             = 0x1908;
+var UNSIGNED_BYTE    = 0x1401;
+var RGBA8            = 0x8058;
+var COMPRESSED_RGBA_S3TC_DXT1_EXT = 0x83F1;
+var COMPRESSED_RGBA_S3TC_DXT5_EXT = 0x83F3;
+
+function loadFixture(name) {
+  var buffer = fs.readFileSync(path.join(__dirname, '../fixtures', name));
+  return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+}
+
+function levelSizes(container) {
+  return container.levels.map(function(level) {
+    return [level.width, level.height, level.depth, level.data.length];
+  });
+}
+
+function filled(length, value) {
+  var a = new Uint8Array(length);
+  a.fill(value);
+  return a;
+}
+
+describe('texture containers', function() {
+
+  it('should detect containers', function() {
+    textureContainers.isTextureContainer(loadFixture('rgba8-mips.ktx')).should.be.true();
+    textureContainers.isTextureContainer(loadFixture('bc3-mips.ktx2')).should.be.true();
+    var data = loadFixture('dxt5-mips.dds');
+    var arrayBuffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    textureContainers.isTextureContainer(arrayBuffer).should.be.true();
+    textureContainers.isTextureContainer(new Uint8Array([255, 0, 0, 255])).should.be.false();
+    textureContainers.isTextureContainer("foo.ktx").should.be.false();
+  });
+
+  it('should detect container urls', function() {
+    textureContainers.isTextureContainerUrl("images/foo.ktx").should.be.true();
+    textureContainers.isTextureContainerUrl("images/foo.KTX2?v=1").should.be.true();
+    textureContainers.isTextureContainerUrl("images/foo.dds#bar").should.be.true();
+    textureContainers.isTextureContainerUrl("images/foo.png").should.be.false();
+    textureContainers.isTextureContainerUrl("images/ktx.png").should.be.false();
+  });
+
+  it('should parse KTX with mips', function() {
+    var c = textureContainers.parseTextureContainer(loadFixture('rgba8-mips.ktx'));
+    c.target.should.equal(TEXTURE_2D);
+    c.internalFormat.should.equal(RGBA8);
+    c.format.should.equal(RGBA);
+    c.type.should.equal(UNSIGNED_BYTE);
+    c.compressed.should.be.false();
+    c.faces.should.equal(1);
+    levelSizes(c).should.eql([[2, 2, 1, 16], [1, 1, 1, 4]]);
+    c.levels[0].data.should.eql(filled(16, 1));
+    c.levels[1].data.should.eql(filled(4, 2));
+  });
+
+  it('should parse KTX cubemaps', function() {
+    var c = textureContainers.parseKTX(loadFixture('dxt1-cube.ktx'));
+    c.target.should.equal(TEXTURE_CUBE_MAP);
+    c.internalFormat.should.equal(COMPRESSED_RGBA_S3TC_DXT1_EXT);
+    c.compressed.should.be.true();
+    should(c.format).be.undefined();
+    c.faces.should.equal(6);
+    levelSizes(c).should.eql([[4, 4, 1, 48]]);
+    for (var face = 0; face < 6; ++face) {
+      c.levels[0].data.subarray(face * 8, face * 8 + 8).should.eql(filled(8, 10 + face));
+    }
+  });
+
+  it('should report truncated KTX files', function() {
+    var data = loadFixture('rgba8-mips.ktx');
+    getThrown(function() {
+      textureContainers.parseKTX(data.subarray(0, 40));
+    }).should.match(/truncated: KTX header/);
+    getThrown(function() {
+      textureContainers.parseKTX(data.subarray(0, data.length - 8));
+    }).should.match(/truncated: imageSize of KTX level 1/);
+    getThrown(function() {
+      textureContainers.parseKTX(data.subarray(0, data.length - 2));
+    }).should.match(/truncated: KTX level 1/);
+    var cube = loadFixture('dxt1-cube.ktx');
+    getThrown(function() {
+      textureContainers.parseKTX(cube.subarray(0, cube.length - 4));
+    }).should.match(/truncated: KTX level 0/);
+  });
+
+  it('should report truncated KTX2 files', function() {
+    var data = loadFixture('bc3-mips.ktx2');
+    getThrown(function() {
+      textureContainers.parseKTX2(data.subarray(0, 60));
+    }).should.match(/truncated: KTX2 header/);
+    getThrown(function() {
+      textureContainers.parseKTX2(data.subarray(0, 100));
+    }).should.match(/truncated: KTX2 level index/);
+    getThrown(function() {
+      textureContainers.parseKTX2(data.subarray(0, data.length - 1));
+    }).should.match(/truncated: KTX2 level \d+ needs/);
+  });
+
+  it('should parse KTX2 arrays', function() {
+    var c = textureContainers.parseTextureContainer(loadFixture('rgba8-array.ktx2'));
+    c.target.should.equal(TEXTURE_2D_ARRAY);
+    c.internalFormat.should.equal(RGBA8);
+    c.format.should.equal(RGBA);
+    c.type.should.equal(UNSIGNED_BYTE);
+    c.depth.should.equal(3);
+    levelSizes(c).should.eql([[2, 2, 3, 48]]);
+  });
+
+  it('should parse KTX2 compressed mips', function() {
+    var c = textureContainers.parseKTX2(loadFixture('bc3-mips.ktx2'));
+    c.target.should.equal(TEXTURE_2D);
+    c.internalFormat.should.equal(COMPRESSED_RGBA_S3TC_DXT5_EXT);
+    c.compressed.should.be.true();
+    levelSizes(c).should.eql([[8, 8, 1, 64], [4, 4, 1, 16], [2, 2, 1, 16], [1, 1, 1, 16]]);
+    c.levels[3].data.should.eql(filled(16, 7));
+  });
+
+  it('should parse DDS with mips', function() {
+    var c = textureContainers.parseTextureContainer(loadFixture('dxt5-mips.dds'));
+    c.target.should.equal(TEXTURE_2D);
+    c.internalFormat.should.equal(COMPRESSED_RGBA_S3TC_DXT5_EXT);
+    c.compressed.should.be.true();
+    levelSizes(c).should.eql([[8, 8, 1, 64], [4, 4, 1, 16], [2, 2, 1, 16], [1, 1, 1, 16]]);
+    c.levels[1].data.should.eql(filled(16, 21));
+  });
+
+  it('should parse DDS BGRA cubemaps as RGBA', function() {
+    var c = textureContainers.parseDDS(loadFixture('bgra8-cube.dds'));
+    c.target.should.equal(TEXTURE_CUBE_MAP);
+    c.internalFormat.should.equal(RGBA8);
+    c.format.should.equal(RGBA);
+    c.type.should.equal(UNSIGNED_BYTE);
+    levelSizes(c).should.eql([[2, 2, 1, 96]]);
+    // face 3, first pixel
+    Array.prototype.slice.call(c.levels[0].data, 48, 52).should.eql([0xF0, 0x80, 3, 0xFF]);
+  });
+
+  it('should parse DX10 DDS arrays and gather layers by level', function() {
+    var c = textureContainers.parseTextureContainer(loadFixture('bc1-array.dds'));
+    c.target.should.equal(TEXTURE_2D_ARRAY);
+    c.internalFormat.should.equal(COMPRESSED_RGBA_S3TC_DXT1_EXT);
+    c.depth.should.equal(2);
+    levelSizes(c).should.eql([[4, 4, 2, 16], [2, 2, 2, 16]]);
+    Array.prototype.slice.call(c.levels[0].data, 7, 9).should.eql([30, 40]);
+    Array.prototype.slice.call(c.levels[1].data, 7, 9).should.eql([31, 41]);
+  });
+
+  it('should throw on unknown data', function() {
+    (function() {
+      textureContainers.parseTextureContainer(new Uint8Array(256));
+    }).should.throw();
+  });
+
+});
@@ -0,0 +1,255 @@
+var fs        = require('fs');
+var path      = require('path');
+var requirejs = require('requirejs');
+var should    = require('should');
+var helpers   = require('./test-helpers');
+
+requirejs.config({
+  nodeRequire: require,
+  baseUrl: path.normalize(path.join(__dirname, '../../../src')),
+});
+
+var textures = requirejs('./textures');
+var textureContainers = requirejs('./texture-containers');
+
+var createRecordingGL = helpers.createRecordingGL;
+var callsTo = helpers.callsTo;
+var getThrown = helpers.getThrown;
+
+var RGBA       = 0x1908;
+var RGBA16F    = 0x881A;
+var HALF_FLOAT = 0x140B;
+
+var COMPRESSED_RGBA_S3TC_DXT1_EXT    = 0x83F1;
+var COMPRESSED_RGBA_S3TC_DXT5_EXT    = 0x83F3;
+var COMPRESSED_RGB_ETC1_WEBGL        = 0x8D64;
+var COMPRESSED_R11_EAC               = 0x9270;
+var COMPRESSED_RGBA8_ETC2_EAC        = 0x9278;
+var COMPRESSED_RGB_PVRTC_4BPPV1_IMG  = 0x8C00;
+var COMPRESSED_RGBA_PVRTC_2BPPV1_IMG = 0x8C03;
+var COMPRESSED_RGBA_ASTC_4x4_KHR     = 0x93B0;
+var COMPRESSED_RGBA_ASTC_5x4_KHR     = 0x93B1;
+var COMPRESSED_RGBA_ASTC_12x12_KHR   = 0x93BD;
+var COMPRESSED_SRGB8_ALPHA8_ASTC_8x8_KHR = 0x93D7;
+
+function loadFixture(name) {
+  var buffer = fs.readFileSync(path.join(__dirname, '../fixtures', name));
+  return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+}
+
+// A recording context that supports every compressed texture extension
+function createCompressedGL(overrides) {
+  var gl = createRecordingGL(overrides);
+  gl.getExtension = function() {
+    return {};
+  };
+  return gl;
+}
+
+function compressedUploadSizes(gl) {
+  return callsTo(gl, ["compressedTexImage2D", "compressedTexImage3D"]).map(function(call) {
+    var data = call[call.length - 1];
+    return call.slice(1, call.length - 2).concat(data.byteLength);
+  });
+}
+
+describe('textures', function() {
+
+  describe('compressed sizes', function() {
+
+    function size(internalFormat, width, height, depth) {
+      return textures.getCompressedImageSizeForInternalFormat(internalFormat, width, height, depth);
+    }
+
+    it('should round S3TC sizes up to 4x4 blocks', function() {
+      size(COMPRESSED_RGBA_S3TC_DXT1_EXT, 4, 4).should.equal(8);
+      size(COMPRESSED_RGBA_S3TC_DXT1_EXT, 5, 5).should.equal(2 * 2 * 8);
+      size(COMPRESSED_RGBA_S3TC_DXT1_EXT, 1, 1).should.equal(8);
+      size(COMPRESSED_RGBA_S3TC_DXT5_EXT, 6, 2).should.equal(2 * 1 * 16);
+      size(COMPRESSED_RGBA_S3TC_DXT5_EXT, 2, 1).should.equal(16);
+      size(COMPRESSED_RGBA_S3TC_DXT5_EXT, 4, 4, 3).should.equal(3 * 16);
+    });
+
+    it('should round ETC sizes up to 4x4 blocks', function() {
+      size(COMPRESSED_RGB_ETC1_WEBGL, 3, 3).should.equal(8);
+      size(COMPRESSED_R11_EAC, 1, 1).should.equal(8);
+      size(COMPRESSED_RGBA8_ETC2_EAC, 8, 4).should.equal(2 * 1 * 16);
+      size(COMPRESSED_RGBA8_ETC2_EAC, 9, 7).should.equal(3 * 2 * 16);
+    });
+
+    it('should use the block size of each ASTC format', function() {
+      size(COMPRESSED_RGBA_ASTC_4x4_KHR, 4, 4).should.equal(16);
+      size(COMPRESSED_RGBA_ASTC_4x4_KHR, 1, 1).should.equal(16);
+      size(COMPRESSED_RGBA_ASTC_5x4_KHR, 10, 4).should.equal(2 * 1 * 16);
+      size(COMPRESSED_RGBA_ASTC_5x4_KHR, 11, 5).should.equal(3 * 2 * 16);
+      size(COMPRESSED_RGBA_ASTC_12x12_KHR, 13, 1).should.equal(2 * 1 * 16);
+      size(COMPRESSED_SRGB8_ALPHA8_ASTC_8x8_KHR, 8, 8).should.equal(16);
+      size(COMPRESSED_SRGB8_ALPHA8_ASTC_8x8_KHR, 17, 8).should.equal(3 * 1 * 16);
+    });
+
+    it('should use at least 2x2 PVRTC blocks', function() {
+      size(COMPRESSED_RGB_PVRTC_4BPPV1_IMG, 1, 1).should.equal(2 * 2 * 8);
+      size(COMPRESSED_RGB_PVRTC_4BPPV1_IMG, 8, 8).should.equal(2 * 2 * 8);
+      size(COMPRESSED_RGB_PVRTC_4BPPV1_IMG, 16, 16).should.equal(4 * 4 * 8);
+      size(COMPRESSED_RGBA_PVRTC_2BPPV1_IMG, 1, 1).should.equal(2 * 2 * 8);
+      size(COMPRESSED_RGBA_PVRTC_2BPPV1_IMG, 32, 8).should.equal(4 * 2 * 8);
+      size(COMPRESSED_RGBA_PVRTC_2BPPV1_IMG, 33, 4).should.equal(5 * 2 * 8);
+    });
+
+    it('should throw for unknown formats', function() {
+      getThrown(function() {
+        size(RGBA16F, 4, 4);
+      }).should.equal("unknown compressed internal format");
+    });
+
+    it('should give the average bytes per pixel of a block', function() {
+      textures.getBytesPerElementForInternalFormat(COMPRESSED_RGBA_S3TC_DXT1_EXT).should.equal(0.5);
+      textures.getBytesPerElementForInternalFormat(COMPRESSED_RGBA_S3TC_DXT5_EXT).should.equal(1);
+      textures.getBytesPerElementForInternalFormat(COMPRESSED_RGB_ETC1_WEBGL).should.equal(0.5);
+      textures.getBytesPerElementForInternalFormat(COMPRESSED_RGBA_ASTC_12x12_KHR).should.equal(16 / 144);
+      textures.getBytesPerElementForInternalFormat(COMPRESSED_RGBA_PVRTC_2BPPV1_IMG).should.equal(0.25);
+      textures.getBytesPerElementForInternalFormat(RGBA16F, HALF_FLOAT).should.equal(8);
+    });
+
+  });
+
+  describe('setTextureFromArray with compressed data', function() {
+
+    it('should guess a square size from the data', function() {
+      var gl = createCompressedGL();
+      textures.setTextureFromArray(gl, gl.createTexture(), new Uint8Array(32), {
+        internalFormat: COMPRESSED_RGBA_S3TC_DXT1_EXT,
+      });
+      compressedUploadSizes(gl).should.eql([
+        [gl.TEXTURE_2D, 0, COMPRESSED_RGBA_S3TC_DXT1_EXT, 8, 8, 32],
+      ]);
+    });
+
+    it('should guess the height from the width', function() {
+      var gl = createCompressedGL();
+      textures.setTextureFromArray(gl, gl.createTexture(), new Uint8Array(64), {
+        internalFormat: COMPRESSED_RGBA_S3TC_DXT5_EXT,
+        width: 16,
+      });
+      compressedUploadSizes(gl).should.eql([
+        [gl.TEXTURE_2D, 0, COMPRESSED_RGBA_S3TC_DXT5_EXT, 16, 4, 64],
+      ]);
+    });
+
+    it('should guess cube map face sizes', function() {
+      var gl = createCompressedGL();
+      textures.setTextureFromArray(gl, gl.createTexture(), new Uint8Array(6 * 32), {
+        target: gl.TEXTURE_CUBE_MAP,
+        internalFormat: COMPRESSED_RGBA_S3TC_DXT1_EXT,
+      });
+      compressedUploadSizes(gl).should.eql([0, 1, 2, 3, 4, 5].map(function(ndx) {
+        return [gl.TEXTURE_CUBE_MAP_POSITIVE_X + ndx, 0, COMPRESSED_RGBA_S3TC_DXT1_EXT, 8, 8, 32];
+      }));
+    });
+
+    it('should upload mip levels down to 1x1 including sizes that are not multiples of 4', function() {
+      var gl = createCompressedGL();
+      textures.setTextureFromArray(gl, gl.createTexture(), [
+        new Uint8Array(2 * 2 * 16),  // 6x6
+        new Uint8Array(16),          // 3x3
+        new Uint8Array(16),          // 1x1
+      ], {
+        internalFormat: COMPRESSED_RGBA_S3TC_DXT5_EXT,
+        width: 6,
+        height: 6,
+      });
+      compressedUploadSizes(gl).should.eql([
+        [gl.TEXTURE_2D, 0, COMPRESSED_RGBA_S3TC_DXT5_EXT, 6, 6, 64],
+        [gl.TEXTURE_2D, 1, COMPRESSED_RGBA_S3TC_DXT5_EXT, 3, 3, 16],
+        [gl.TEXTURE_2D, 2, COMPRESSED_RGBA_S3TC_DXT5_EXT, 1, 1, 16],
+      ]);
+      callsTo(gl, "texParameteri").should.eql([
+        ["texParameteri", gl.TEXTURE_2D, gl.TEXTURE_MAX_LEVEL, 2],
+      ]);
+    });
+
+    it('should upload 1x1 PVRTC levels as 2x2 blocks', function() {
+      var gl = createCompressedGL();
+      textures.setTextureFromArray(gl, gl.createTexture(), [
+        new Uint8Array(32),
+        new Uint8Array(32),
+      ], {
+        internalFormat: COMPRESSED_RGB_PVRTC_4BPPV1_IMG,
+        width: 2,
+        height: 2,
+      });
+      compressedUploadSizes(gl).should.eql([
+        [gl.TEXTURE_2D, 0, COMPRESSED_RGB_PVRTC_4BPPV1_IMG, 2, 2, 32],
+        [gl.TEXTURE_2D, 1, COMPRESSED_RGB_PVRTC_4BPPV1_IMG, 1, 1, 32],
+      ]);
+    });
+
+    it('should throw when a level is the wrong size for the format', function() {
+      var gl = createCompressedGL();
+      getThrown(function() {
+        textures.setTextureFromArray(gl, gl.createTexture(), [
+          new Uint8Array(64),
+          new Uint8Array(32),
+        ], {
+          internalFormat: COMPRESSED_RGBA_S3TC_DXT5_EXT,
+          width: 8,
+          height: 8,
+        });
+      }).should.match(/^data for level 1 is wrong size for format: /);
+      getThrown(function() {
+        textures.setTextureFromArray(gl, gl.createTexture(), new Uint8Array(24), {
+          internalFormat: COMPRESSED_RGBA_S3TC_DXT1_EXT,
+          width: 5,
+        });
+      }).should.equal("can't guess dimensions");
+    });
+
+    it('should throw when the extension is missing', function() {
+      var gl = createRecordingGL();
+      getThrown(function() {
+        textures.setTextureFromArray(gl, gl.createTexture(), new Uint8Array(8), {
+          internalFormat: COMPRESSED_RGBA_ASTC_4x4_KHR,
+        });
+      }).should.match(/requires WEBGL_compressed_texture_astc$/);
+      compressedUploadSizes(gl).should.eql([]);
+    });
+
+  });
+
+  describe('setTextureFromContainer', function() {
+
+    it('should upload float levels as the typed array for the type', function() {
+      var container = textureContainers.parseTextureContainer(loadFixture('rgba16f-2x2.ktx2'));
+      container.internalFormat.should.equal(RGBA16F);
+      container.type.should.equal(HALF_FLOAT);
+      var gl = createRecordingGL();
+      textures.setTextureFromContainer(gl, gl.createTexture(), container);
+      var uploads = callsTo(gl, "texImage2D");
+      uploads.length.should.equal(1);
+      uploads[0].slice(0, 9).should.eql(["texImage2D", gl.TEXTURE_2D, 0, RGBA16F, 2, 2, 0, RGBA, HALF_FLOAT]);
+      var data = uploads[0][9];
+      data.should.be.instanceOf(Uint16Array);
+      Array.prototype.slice.call(data).should.eql([
+        0x3C00, 0, 0, 0x3C00,
+        0, 0x3C00, 0, 0x3C00,
+        0, 0, 0x3C00, 0x3C00,
+        0x3800, 0x3800, 0x3800, 0x4000,
+      ]);
+    });
+
+    it('should copy levels that are not aligned for the type', function() {
+      var file = loadFixture('rgba16f-2x2.ktx2');
+      var unaligned = new Uint8Array(file.length + 1).subarray(1);
+      unaligned.set(file);
+      var container = textureContainers.parseTextureContainer(unaligned);
+      var gl = createRecordingGL();
+      textures.setTextureFromContainer(gl, gl.createTexture(), container);
+      var data = callsTo(gl, "texImage2D")[0][9];
+      data.should.be.instanceOf(Uint16Array);
+      data.length.should.equal(16);
+      data[15].should.equal(0x4000);
+    });
+
+  });
+
+});